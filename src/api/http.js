@@ -6,6 +6,262 @@
  */
 const BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:8080';
 
+/**
+ * Use the in-browser mock backend instead of the network (`VITE_MOCK_API=true`).
+ * See `mockServer.js`; it is only loaded when enabled.
+ */
+const USE_MOCK_API = import.meta.env.VITE_MOCK_API === 'true';
+
+let mockFetch = null;
+
+/**
+ * `fetch`, or the mock backend when it is enabled.
+ *
+ * @async
+ * @param {string} url
+ * @param {RequestInit} init
+ * @returns {Promise<Response>}
+ */
+async function transport(url, init) {
+  if (!USE_MOCK_API) return fetch(url, init);
+  if (!mockFetch) {
+    const mock = await import('./mockServer.js');
+    mockFetch = mock.mockFetch;
+    // Latency / failure controls for the console
+    window.mockBackend = mock.mockBackend;
+  }
+  return mockFetch(url, init);
+}
+
+/**
+ * Error thrown by the HTTP client for every failed request.
+ *
+ * - `status`: HTTP status (0 when there was no response).
+ * - `code`: machine-readable reason, sent by the API or derived from the status
+ *   (`network`, `timeout`, `aborted`, `validation`, `unauthorized`, `forbidden`,
+ *   `not_found`, `conflict`, `server`...).
+ * - `fieldErrors`: message of each invalid field of the request body, e.g. `{ email: '...' }`.
+ * - `retryable`: whether sending the same request again later may succeed.
+ * - `sessionExpired`: set on a 401 of an authenticated request (the user is sent to login).
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {number} [details.status=0]
+   * @param {string} [details.code]
+   * @param {Object<string, string>} [details.fieldErrors={}]
+   * @param {boolean} [details.retryable]
+   */
+  constructor(message, { status = 0, code, fieldErrors = {}, retryable } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code || codeFromStatus(status);
+    this.fieldErrors = fieldErrors;
+    this.retryable = retryable ?? (status === 0 || status === 408 || status === 429 || status >= 500);
+    this.sessionExpired = false;
+  }
+}
+
+/**
+ * Default error code of an HTTP status.
+ *
+ * @param {number} status
+ * @returns {string}
+ */
+function codeFromStatus(status) {
+  const codes = {
+    0: 'network',
+    400: 'validation',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    408: 'timeout',
+    409: 'conflict',
+    422: 'validation',
+    429: 'rate_limited',
+  };
+  return codes[status] || (status >= 500 ? 'server' : 'http_error');
+}
+
+/**
+ * Read the field errors of an error payload. Accepts the usual shapes:
+ * `{ fieldErrors: { email: 'msg' } }`, `{ errors: [{ path|field|param, msg|message }] }`
+ * and `{ errors: { email: { message } } }`.
+ *
+ * @param {Object|null} payload - Error response body.
+ * @returns {Object<string, string>} Message of each field.
+ */
+function readFieldErrors(payload) {
+  const source = payload?.fieldErrors || payload?.errors;
+  const fieldErrors = {};
+  if (Array.isArray(source)) {
+    source.forEach((item) => {
+      const field = item?.path || item?.field || item?.param;
+      if (field) fieldErrors[field] = item.msg || item.message || 'Valor no válido';
+    });
+  } else if (source && typeof source === 'object') {
+    Object.entries(source).forEach(([field, value]) => {
+      fieldErrors[field] = typeof value === 'string' ? value : value?.message || 'Valor no válido';
+    });
+  }
+  return fieldErrors;
+}
+
+/**
+ * Handler called when an authenticated request gets a 401 response.
+ * Registered by the session module (see `onUnauthorized`).
+ *
+ * @type {(() => void) | null}
+ */
+let unauthorizedHandler = null;
+
+/**
+ * Register the function to call when the server rejects the JWT (HTTP 401).
+ *
+ * @param {() => void} handler - Usually ends the session and redirects to login.
+ * @returns {void}
+ */
+export function onUnauthorized(handler) {
+  unauthorizedHandler = handler;
+}
+
+/**
+ * Build the error of a failed response.
+ * A 401 on an authenticated request ends the session (see `onUnauthorized`).
+ *
+ * @param {number} status - HTTP status.
+ * @param {Object|null} payload - Parsed response body.
+ * @param {string|null} token - JWT sent with the request.
+ * @returns {ApiError}
+ */
+function responseError(status, payload, token) {
+  const msg = payload?.message || payload?.error || `HTTP ${status}`;
+  const error = new ApiError(msg, { status, code: payload?.code, fieldErrors: readFieldErrors(payload) });
+
+  if (status === 401 && token) {
+    error.sessionExpired = true;
+    unauthorizedHandler?.();
+  }
+  return error;
+}
+
+/**
+ * Milliseconds a request may take before it is aborted.
+ * Long enough for a sleeping free-tier backend to start answering.
+ */
+const DEFAULT_TIMEOUT_MS = 20000;
+
+/**
+ * Retries of idempotent requests (GET, PUT, DELETE) after a network error,
+ * a timeout or a 5xx/429 response. Other methods are not retried by default:
+ * the server may have applied the first attempt.
+ */
+const DEFAULT_RETRIES = 2;
+const IDEMPOTENT_METHODS = ['GET', 'PUT', 'DELETE'];
+
+// First retry delay, doubled on every attempt (plus some random jitter)
+const BACKOFF_BASE_MS = 500;
+
+// Aborted when the user leaves the current view (see `cancelPendingRequests`)
+let navigationController = new AbortController();
+
+/**
+ * Cancel the requests started with `cancelOnNavigate` (by default every GET),
+ * so their responses are not rendered into a view that has already changed.
+ * They reject with an `ApiError` whose `code` is `aborted`.
+ *
+ * @returns {void}
+ */
+export function cancelPendingRequests() {
+  navigationController.abort();
+  navigationController = new AbortController();
+}
+
+/**
+ * Wait before a retry; rejects as soon as one of the signals is aborted.
+ *
+ * @param {number} ms
+ * @param {AbortSignal[]} signals
+ * @returns {Promise<void>}
+ */
+function wait(ms, signals) {
+  return new Promise((resolve, reject) => {
+    const cancel = () => {
+      clearTimeout(timer);
+      reject(new ApiError('Petición cancelada.', { code: 'aborted', retryable: false }));
+    };
+    const timer = setTimeout(() => {
+      signals.forEach((signal) => signal.removeEventListener('abort', cancel));
+      resolve();
+    }, ms);
+    signals.forEach((signal) => (signal.aborted ? cancel() : signal.addEventListener('abort', cancel, { once: true })));
+  });
+}
+
+/**
+ * Send a request once, aborting it after `timeout` or when a signal is aborted.
+ *
+ * @async
+ * @param {string} path
+ * @param {Object} options
+ * @param {string} options.method
+ * @param {Object} options.headers
+ * @param {Object} [options.body]
+ * @param {number} options.timeout
+ * @param {AbortSignal[]} options.signals
+ * @param {boolean} [options.conditional] - Resolve to `{ status, etag, payload }`, with a 304 as a success.
+ * @returns {Promise<any>} The parsed response payload.
+ * @throws {ApiError}
+ */
+async function send(path, { method, headers, body, timeout, signals, conditional }) {
+  const token = localStorage.getItem('token'); //aquí recuperamos el JWT guardado en login
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  const abort = () => controller.abort();
+  signals.forEach((signal) => (signal.aborted ? abort() : signal.addEventListener('abort', abort, { once: true })));
+
+  try {
+    let res;
+    let payload;
+    try {
+      res = await transport(`${BASE_URL}${path}`, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {}), //añadimos el token si existe
+          ...headers,
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: controller.signal,
+      });
+      const isJSON = res.headers.get('content-type')?.includes('application/json');
+      payload = isJSON ? await res.json().catch(() => null) : null;
+    } catch (err) {
+      // fetch only rejects when there is no response at all (or it was aborted)
+      if (timedOut) throw new ApiError('El servidor tardó demasiado en responder.', { code: 'timeout' });
+      if (controller.signal.aborted) {
+        throw new ApiError('Petición cancelada.', { code: 'aborted', retryable: false });
+      }
+      throw new ApiError('No se pudo conectar con el servidor.', { status: 0 });
+    }
+
+    if (conditional && (res.ok || res.status === 304)) {
+      return { status: res.status, etag: res.headers.get('ETag'), payload };
+    }
+    if (!res.ok) throw responseError(res.status, payload, token);
+    return payload;
+  } finally {
+    clearTimeout(timer);
+    signals.forEach((signal) => signal.removeEventListener('abort', abort));
+  }
+}
+
 /**
  * Generic HTTP request helper using Fetch API.
  *
@@ -13,6 +269,8 @@ const BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:8080';
  * Sets default headers (`Content-Type: application/json`).
  * Attaches the JWT token from `localStorage` (if available).
  * Parses JSON responses when applicable.
+ * Aborts requests that take too long and retries the retryable failures of
+ * idempotent requests with exponential backoff.
  *
  * @async
  * @param {string} path - API path (relative to BASE_URL).
@@ -20,31 +278,121 @@ const BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:8080';
  * @param {string} [options.method='GET'] - HTTP method (GET, POST, PUT, DELETE).
  * @param {Object} [options.headers={}] - Additional request headers.
  * @param {Object} [options.body] - Request body (will be JSON.stringified).
+ * @param {number} [options.timeout=20000] - Milliseconds before each attempt is aborted.
+ * @param {number} [options.retries] - Retries after a retryable error (2 for GET/PUT/DELETE, 0 otherwise).
+ * @param {AbortSignal} [options.signal] - Cancels the request.
+ * @param {boolean} [options.cancelOnNavigate] - Cancel it when the user changes view (default: GET only).
+ * @param {boolean} [options.conditional] - Resolve to `{ status, etag, payload }` and accept a 304 (see `http.getIfChanged`).
  * @returns {Promise<any>} The parsed response payload (JSON if available).
- * @throws {Error} If the response is not OK (status >= 400), throws with message.
+ * @throws {ApiError} If the server cannot be reached (`status` 0; `code` is `timeout` or
+ *   `aborted` when the request was aborted) or the response is not OK (status >= 400).
+ *   A 401 on an authenticated request also sets `sessionExpired` so callers can skip
+ *   their own error message.
  */
-async function request(path, { method = 'GET', headers = {}, body } = {}) {
-  const token = localStorage.getItem('token'); //aquí recuperamos el JWT guardado en login
-  
-  const res = await fetch(`${BASE_URL}${path}`, {
-    method,
-    headers: {
-      'Content-Type': 'application/json',
-      ...(token ? { Authorization: `Bearer ${token}` } : {}), //añadimos el token si existe
-      ...headers,
-    },
-    body: body ? JSON.stringify(body) : undefined,
-  });
+async function request(
+  path,
+  {
+    method = 'GET',
+    headers = {},
+    body,
+    timeout = DEFAULT_TIMEOUT_MS,
+    retries = IDEMPOTENT_METHODS.includes(method) ? DEFAULT_RETRIES : 0,
+    signal,
+    cancelOnNavigate = method === 'GET',
+    conditional = false,
+  } = {}
+) {
+  const signals = [signal, cancelOnNavigate && navigationController.signal].filter(Boolean);
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await send(path, { method, headers, body, timeout, signals, conditional });
+    } catch (err) {
+      if (!err.retryable || attempt >= retries) throw err;
+      await wait(BACKOFF_BASE_MS * 2 ** attempt + Math.random() * BACKOFF_BASE_MS, signals);
+    }
+  }
+}
+
+// Uploads may take much longer than the other requests
+const UPLOAD_TIMEOUT_MS = 5 * 60 * 1000;
 
-  const isJSON = res.headers.get('content-type')?.includes('application/json');
-  const payload = isJSON ? await res.json().catch(() => null) : null;
+/**
+ * Send a `multipart/form-data` request reporting the upload progress.
+ * Uses XMLHttpRequest: fetch cannot report the progress of a request body.
+ * Uploads are never retried nor cancelled on navigation.
+ *
+ * @param {string} path - API path (relative to BASE_URL).
+ * @param {FormData} formData - Fields and files to send.
+ * @param {Object} [options]
+ * @param {string} [options.method='POST']
+ * @param {(loaded: number, total: number) => void} [options.onProgress] - Bytes sent so far.
+ * @param {AbortSignal} [options.signal] - Cancels the upload.
+ * @param {number} [options.timeout=300000] - Milliseconds before the upload is aborted.
+ * @returns {Promise<any>} The parsed response payload.
+ * @throws {ApiError} Like `request`.
+ */
+function upload(path, formData, { method = 'POST', onProgress = () => {}, signal, timeout = UPLOAD_TIMEOUT_MS } = {}) {
+  const token = localStorage.getItem('token');
+  const headers = token ? { Authorization: `Bearer ${token}` } : {};
 
-  if (!res.ok) {
-    const msg = payload?.message || payload?.error || `HTTP ${res.status}`;
-    throw new Error(msg);
+  if (USE_MOCK_API) {
+    return import('./mockServer.js').then(async ({ mockUpload }) => {
+      const { status, payload } = await mockUpload(`${BASE_URL}${path}`, { method, headers, formData, onProgress, signal })
+        .catch((err) => {
+          if (err.name === 'AbortError') throw new ApiError('Subida cancelada.', { code: 'aborted', retryable: false });
+          throw err;
+        });
+      if (status >= 400) throw responseError(status, payload, token);
+      return payload;
+    });
   }
 
-  return payload;
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    xhr.open(method, `${BASE_URL}${path}`);
+    // No Content-Type: the browser sets the multipart boundary
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+    xhr.timeout = timeout;
+    xhr.responseType = 'json';
+
+    xhr.upload.onprogress = (e) => {
+      if (e.lengthComputable) onProgress(e.loaded, e.total);
+    };
+    xhr.onload = () => {
+      if (xhr.status >= 200 && xhr.status < 300) resolve(xhr.response);
+      else reject(responseError(xhr.status, xhr.response, token));
+    };
+    xhr.onerror = () => reject(new ApiError('No se pudo conectar con el servidor.', { status: 0 }));
+    xhr.ontimeout = () => reject(new ApiError('El servidor tardó demasiado en responder.', { code: 'timeout' }));
+    xhr.onabort = () => reject(new ApiError('Subida cancelada.', { code: 'aborted', retryable: false }));
+
+    if (signal?.aborted) return xhr.abort();
+    signal?.addEventListener('abort', () => xhr.abort(), { once: true });
+    xhr.send(formData);
+  });
+}
+
+/**
+ * Open the server-sent events stream of an API path.
+ *
+ * `EventSource` cannot send headers, and the JWT must not end up in a URL
+ * (server, proxy and browser history logs), so the path carries its own
+ * credentials: a short-lived ticket of the stream (see `openBoardEvents`).
+ * With the mock backend the stream is simulated (see `MockEventSource` in
+ * `mockServer.js`).
+ *
+ * @async
+ * @param {string} path - API path (relative to BASE_URL).
+ * @returns {Promise<EventSource|null>} The stream, or null if the browser does not support it.
+ */
+async function openEventStream(path) {
+  const url = `${BASE_URL}${path}`;
+  if (USE_MOCK_API) {
+    const { MockEventSource } = await import('./mockServer.js');
+    return new MockEventSource(url);
+  }
+  return typeof EventSource === 'undefined' ? null : new EventSource(url);
 }
 
 /**
@@ -55,15 +403,30 @@ export const http = {
   /**
    * Perform a GET request.
    * @param {string} path - API path.
-   * @param {Object} [opts] - Optional fetch options.
+   * @param {Object} [opts] - Optional request options (see `request`).
    */
   get: (path, opts) => request(path, { method: 'GET', ...opts }),
 
+  /**
+   * Perform a conditional GET: with the ETag of the last response, the server
+   * answers 304 when nothing changed. The API must expose the `ETag` header (CORS).
+   * @param {string} path - API path.
+   * @param {string|null} etag - ETag of the previous response, if any.
+   * @param {Object} [opts] - Optional request options (see `request`).
+   * @returns {Promise<{modified: boolean, etag: string|null, data: any}>} `data` is null when not modified.
+   */
+  getIfChanged: async (path, etag, opts = {}) => {
+    const headers = etag ? { 'If-None-Match': etag, ...opts.headers } : opts.headers;
+    const { status, etag: next, payload } = await request(path, { method: 'GET', ...opts, headers, conditional: true });
+    if (status === 304) return { modified: false, etag, data: null };
+    return { modified: true, etag: next, data: payload };
+  },
+
   /**
    * Perform a POST request.
    * @param {string} path - API path.
    * @param {Object} body - Request body.
-   * @param {Object} [opts] - Optional fetch options.
+   * @param {Object} [opts] - Optional request options (see `request`).
    */
   post: (path, body, opts) => request(path, { method: 'POST', body, ...opts }),
 
@@ -71,14 +434,28 @@ export const http = {
    * Perform a PUT request.
    * @param {string} path - API path.
    * @param {Object} body - Request body.
-   * @param {Object} [opts] - Optional fetch options.
+   * @param {Object} [opts] - Optional request options (see `request`).
    */
   put: (path, body, opts) => request(path, { method: 'PUT', body, ...opts }),
 
   /**
    * Perform a DELETE request.
    * @param {string} path - API path.
-   * @param {Object} [opts] - Optional fetch options.
+   * @param {Object} [opts] - Optional request options (see `request`).
    */
   del: (path, opts) => request(path, { method: 'DELETE', ...opts }),
+
+  /**
+   * Upload files with `multipart/form-data` (see `upload`).
+   * @param {string} path - API path.
+   * @param {FormData} formData - Fields and files.
+   * @param {Object} [opts] - Upload options (`onProgress`, `signal`, `timeout`).
+   */
+  upload: (path, formData, opts) => upload(path, formData, opts),
+
+  /**
+   * Open a server-sent events stream (see `openEventStream`).
+   * @param {string} path - API path.
+   */
+  events: (path) => openEventStream(path),
 };
@@ -0,0 +1,778 @@
+/**
+ * In-browser stand-in of the backend, for local development and tests.
+ *
+ * Enabled with `VITE_MOCK_API=true`: the HTTP client then sends every
+ * request to `mockFetch` instead of the network. It implements the
+ * endpoints used by `userService.js` (register, login, refresh, boards and
+ * their members, tasks CRUD, attachments, comments, profile update/delete, forgot/reset password) over data kept
+ * in localStorage, so users and tasks survive reloads. Uploads go through
+ * `mockUpload` and are stored as data URLs, so they are limited to 1 MB.
+ * GET responses carry an ETag (answered with a 304 on `If-None-Match`) and
+ * the task events of a board are simulated by `MockEventSource`.
+ *
+ * Optional variables:
+ * - `VITE_MOCK_LATENCY`: average response time in ms (default 300).
+ * - `VITE_MOCK_FAILURE_RATE`: share of requests answered with a 503, from 0 to 1 (default 0).
+ *
+ * Both can be changed at runtime from the console through `window.mockBackend`.
+ */
+
+const DATA_KEY = 'mockBackendData';
+const TOKEN_TTL_S = 60 * 60;
+const STREAM_TICKET_TTL_MS = 30 * 1000;
+
+const config = {
+  latency: Number(import.meta.env.VITE_MOCK_LATENCY ?? 300),
+  failureRate: Number(import.meta.env.VITE_MOCK_FAILURE_RATE ?? 0),
+};
+
+// Users and tasks of the fake backend
+function load() {
+  try {
+    const data = JSON.parse(localStorage.getItem(DATA_KEY));
+    if (data?.users && data?.tasks) return data;
+  } catch (e) {
+    // Corrupted data: start again
+  }
+  return { users: [], tasks: [], resetTokens: {} };
+}
+
+function save(data) {
+  localStorage.setItem(DATA_KEY, JSON.stringify(data));
+}
+
+const newId = () => `${Date.now().toString(16)}${Math.random().toString(16).slice(2, 10)}`;
+
+// base64url of a UTF-8 string
+function base64url(text) {
+  const bytes = new TextEncoder().encode(text);
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Unsigned JWT with the user id and an expiry, readable by `session.js`.
+ *
+ * @param {string} userId
+ * @returns {string}
+ */
+function createToken(userId) {
+  const exp = Math.floor(Date.now() / 1000) + TOKEN_TTL_S;
+  return [
+    base64url(JSON.stringify({ alg: 'none', typ: 'JWT' })),
+    base64url(JSON.stringify({ sub: userId, exp })),
+    'mock',
+  ].join('.');
+}
+
+// User of the `Authorization` header, or null if the token is missing, expired or unknown
+function authenticate(data, headers) {
+  const token = (headers.Authorization || headers.authorization || '').replace(/^Bearer /, '');
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    if (payload.exp * 1000 < Date.now()) return null;
+    return data.users.find((user) => user.id === payload.sub) || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// User without the password
+const publicUser = ({ password, ...user }) => user;
+
+const PASSWORD_REGEX = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[\W_]).{8,}$/;
+const TASK_FIELDS = [
+  'title', 'details', 'date', 'time', 'status', 'priority', 'labels', 'checklist', 'recurrence', 'reminder', 'assignees', 'column',
+];
+
+const ROLE_RANK = { viewer: 0, editor: 1, owner: 2 };
+
+// Tickets of the event streams, valid once: `{ userId, boardId, expiresAt }` by ticket.
+// Kept in memory, like a real server would, so they never reach localStorage
+const streamTickets = new Map();
+
+// Thrown by the handlers, turned into an error response
+class MockError extends Error {
+  constructor(status, message, extra = {}) {
+    super(message);
+    this.status = status;
+    this.extra = extra;
+  }
+}
+
+// Missing required fields, as `fieldErrors`
+function requireFields(body, fields) {
+  const fieldErrors = Object.fromEntries(
+    fields.filter((field) => !String(body?.[field] ?? '').trim()).map((field) => [field, 'Este campo es obligatorio.'])
+  );
+  if (Object.keys(fieldErrors).length) {
+    throw new MockError(400, 'Faltan campos obligatorios', { code: 'validation', fieldErrors });
+  }
+}
+
+function requireUser(data, headers) {
+  const user = authenticate(data, headers);
+  if (!user) throw new MockError(401, 'Token inválido o expirado');
+  return user;
+}
+
+// Role of a user on a board (members are identified by email), or null if they are not a member
+function boardRole(board, user) {
+  return board.members.find((member) => member.email === user.email)?.role || null;
+}
+
+function checkRole(role, minRole) {
+  if (ROLE_RANK[role] < ROLE_RANK[minRole]) {
+    throw new MockError(403, 'No tienes permiso para hacer esto en este tablero', { code: 'forbidden' });
+  }
+}
+
+function findBoard(data, user, id, minRole = 'viewer') {
+  const board = (data.boards || []).find((b) => b._id === id);
+  const role = board && boardRole(board, user);
+  if (!role) throw new MockError(404, 'Tablero no encontrado');
+  checkRole(role, minRole);
+  return board;
+}
+
+// Task of a board the user is a member of (or a personal task of the user), with at least `minRole`
+function findTask(data, user, id, minRole = 'viewer') {
+  const task = data.tasks.find((t) => t._id === id);
+  const board = task?.boardId && (data.boards || []).find((b) => b._id === task.boardId);
+  const role = board ? boardRole(board, user) : task?.userId === user.id && 'owner';
+  if (!role) throw new MockError(404, 'Tarea no encontrada');
+  checkRole(role, minRole);
+  return task;
+}
+
+// Board as returned by the API: with the role of the user and the names of the members
+function publicBoard(data, user, board) {
+  return {
+    ...board,
+    role: boardRole(board, user),
+    members: board.members.map((member) => {
+      const account = data.users.find((u) => u.email === member.email);
+      return {
+        ...member,
+        name: account ? [account.username, account.lastname].filter(Boolean).join(' ') : '',
+        pending: !account,
+      };
+    }),
+  };
+}
+
+function checkMemberRole(role) {
+  if (!['editor', 'viewer'].includes(role)) {
+    throw new MockError(400, 'Rol no válido', { code: 'validation', fieldErrors: { role: 'Elige editor o lector.' } });
+  }
+}
+
+// Task as returned by the API
+const publicTask = ({ userId, ...task }) => task;
+
+/**
+ * Endpoints: `[method, path pattern, handler(ctx)]`. The handler gets
+ * `{ data, body, headers, params, query }` and returns the response body; it
+ * may change `data`, which is saved after it returns.
+ */
+const ROUTES = [
+  ['POST', '/api/v1/users/register', ({ data, body }) => {
+    requireFields(body, ['username', 'lastname', 'birthdate', 'email', 'password']);
+    if (!PASSWORD_REGEX.test(body.password)) {
+      throw new MockError(400, 'Contraseña no válida', {
+        code: 'validation',
+        fieldErrors: { password: 'Mínimo 8 caracteres, con mayúsculas, minúsculas, números y símbolos.' },
+      });
+    }
+    const email = body.email.trim().toLowerCase();
+    if (data.users.some((user) => user.email === email)) {
+      throw new MockError(409, 'El correo ya está registrado', { code: 'conflict' });
+    }
+    const user = {
+      id: newId(),
+      username: body.username,
+      lastname: body.lastname,
+      birthdate: body.birthdate,
+      email,
+      bio: body.bio || '',
+      password: body.password,
+    };
+    data.users.push(user);
+    return publicUser(user);
+  }],
+
+  ['POST', '/api/v1/auth/login', ({ data, body }) => {
+    const email = String(body?.email || '').trim().toLowerCase();
+    const user = data.users.find((u) => u.email === email && u.password === body?.password);
+    if (!user) throw new MockError(401, 'Credenciales inválidas');
+    return { token: createToken(user.id), user: publicUser(user) };
+  }],
+
+  ['POST', '/api/v1/auth/refresh', ({ data, headers }) => {
+    const user = requireUser(data, headers);
+    return { token: createToken(user.id) };
+  }],
+
+  ['GET', '/api/v1/boards', ({ data, headers }) => {
+    const user = requireUser(data, headers);
+    data.boards = data.boards || [];
+    // Every user has a personal board, which gets the tasks created before boards existed
+    if (!data.boards.some((board) => board.ownerId === user.id)) {
+      const board = {
+        _id: newId(),
+        name: 'Mi tablero',
+        ownerId: user.id,
+        members: [{ _id: newId(), email: user.email, role: 'owner' }],
+        createdAt: new Date().toISOString(),
+      };
+      data.boards.push(board);
+      data.tasks.forEach((task) => {
+        if (task.userId === user.id && !task.boardId) task.boardId = board._id;
+      });
+    }
+    return data.boards.filter((board) => boardRole(board, user)).map((board) => publicBoard(data, user, board));
+  }],
+
+  ['POST', '/api/v1/boards', ({ data, headers, body }) => {
+    const user = requireUser(data, headers);
+    requireFields(body, ['name']);
+    const board = {
+      _id: newId(),
+      name: String(body.name).trim(),
+      ownerId: user.id,
+      members: [{ _id: newId(), email: user.email, role: 'owner' }],
+      createdAt: new Date().toISOString(),
+    };
+    data.boards = [...(data.boards || []), board];
+    return publicBoard(data, user, board);
+  }],
+
+  ['PUT', '/api/v1/boards/:id', ({ data, headers, params, body }) => {
+    const user = requireUser(data, headers);
+    const board = findBoard(data, user, params.id, 'owner');
+    requireFields(body, ['name']);
+    board.name = String(body.name).trim();
+    return publicBoard(data, user, board);
+  }],
+
+  ['DELETE', '/api/v1/boards/:id', ({ data, headers, params }) => {
+    const user = requireUser(data, headers);
+    findBoard(data, user, params.id, 'owner');
+    const removed = new Set(data.tasks.filter((task) => task.boardId === params.id).map((task) => task._id));
+    data.boards = data.boards.filter((board) => board._id !== params.id);
+    data.tasks = data.tasks.filter((task) => !removed.has(task._id));
+    data.comments = (data.comments || []).filter((comment) => !removed.has(comment.taskId));
+    return { message: 'Tablero eliminado' };
+  }],
+
+  ['PUT', '/api/v1/boards/:id/columns', ({ data, headers, params, body }) => {
+    const user = requireUser(data, headers);
+    const board = findBoard(data, user, params.id, 'editor');
+    if (!Array.isArray(body?.columns) || !body.columns.every((column) => column?.id && column.name)) {
+      throw new MockError(400, 'Columnas no válidas', { code: 'validation' });
+    }
+    board.columns = body.columns;
+    return publicBoard(data, user, board);
+  }],
+
+  ['POST', '/api/v1/boards/:id/events/ticket', ({ data, headers, params }) => {
+    const user = requireUser(data, headers);
+    findBoard(data, user, params.id);
+    const now = Date.now();
+    streamTickets.forEach((ticket, key) => ticket.expiresAt < now && streamTickets.delete(key));
+    const ticket = newId();
+    streamTickets.set(ticket, { userId: user.id, boardId: params.id, expiresAt: now + STREAM_TICKET_TTL_MS });
+    return { ticket, expiresIn: STREAM_TICKET_TTL_MS / 1000 };
+  }],
+
+  ['POST', '/api/v1/boards/:id/members', ({ data, headers, params, body }) => {
+    const user = requireUser(data, headers);
+    const board = findBoard(data, user, params.id, 'owner');
+    requireFields(body, ['email', 'role']);
+    const email = String(body.email).trim().toLowerCase();
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      throw new MockError(400, 'Correo no válido', { code: 'validation', fieldErrors: { email: 'Introduce un correo electrónico válido.' } });
+    }
+    checkMemberRole(body.role);
+    if (board.members.some((member) => member.email === email)) {
+      throw new MockError(409, 'Ya es miembro del tablero', {
+        code: 'conflict',
+        fieldErrors: { email: 'Esta persona ya es miembro del tablero.' },
+      });
+    }
+    board.members.push({ _id: newId(), email, role: body.role });
+    return publicBoard(data, user, board);
+  }],
+
+  ['PUT', '/api/v1/boards/:id/members/:memberId', ({ data, headers, params, body }) => {
+    const user = requireUser(data, headers);
+    const board = findBoard(data, user, params.id, 'owner');
+    const member = board.members.find((m) => m._id === params.memberId);
+    if (!member) throw new MockError(404, 'Miembro no encontrado');
+    if (member.role === 'owner') throw new MockError(403, 'El rol del propietario no se puede cambiar', { code: 'forbidden' });
+    checkMemberRole(body?.role);
+    member.role = body.role;
+    return publicBoard(data, user, board);
+  }],
+
+  ['DELETE', '/api/v1/boards/:id/members/:memberId', ({ data, headers, params }) => {
+    const user = requireUser(data, headers);
+    const board = findBoard(data, user, params.id);
+    const member = board.members.find((m) => m._id === params.memberId);
+    if (!member) throw new MockError(404, 'Miembro no encontrado');
+    if (member.role === 'owner') throw new MockError(403, 'El propietario no puede salir del tablero', { code: 'forbidden' });
+    // Members may leave; only the owner removes other people
+    if (member.email !== user.email) checkRole(boardRole(board, user), 'owner');
+    board.members = board.members.filter((m) => m !== member);
+    return { message: 'Miembro eliminado' };
+  }],
+
+  ['GET', '/api/v1/tasks', ({ data, headers, query }) => {
+    const user = requireUser(data, headers);
+    if (query.board) {
+      findBoard(data, user, query.board);
+      return data.tasks.filter((task) => task.boardId === query.board).map(publicTask);
+    }
+    return data.tasks.filter((task) => task.userId === user.id && !task.boardId).map(publicTask);
+  }],
+
+  ['POST', '/api/v1/tasks', ({ data, headers, body }) => {
+    const user = requireUser(data, headers);
+    requireFields(body, ['title', 'date', 'status']);
+    if (body.boardId) findBoard(data, user, body.boardId, 'editor');
+    // Sent again (e.g. after a timeout): the task created the first time
+    const existing = body.clientId && data.tasks.find((t) => t.userId === user.id && t.clientId === body.clientId);
+    if (existing) return publicTask(existing);
+    const now = new Date().toISOString();
+    const task = { _id: newId(), userId: user.id, boardId: body.boardId || null, createdAt: now, updatedAt: now };
+    if (body.clientId) task.clientId = String(body.clientId);
+    TASK_FIELDS.forEach((field) => {
+      if (body[field] !== undefined) task[field] = body[field];
+    });
+    data.tasks.push(task);
+    return publicTask(task);
+  }],
+
+  ['GET', '/api/v1/tasks/:id', ({ data, headers, params }) => {
+    const user = requireUser(data, headers);
+    return publicTask(findTask(data, user, params.id));
+  }],
+
+  ['PUT', '/api/v1/tasks/:id', ({ data, headers, params, body }) => {
+    const user = requireUser(data, headers);
+    const task = findTask(data, user, params.id, 'editor');
+    TASK_FIELDS.forEach((field) => {
+      if (body?.[field] !== undefined) task[field] = body[field];
+    });
+    task.updatedAt = new Date().toISOString();
+    return publicTask(task);
+  }],
+
+  ['DELETE', '/api/v1/tasks/:id', ({ data, headers, params }) => {
+    const user = requireUser(data, headers);
+    findTask(data, user, params.id, 'editor');
+    data.tasks = data.tasks.filter((task) => task._id !== params.id);
+    data.comments = (data.comments || []).filter((comment) => comment.taskId !== params.id);
+    return { message: 'Tarea eliminada' };
+  }],
+
+  ['GET', '/api/v1/tasks/:id/comments', ({ data, headers, params }) => {
+    const user = requireUser(data, headers);
+    findTask(data, user, params.id);
+    return (data.comments || []).filter((comment) => comment.taskId === params.id);
+  }],
+
+  ['POST', '/api/v1/tasks/:id/comments', ({ data, headers, params, body }) => {
+    const user = requireUser(data, headers);
+    findTask(data, user, params.id);
+    requireFields(body, ['text']);
+    const text = String(body.text).trim();
+    if (text.length > 1000) {
+      throw new MockError(400, 'Comentario demasiado largo', {
+        code: 'validation',
+        fieldErrors: { text: 'El comentario no puede tener más de 1000 caracteres.' },
+      });
+    }
+    const comment = {
+      _id: newId(),
+      taskId: params.id,
+      userId: user.id,
+      author: [user.username, user.lastname].filter(Boolean).join(' '),
+      text,
+      createdAt: new Date().toISOString(),
+    };
+    data.comments = [...(data.comments || []), comment];
+    return comment;
+  }],
+
+  ['DELETE', '/api/v1/tasks/:id/comments/:commentId', ({ data, headers, params }) => {
+    const user = requireUser(data, headers);
+    const comment = (data.comments || []).find((c) => c._id === params.commentId && c.taskId === params.id);
+    if (!comment) throw new MockError(404, 'Comentario no encontrado');
+    if (comment.userId !== user.id) throw new MockError(403, 'Solo puedes eliminar tus comentarios', { code: 'forbidden' });
+    data.comments = data.comments.filter((c) => c !== comment);
+    return { message: 'Comentario eliminado' };
+  }],
+
+  ['DELETE', '/api/v1/tasks/:id/attachments/:attachmentId', ({ data, headers, params }) => {
+    const user = requireUser(data, headers);
+    const task = findTask(data, user, params.id, 'editor');
+    if (!(task.attachments || []).some((a) => a._id === params.attachmentId)) {
+      throw new MockError(404, 'Adjunto no encontrado');
+    }
+    task.attachments = task.attachments.filter((a) => a._id !== params.attachmentId);
+    return publicTask(task);
+  }],
+
+  ['PUT', '/api/v1/users/:id', ({ data, headers, params, body }) => {
+    const user = requireUser(data, headers);
+    if (user.id !== params.id) throw new MockError(403, 'No puedes editar otro usuario');
+    requireFields(body, ['username', 'lastname', 'email']);
+    const email = body.email.trim().toLowerCase();
+    if (data.users.some((u) => u.id !== user.id && u.email === email)) {
+      throw new MockError(409, 'El correo ya está registrado', {
+        code: 'conflict',
+        fieldErrors: { email: 'Ya existe una cuenta con este correo electrónico.' },
+      });
+    }
+    // Board memberships and assignments follow the new email
+    (data.boards || []).forEach((board) =>
+      board.members.forEach((member) => {
+        if (member.email === user.email) member.email = email;
+      })
+    );
+    data.tasks.forEach((task) => {
+      if (task.assignees) task.assignees = task.assignees.map((a) => (a === user.email ? email : a));
+    });
+    Object.assign(user, {
+      username: body.username,
+      lastname: body.lastname,
+      email,
+      birthdate: body.birthdate ?? user.birthdate,
+      bio: body.bio ?? user.bio,
+    });
+    return publicUser(user);
+  }],
+
+  ['DELETE', '/api/v1/users/:id', ({ data, headers, params }) => {
+    const user = requireUser(data, headers);
+    if (user.id !== params.id) throw new MockError(403, 'No puedes eliminar otro usuario');
+    data.users = data.users.filter((u) => u.id !== user.id);
+    const owned = new Set((data.boards || []).filter((board) => board.ownerId === user.id).map((board) => board._id));
+    data.boards = (data.boards || [])
+      .filter((board) => !owned.has(board._id))
+      .map((board) => ({ ...board, members: board.members.filter((member) => member.email !== user.email) }));
+    data.tasks = data.tasks.filter((task) => (task.boardId ? !owned.has(task.boardId) : task.userId !== user.id));
+    return { message: 'Cuenta eliminada' };
+  }],
+
+  ['POST', '/api/v1/password/forgot-password', ({ data, body }) => {
+    requireFields(body, ['email']);
+    const user = data.users.find((u) => u.email === body.email.trim().toLowerCase());
+    // Same answer whether the account exists or not, like the real API
+    if (user) {
+      const token = newId();
+      data.resetTokens[token] = { userId: user.id, expires: Date.now() + 60 * 60 * 1000 };
+      console.info(`[mock] Enlace de recuperación: ${location.origin}${location.pathname}#/reset-password/${token}`);
+    }
+    return { message: 'Si el correo existe, te enviamos un enlace de recuperación.' };
+  }],
+
+  ['POST', '/api/v1/password/reset-password/:token', ({ data, params, body }) => {
+    const reset = data.resetTokens[params.token];
+    if (!reset || reset.expires < Date.now()) {
+      throw new MockError(400, 'Token inválido o expirado', { code: 'invalid_token' });
+    }
+    if (!PASSWORD_REGEX.test(body?.newPassword || '')) {
+      throw new MockError(400, 'Contraseña no válida', {
+        code: 'validation',
+        fieldErrors: { newPassword: 'Mínimo 8 caracteres, con mayúsculas, minúsculas, números y símbolos.' },
+      });
+    }
+    const user = data.users.find((u) => u.id === reset.userId);
+    if (user) user.password = body.newPassword;
+    delete data.resetTokens[params.token];
+    return { message: 'Contraseña actualizada' };
+  }],
+];
+
+// Handler and path parameters of a request
+function matchRoute(method, pathname) {
+  for (const [routeMethod, pattern, handler] of ROUTES) {
+    if (routeMethod !== method) continue;
+    const keys = [];
+    const regex = new RegExp(
+      `^${pattern.replace(/:(\w+)/g, (_, key) => {
+        keys.push(key);
+        return '([^/]+)';
+      })}$`
+    );
+    const match = regex.exec(pathname);
+    if (match) {
+      const params = Object.fromEntries(keys.map((key, i) => [key, decodeURIComponent(match[i + 1])]));
+      return { handler, params };
+    }
+  }
+  return null;
+}
+
+const json = (status, body, headers = {}) =>
+  new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+
+// Entity tag of a response body (FNV-1a hash of its JSON)
+function etagOf(body) {
+  let hash = 0x811c9dc5;
+  const text = JSON.stringify(body);
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return `"${(hash >>> 0).toString(16)}"`;
+}
+
+// Wait the simulated latency (±50%), rejecting like fetch if the request is aborted
+function delay(signal) {
+  const ms = config.latency * (0.5 + Math.random());
+  return new Promise((resolve, reject) => {
+    const abort = () => {
+      clearTimeout(timer);
+      reject(new DOMException('The operation was aborted.', 'AbortError'));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', abort);
+      resolve();
+    }, ms);
+    if (signal?.aborted) abort();
+    else signal?.addEventListener('abort', abort, { once: true });
+  });
+}
+
+/**
+ * Drop-in replacement of `fetch` for the API requests.
+ *
+ * @async
+ * @param {string} url - Absolute URL of the request.
+ * @param {RequestInit} [init]
+ * @returns {Promise<Response>}
+ */
+export async function mockFetch(url, { method = 'GET', headers = {}, body, signal } = {}) {
+  await delay(signal);
+
+  if (Math.random() < config.failureRate) {
+    return json(503, { message: 'Fallo simulado del servidor de pruebas' });
+  }
+
+  const { pathname, searchParams } = new URL(url, location.origin);
+  const route = matchRoute(method, pathname);
+  if (!route) return json(404, { message: `Ruta no encontrada: ${method} ${pathname}` });
+
+  const data = load();
+  try {
+    const result = route.handler({
+      data,
+      headers,
+      params: route.params,
+      query: Object.fromEntries(searchParams),
+      body: body ? JSON.parse(body) : {},
+    });
+    save(data);
+    if (method !== 'GET') return json(200, result);
+    const etag = etagOf(result);
+    if ((headers['If-None-Match'] || headers['if-none-match']) === etag) {
+      return new Response(null, { status: 304, headers: { ETag: etag } });
+    }
+    return json(200, result, { ETag: etag });
+  } catch (err) {
+    if (!(err instanceof MockError)) throw err;
+    return json(err.status, { message: err.message, ...err.extra });
+  }
+}
+
+const MAX_UPLOAD_SIZE = 1024 * 1024;
+
+// Content of a file as a data URL
+function readAsDataURL(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+}
+
+/**
+ * Stand-in of a multipart upload (`POST /api/v1/tasks/:id/attachments` with a `file` field).
+ * The progress is reported in steps during the simulated latency.
+ *
+ * @async
+ * @param {string} url - Absolute URL of the request.
+ * @param {Object} options
+ * @param {string} options.method
+ * @param {Object} options.headers
+ * @param {FormData} options.formData
+ * @param {(loaded: number, total: number) => void} options.onProgress
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<{status: number, payload: Object}>}
+ * @throws {DOMException} AbortError if the upload is aborted, like fetch.
+ */
+export async function mockUpload(url, { method, headers, formData, onProgress, signal }) {
+  const file = formData.get('file');
+  const total = file?.size || 0;
+  for (let step = 1; step <= 5; step++) {
+    await delay(signal);
+    onProgress(Math.round((total * step) / 5), total);
+  }
+
+  if (Math.random() < config.failureRate) {
+    return { status: 503, payload: { message: 'Fallo simulado del servidor de pruebas' } };
+  }
+
+  const { pathname } = new URL(url, location.origin);
+  const match = /^\/api\/v1\/tasks\/([^/]+)\/attachments$/.exec(pathname);
+  if (method !== 'POST' || !match) return { status: 404, payload: { message: `Ruta no encontrada: ${method} ${pathname}` } };
+
+  const data = load();
+  try {
+    const user = requireUser(data, headers);
+    const task = findTask(data, user, decodeURIComponent(match[1]), 'editor');
+    if (!(file instanceof File)) throw new MockError(400, 'Falta el archivo', { fieldErrors: { file: 'Elige un archivo.' } });
+    if (file.size > MAX_UPLOAD_SIZE) throw new MockError(413, 'El servidor de pruebas solo admite archivos de hasta 1 MB');
+
+    const attachment = {
+      _id: newId(),
+      name: file.name,
+      type: file.type,
+      size: file.size,
+      url: await readAsDataURL(file),
+      createdAt: new Date().toISOString(),
+    };
+    task.attachments = [...(task.attachments || []), attachment];
+    save(data);
+    return { status: 200, payload: attachment };
+  } catch (err) {
+    if (!(err instanceof MockError)) throw err;
+    return { status: err.status, payload: { message: err.message, ...err.extra } };
+  }
+}
+
+/**
+ * Stand-in of `EventSource` for the task events of a board
+ * (`GET /api/v1/boards/:id/events?ticket=...`, with a ticket of
+ * `POST /api/v1/boards/:id/events/ticket`).
+ *
+ * The fake backend lives in localStorage, so the changes made in other tabs
+ * arrive as `storage` events: the tasks of the board are compared with their
+ * previous version and sent as `task.created`, `task.updated` and
+ * `task.deleted` events. Open the same board in two tabs to try it.
+ */
+export class MockEventSource extends EventTarget {
+  /**
+   * @param {string} url - Absolute URL of the stream.
+   */
+  constructor(url) {
+    super();
+    this.url = url;
+    this.readyState = 0;
+    const { pathname, searchParams } = new URL(url, location.origin);
+    this.boardId = decodeURIComponent(/^\/api\/v1\/boards\/([^/]+)\/events$/.exec(pathname)?.[1] || '');
+    // A ticket opens one stream
+    this.ticket = streamTickets.get(searchParams.get('ticket'));
+    streamTickets.delete(searchParams.get('ticket'));
+    this.onStorage = (e) => {
+      if (e.key === DATA_KEY) this.dispatchChanges(e.oldValue, e.newValue);
+    };
+    delay().then(() => this.connect());
+  }
+
+  // Open the stream if the ticket is valid and the user may see the board; otherwise fail like a 4xx response
+  connect() {
+    if (this.readyState === 2) return;
+    const valid = this.ticket?.boardId === this.boardId && this.ticket.expiresAt >= Date.now();
+    if (!valid || !this.hasAccess(load()) || Math.random() < config.failureRate) {
+      this.close();
+      this.dispatchEvent(new Event('error'));
+      return;
+    }
+    this.readyState = 1;
+    window.addEventListener('storage', this.onStorage);
+    this.dispatchEvent(new Event('open'));
+  }
+
+  hasAccess(data) {
+    try {
+      const user = data.users.find((u) => u.id === this.ticket?.userId);
+      if (!user) return false;
+      findBoard(data, user, this.boardId);
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+
+  // Send the changes of the tasks of the board between two versions of the data
+  dispatchChanges(oldValue, newValue) {
+    const parse = (value) => {
+      try {
+        return JSON.parse(value) || {};
+      } catch (e) {
+        return {};
+      }
+    };
+    const next = parse(newValue);
+    if (!this.hasAccess(next.users ? next : { users: [], tasks: [] })) {
+      // Removed from the board, board deleted or account deleted: the server closes the stream
+      this.close();
+      this.dispatchEvent(new Event('error'));
+      return;
+    }
+
+    const tasksOf = (data) =>
+      new Map((data.tasks || []).filter((task) => task.boardId === this.boardId).map((task) => [task._id, task]));
+    const before = tasksOf(parse(oldValue));
+    const after = tasksOf(next);
+    const send = (type, payload) => this.dispatchEvent(new MessageEvent(type, { data: JSON.stringify(payload) }));
+
+    after.forEach((task, id) => {
+      if (!before.has(id)) send('task.created', { task: publicTask(task) });
+      else if (JSON.stringify(before.get(id)) !== JSON.stringify(task)) send('task.updated', { task: publicTask(task) });
+    });
+    before.forEach((task, id) => {
+      if (!after.has(id)) send('task.deleted', { id });
+    });
+  }
+
+  close() {
+    this.readyState = 2;
+    window.removeEventListener('storage', this.onStorage);
+  }
+}
+
+/**
+ * Console helpers of the fake backend.
+ */
+export const mockBackend = {
+  config,
+
+  /**
+   * @param {number} ms - Average response time.
+   */
+  setLatency(ms) {
+    config.latency = Number(ms) || 0;
+  },
+
+  /**
+   * @param {number} rate - Share of requests that fail with a 503, from 0 to 1.
+   */
+  setFailureRate(rate) {
+    config.failureRate = Math.min(Math.max(Number(rate) || 0, 0), 1);
+  },
+
+  /**
+   * Delete every fake user and task.
+   */
+  reset() {
+    localStorage.removeItem(DATA_KEY);
+  },
+};
@@ -0,0 +1,253 @@
+import { html, setHTML } from "../utils/html.js";
+import { renderMarkdown } from "../utils/markdown.js";
+import { formatRelativeTime, parseDateKey } from "../utils/dates.js";
+import { PRIORITIES } from "./labels.js";
+import { REMINDER_OPTIONS } from "./reminders.js";
+
+/**
+ * Activity panel of the task modal: the comment thread of a task (kept by
+ * the server) merged with its activity log (see `taskActivity.js`), newest
+ * first, with relative timestamps.
+ */
+
+const ICONS = {
+  created: "fa-plus-circle",
+  restored: "fa-undo",
+  deleted: "fa-trash",
+  updated: "fa-pen",
+  "attachment-added": "fa-paperclip",
+  "attachment-removed": "fa-paperclip",
+};
+
+// Readable date of a `YYYY-MM-DD` key
+const formatDay = (key) => parseDateKey(key)?.toLocaleDateString("es") || "sin fecha";
+
+const reminderName = (value) => REMINDER_OPTIONS.find((option) => option.value === value)?.label || "Sin recordatorio";
+
+/**
+ * Sentence describing one changed field.
+ *
+ * @param {{field: string, from?: *, to?: *}} change
+ * @param {(status: string) => string} statusName - Name of the column of a status.
+ * @returns {string}
+ */
+function describeChange({ field, from, to }, statusName) {
+  switch (field) {
+    case "status":
+      return `cambió el estado de "${statusName(from)}" a "${statusName(to)}"`;
+    case "title":
+      return `cambió el título de "${from}" a "${to}"`;
+    case "date":
+      return `movió la fecha del ${formatDay(from)} al ${formatDay(to)}`;
+    case "time":
+      return `cambió la hora de ${from || "—"} a ${to || "—"}`;
+    case "priority":
+      return `cambió la prioridad de ${PRIORITIES[from]?.label || from} a ${PRIORITIES[to]?.label || to}`;
+    case "reminder":
+      return `cambió el recordatorio a "${reminderName(to)}"`;
+    case "details":
+      return "editó los detalles";
+    case "labels":
+      return "cambió las etiquetas";
+    case "checklist":
+      return "actualizó las subtareas";
+    case "recurrence":
+      return "cambió la repetición";
+    case "assignees":
+      return "cambió los asignados";
+    default:
+      return `cambió ${field}`;
+  }
+}
+
+/**
+ * What an activity entry says after the name of the user.
+ *
+ * @param {Object} entry
+ * @param {(status: string) => string} statusName
+ * @returns {string|Array<string>} One sentence, or the changes of an update of several fields.
+ */
+function describeEntry(entry, statusName) {
+  switch (entry.type) {
+    case "created":
+      return "creó la tarea";
+    case "restored":
+      return "restauró la tarea";
+    case "deleted":
+      return "eliminó la tarea";
+    case "attachment-added":
+      return `adjuntó "${entry.name}"`;
+    case "attachment-removed":
+      return `eliminó el adjunto "${entry.name}"`;
+    default: {
+      const changes = (entry.changes || []).map((change) => describeChange(change, statusName));
+      return changes.length === 1 ? changes[0] : changes;
+    }
+  }
+}
+
+// Relative time with the full date as tooltip
+const timestamp = (at) => html`
+  <time class="activity-time" datetime="${at}" title="${new Date(at).toLocaleString("es")}">${formatRelativeTime(at)}</time>
+`;
+
+/**
+ * Create the activity panel of the task modal.
+ *
+ * @param {Object} options
+ * @param {HTMLElement} options.panel - Section hidden for tasks not saved on the server.
+ * @param {HTMLElement} options.feed - List of comments and activity.
+ * @param {HTMLFormElement} options.form - Comment form.
+ * @param {HTMLTextAreaElement} options.input - Comment text.
+ * @param {(taskId: string) => Array<Object>} options.getEntries - Activity log of a task.
+ * @param {(taskId: string) => Promise<Array<Object>>} options.loadComments
+ * @param {(taskId: string, text: string) => Promise<Object>} options.addComment - Resolves to the new comment.
+ * @param {(taskId: string, commentId: string) => Promise<void>} options.removeComment
+ * @param {(status: string) => string} options.statusName - Name of the column of a status.
+ * @param {() => string|undefined} options.currentUserId - Id of the logged-in user (authors may delete their comments).
+ * @param {(message: string, err: Error) => void} options.onError
+ * @returns {{load: (task: Object|null) => void, refresh: () => void}}
+ */
+export function createActivityPanel({
+  panel,
+  feed,
+  form,
+  input,
+  getEntries,
+  loadComments,
+  addComment,
+  removeComment,
+  statusName,
+  currentUserId,
+  onError,
+}) {
+  let taskId = null;
+  let comments = [];
+  let loading = false;
+
+  function render() {
+    if (!feed || !taskId) return;
+    const items = [
+      ...comments.map((comment) => ({ kind: "comment", at: comment.createdAt, comment })),
+      ...getEntries(taskId).map((entry) => ({ kind: "entry", at: entry.at, entry })),
+    ].sort((a, b) => new Date(b.at) - new Date(a.at));
+
+    setHTML(
+      feed,
+      html`
+        ${loading && html`<li class="activity-empty">Cargando comentarios...</li>`}
+        ${!loading && !items.length && html`<li class="activity-empty">Aún no hay actividad.</li>`}
+        ${items.map(({ kind, comment, entry }) => {
+          if (kind === "comment") {
+            return html`
+              <li class="activity-item activity-comment" data-comment-id="${comment._id}">
+                <div class="activity-meta">
+                  <i class="fas fa-comment"></i>
+                  <strong>${comment.author || "Usuario"}</strong>
+                  ${timestamp(comment.createdAt)}
+                  ${
+                    comment.userId === currentUserId() &&
+                    html`<button type="button" class="task-action-btn comment-delete-btn" title="Eliminar comentario">
+                      <i class="fas fa-trash"></i>
+                    </button>`
+                  }
+                </div>
+                <div class="markdown comment-text">${renderMarkdown(comment.text)}</div>
+              </li>
+            `;
+          }
+          const text = describeEntry(entry, statusName);
+          return html`
+            <li class="activity-item">
+              <div class="activity-meta">
+                <i class="fas ${ICONS[entry.type] || "fa-history"}"></i>
+                <span><strong>${entry.user}</strong> ${Array.isArray(text) ? "editó la tarea" : text}</span>
+                ${timestamp(entry.at)}
+              </div>
+              ${Array.isArray(text) && html`<ul class="activity-changes">${text.map((change) => html`<li>${change}</li>`)}</ul>`}
+            </li>
+          `;
+        })}
+      `
+    );
+  }
+
+  form?.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const text = input.value.trim();
+    if (!text || !taskId) return;
+
+    const id = taskId;
+    const button = form.querySelector("button[type='submit']");
+    button.disabled = true;
+    try {
+      const comment = await addComment(id, text);
+      if (taskId !== id) return;
+      comments = [...comments, comment];
+      input.value = "";
+      render();
+    } catch (err) {
+      onError("No se pudo publicar el comentario.", err);
+    } finally {
+      button.disabled = false;
+    }
+  });
+
+  // Ctrl/Cmd + Enter publishes the comment
+  input?.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) form.requestSubmit();
+  });
+
+  feed?.addEventListener("click", async (e) => {
+    const button = e.target.closest(".comment-delete-btn");
+    if (!button || !confirm("¿Eliminar este comentario?")) return;
+    const id = taskId;
+    const commentId = button.closest("[data-comment-id]").dataset.commentId;
+    button.disabled = true;
+    try {
+      await removeComment(id, commentId);
+      if (taskId !== id) return;
+      comments = comments.filter((comment) => comment._id !== commentId);
+      render();
+    } catch (err) {
+      button.disabled = false;
+      onError("No se pudo eliminar el comentario.", err);
+    }
+  });
+
+  return {
+    /**
+     * Show the comments and activity of a task.
+     *
+     * @param {Object|null} task - The task being edited; null (new task) or a task
+     *   created offline (temporary id) hides the panel.
+     */
+    async load(task) {
+      taskId = task && !task._id.startsWith("tmp-") ? task._id : null;
+      comments = [];
+      if (input) input.value = "";
+      if (panel) panel.hidden = !taskId;
+      if (!taskId) return;
+
+      const id = taskId;
+      loading = true;
+      render();
+      try {
+        const loaded = await loadComments(id);
+        if (taskId === id) comments = loaded || [];
+      } catch (err) {
+        if (taskId === id && err.code !== "aborted") onError("No se pudieron cargar los comentarios.", err);
+      } finally {
+        if (taskId === id) {
+          loading = false;
+          render();
+        }
+      }
+    },
+
+    /**
+     * Draw the feed again (new activity, relative times).
+     */
+    refresh: render,
+  };
+}
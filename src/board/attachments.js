@@ -0,0 +1,271 @@
+import { html, setHTML } from "../utils/html.js";
+
+/**
+ * Files attached to a task.
+ *
+ * A task may carry `attachments`: an array of `{ _id, name, type, size, url, createdAt }`
+ * managed by the server (uploaded and deleted through their own endpoints).
+ * This module holds the attachments field of the task modal: drop zone,
+ * upload progress, image thumbnails and removal.
+ */
+
+export const MAX_ATTACHMENT_SIZE = 10 * 1024 * 1024;
+
+export const MAX_ATTACHMENTS = 10;
+
+/**
+ * Accepted file types and the icon of the ones without a thumbnail.
+ */
+export const ATTACHMENT_TYPES = {
+  "image/png": "fa-file-image",
+  "image/jpeg": "fa-file-image",
+  "image/gif": "fa-file-image",
+  "image/webp": "fa-file-image",
+  "application/pdf": "fa-file-pdf",
+  "text/plain": "fa-file-alt",
+};
+
+// URLs that may be used as a link or thumbnail (never javascript: or the like)
+const SAFE_URL = /^(https?:|blob:|data:|\/)/i;
+
+/**
+ * Human-readable file size.
+ *
+ * @param {number} bytes
+ * @returns {string} E.g. "512 B", "1.4 KB", "3.2 MB".
+ */
+export function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Check a file before uploading it.
+ *
+ * @param {File} file
+ * @returns {string|null} Why the file cannot be attached, or null if it can.
+ */
+export function checkFile(file) {
+  if (!ATTACHMENT_TYPES[file.type]) {
+    return `"${file.name}": solo se admiten imágenes (PNG, JPG, GIF, WebP), PDF y texto.`;
+  }
+  if (file.size > MAX_ATTACHMENT_SIZE) {
+    return `"${file.name}" ocupa ${formatSize(file.size)}; el máximo es ${formatSize(MAX_ATTACHMENT_SIZE)}.`;
+  }
+  return null;
+}
+
+/**
+ * Create the attachments field of the task modal.
+ *
+ * Files of a saved task are uploaded as soon as they are chosen. A task
+ * that is not created yet keeps them as pending files, uploaded by
+ * `uploadPending` once the task has an id.
+ *
+ * @param {Object} elements
+ * @param {HTMLElement} elements.dropZone - Area where files can be dropped (a click opens the file picker).
+ * @param {HTMLInputElement} elements.input - File input.
+ * @param {HTMLElement} elements.list - Container of the attachments.
+ * @param {(taskId: string, file: File, onProgress: Function) => Promise<Object>} elements.upload - Uploads one file.
+ * @param {(taskId: string, attachmentId: string) => Promise<void>} elements.remove - Deletes one attachment.
+ * @param {(message: string, err?: Error) => void} elements.onError - Shows an error.
+ * @returns {{load: (task: Object|null) => void, uploadPending: (taskId: string) => Promise<number>, hasPending: () => boolean}}
+ */
+export function createAttachmentsField({ dropZone, input, list, upload, remove, onError }) {
+  let taskId = null;
+  let attachments = [];
+  // Files chosen for a task not created yet: { key, file, url }
+  let pending = [];
+  // Uploads in progress: { key, name, loaded, total }
+  let uploads = [];
+
+  const newKey = () => `file-${Math.random().toString(36).slice(2, 10)}`;
+
+  function render() {
+    if (!list) return;
+    const item = ({ key, name, type, size, url }, removeTitle) => {
+      const link = SAFE_URL.test(url) ? url : "#";
+      return html`
+        <li class="attachment-item" data-key="${key}">
+          <a class="attachment-preview" href="${link}" target="_blank" rel="noopener noreferrer" download="${name}">
+            ${
+              type.startsWith("image/")
+                ? html`<img src="${link}" alt="" loading="lazy" />`
+                : html`<i class="fas ${ATTACHMENT_TYPES[type] || "fa-file"}"></i>`
+            }
+          </a>
+          <div class="attachment-info">
+            <span class="attachment-name" title="${name}">${name}</span>
+            <span class="attachment-size">${formatSize(size)}</span>
+          </div>
+          <button type="button" class="task-action-btn task-delete-btn attachment-remove" title="${removeTitle}">
+            <i class="fas fa-trash"></i>
+          </button>
+        </li>
+      `;
+    };
+
+    setHTML(
+      list,
+      html`
+        ${attachments.map((a) => item({ ...a, key: a._id }, "Eliminar adjunto"))}
+        ${pending.map((p) =>
+          item({ key: p.key, name: p.file.name, type: p.file.type, size: p.file.size, url: p.url }, "Quitar archivo")
+        )}
+        ${uploads.map(
+          (u) => html`
+            <li class="attachment-item uploading" data-key="${u.key}">
+              <div class="attachment-preview"><i class="fas fa-spinner fa-spin"></i></div>
+              <div class="attachment-info">
+                <span class="attachment-name" title="${u.name}">${u.name}</span>
+                <progress class="attachment-progress" max="${u.total}" value="${u.loaded}"></progress>
+              </div>
+            </li>
+          `
+        )}
+      `
+    );
+  }
+
+  // Update one progress bar without redrawing the list
+  function setProgress(upload, loaded, total) {
+    Object.assign(upload, { loaded, total });
+    const bar = list?.querySelector(`[data-key="${upload.key}"] progress`);
+    if (bar) Object.assign(bar, { max: total, value: loaded });
+  }
+
+  /**
+   * Upload a file to a task, showing its progress while this task is open.
+   *
+   * @param {string} id - Task id.
+   * @param {File} file
+   * @returns {Promise<boolean>} Whether it was uploaded.
+   */
+  async function send(id, file) {
+    const entry = { key: newKey(), name: file.name, loaded: 0, total: file.size };
+    uploads = [...uploads, entry];
+    if (taskId === id) render();
+    try {
+      const attachment = await upload(id, file, (loaded, total) => setProgress(entry, loaded, total));
+      if (taskId === id) attachments = [...attachments, attachment];
+      return true;
+    } catch (err) {
+      onError(`No se pudo subir "${file.name}".`, err);
+      return false;
+    } finally {
+      uploads = uploads.filter((u) => u !== entry);
+      if (taskId === id) render();
+    }
+  }
+
+  function addFiles(files) {
+    const count = attachments.length + pending.length + uploads.length;
+    [...files].forEach((file, index) => {
+      const problem =
+        count + index >= MAX_ATTACHMENTS
+          ? `"${file.name}": una tarea no puede tener más de ${MAX_ATTACHMENTS} adjuntos.`
+          : checkFile(file);
+      if (problem) onError(problem);
+      else if (taskId) send(taskId, file);
+      else pending = [...pending, { key: newKey(), file, url: URL.createObjectURL(file) }];
+    });
+    render();
+  }
+
+  function clearPending() {
+    pending.forEach((p) => URL.revokeObjectURL(p.url));
+    pending = [];
+  }
+
+  list?.addEventListener("click", async (e) => {
+    const button = e.target.closest(".attachment-remove");
+    if (!button) return;
+    const key = button.closest("[data-key]").dataset.key;
+
+    const file = pending.find((p) => p.key === key);
+    if (file) {
+      URL.revokeObjectURL(file.url);
+      pending = pending.filter((p) => p !== file);
+      render();
+      return;
+    }
+
+    const attachment = attachments.find((a) => a._id === key);
+    if (!attachment || !confirm(`¿Eliminar el archivo "${attachment.name}"?`)) return;
+    const id = taskId;
+    button.disabled = true;
+    try {
+      await remove(id, attachment._id);
+      if (taskId !== id) return;
+      attachments = attachments.filter((a) => a !== attachment);
+      render();
+    } catch (err) {
+      button.disabled = false;
+      onError(`No se pudo eliminar "${attachment.name}".`, err);
+    }
+  });
+
+  input?.addEventListener("change", () => {
+    addFiles(input.files);
+    input.value = "";
+  });
+
+  dropZone?.addEventListener("click", (e) => {
+    if (e.target !== input) input?.click();
+  });
+  dropZone?.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      input?.click();
+    }
+  });
+  dropZone?.addEventListener("dragover", (e) => {
+    if (!e.dataTransfer?.types.includes("Files")) return;
+    e.preventDefault();
+    dropZone.classList.add("dragover");
+  });
+  dropZone?.addEventListener("dragleave", (e) => {
+    if (!dropZone.contains(e.relatedTarget)) dropZone.classList.remove("dragover");
+  });
+  dropZone?.addEventListener("drop", (e) => {
+    e.preventDefault();
+    dropZone.classList.remove("dragover");
+    if (e.dataTransfer?.files.length) addFiles(e.dataTransfer.files);
+  });
+
+  return {
+    /**
+     * Show the attachments of a task.
+     *
+     * @param {Object|null} task - The task being edited, or null for a new task.
+     *   A task created offline (temporary id) is treated as a new one.
+     */
+    load(task) {
+      clearPending();
+      uploads = [];
+      taskId = task && !task._id.startsWith("tmp-") ? task._id : null;
+      attachments = task?.attachments || [];
+      render();
+    },
+
+    /**
+     * Upload the pending files to a task that was just saved, showing their progress.
+     *
+     * @param {string} id - Id of the task (as returned by the server).
+     * @returns {Promise<number>} Number of files that could not be uploaded.
+     */
+    async uploadPending(id) {
+      const files = pending.map((p) => p.file);
+      clearPending();
+      taskId = id;
+      const results = await Promise.all(files.map((file) => send(id, file)));
+      return results.filter((ok) => !ok).length;
+    },
+
+    /**
+     * @returns {boolean} Whether there are files waiting for the task to be created.
+     */
+    hasPending: () => pending.length > 0,
+  };
+}
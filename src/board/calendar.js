@@ -0,0 +1,248 @@
+import { toDateKey, parseDateKey, addDays, startOfWeek } from "../utils/dates.js";
+import { isOverdue } from "./filters.js";
+
+/**
+ * Month and week calendar of the tasks.
+ *
+ * Tasks are placed on the day of their `date`, sorted by `time`. Clicking
+ * a day asks for a new task on that date and dragging a task to another
+ * day reschedules it (both through callbacks, the calendar never calls
+ * the API itself).
+ */
+
+const WEEKDAYS = ["Lun", "Mar", "Mié", "Jue", "Vie", "Sáb", "Dom"];
+
+/**
+ * Read the calendar state from a route query.
+ *
+ * @param {Object<string, string>} [query={}] - Route query (`?view=week&date=2026-10-19`).
+ * @returns {{mode: "month"|"week", date: string}}
+ */
+export function readCalendarState(query = {}) {
+  return {
+    mode: query.view === "week" ? "week" : "month",
+    date: parseDateKey(query.date) ? query.date : toDateKey(new Date()),
+  };
+}
+
+/**
+ * Route query of a calendar state (defaults are left out).
+ *
+ * @param {{mode: string, date: string}} state
+ * @returns {Object<string, string>}
+ */
+export function calendarToQuery({ mode, date }) {
+  const query = {};
+  if (mode === "week") query.view = "week";
+  if (date !== toDateKey(new Date())) query.date = date;
+  return query;
+}
+
+/**
+ * Days shown by the calendar (whole weeks, Monday first).
+ *
+ * @param {{mode: string, date: string}} state
+ * @returns {Date[]}
+ */
+export function visibleDays({ mode, date }) {
+  const current = parseDateKey(date);
+  if (mode === "week") {
+    const start = startOfWeek(current);
+    return Array.from({ length: 7 }, (_, i) => addDays(start, i));
+  }
+  const first = new Date(current.getFullYear(), current.getMonth(), 1);
+  const start = startOfWeek(first);
+  return Array.from({ length: 42 }, (_, i) => addDays(start, i));
+}
+
+/**
+ * Date the calendar shows after moving one period back or forward.
+ *
+ * @param {{mode: string, date: string}} state
+ * @param {number} step - -1 for previous, 1 for next.
+ * @returns {string} Date key.
+ */
+function shiftDate({ mode, date }, step) {
+  const current = parseDateKey(date);
+  if (mode === "week") return toDateKey(addDays(current, step * 7));
+  return toDateKey(new Date(current.getFullYear(), current.getMonth() + step, 1));
+}
+
+/**
+ * Title of the period shown (e.g. "octubre de 2026" or "19 oct – 25 oct 2026").
+ *
+ * @param {{mode: string, date: string}} state
+ * @returns {string}
+ */
+function periodTitle(state) {
+  const current = parseDateKey(state.date);
+  if (state.mode === "month") {
+    return current.toLocaleDateString("es", { month: "long", year: "numeric" });
+  }
+  const days = visibleDays(state);
+  const format = { day: "numeric", month: "short" };
+  return `${days[0].toLocaleDateString("es", format)} – ${days[6].toLocaleDateString("es", format)} ${days[6].getFullYear()}`;
+}
+
+/**
+ * Create the calendar inside a container.
+ *
+ * @param {Object} options
+ * @param {HTMLElement} options.container - Element the calendar renders into.
+ * @param {(dateKey: string) => void} options.onDayClick - A day was clicked (create a task on it).
+ * @param {(taskId: string) => void} options.onTaskClick - A task was clicked (open it).
+ * @param {(taskId: string, dateKey: string) => void} options.onTaskDrop - A task was dropped on another day.
+ * @param {(state: {mode: string, date: string}) => void} options.onNavigate - Period or mode changed.
+ * @returns {{render: (tasks: Array<Object>, state: {mode: string, date: string}) => void}}
+ */
+export function createCalendar({ container, onDayClick, onTaskClick, onTaskDrop, onNavigate }) {
+  let state = readCalendarState();
+
+  function button(text, title, onClick, active = false) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "calendar-nav-btn";
+    btn.classList.toggle("active", active);
+    btn.textContent = text;
+    btn.title = title;
+    btn.addEventListener("click", onClick);
+    return btn;
+  }
+
+  function renderHeader() {
+    const header = document.createElement("div");
+    header.className = "calendar-header";
+
+    const nav = document.createElement("div");
+    nav.className = "calendar-nav";
+    nav.append(
+      button("‹", "Anterior", () => onNavigate({ ...state, date: shiftDate(state, -1) })),
+      button("Hoy", "Ir a hoy", () => onNavigate({ ...state, date: toDateKey(new Date()) })),
+      button("›", "Siguiente", () => onNavigate({ ...state, date: shiftDate(state, 1) }))
+    );
+
+    const title = document.createElement("h2");
+    title.className = "calendar-title";
+    title.textContent = periodTitle(state);
+
+    const modes = document.createElement("div");
+    modes.className = "calendar-nav";
+    modes.append(
+      button("Mes", "Vista mensual", () => onNavigate({ ...state, mode: "month" }), state.mode === "month"),
+      button("Semana", "Vista semanal", () => onNavigate({ ...state, mode: "week" }), state.mode === "week")
+    );
+
+    header.append(nav, title, modes);
+    return header;
+  }
+
+  function renderTask(task) {
+    const item = document.createElement("button");
+    item.type = "button";
+    item.className = `calendar-task status-${task.status}`;
+    item.classList.toggle("overdue", isOverdue(task));
+    item.draggable = true;
+    item.dataset.taskId = task._id;
+    item.title = `${task.time || ""} ${task.title}`.trim();
+
+    if (task.time) {
+      const time = document.createElement("span");
+      time.className = "calendar-task-time";
+      time.textContent = task.time;
+      item.appendChild(time);
+    }
+    item.append(task.title);
+
+    item.addEventListener("click", (e) => {
+      e.stopPropagation();
+      onTaskClick(task._id);
+    });
+    item.addEventListener("dragstart", (e) => {
+      e.dataTransfer.effectAllowed = "move";
+      e.dataTransfer.setData("text/plain", task._id);
+      item.classList.add("dragging");
+    });
+    item.addEventListener("dragend", () => item.classList.remove("dragging"));
+    return item;
+  }
+
+  function renderDay(day, tasksOfDay) {
+    const key = toDateKey(day);
+    const current = parseDateKey(state.date);
+
+    const cell = document.createElement("div");
+    cell.className = "calendar-day";
+    cell.dataset.date = key;
+    cell.classList.toggle("today", key === toDateKey(new Date()));
+    cell.classList.toggle("outside", state.mode === "month" && day.getMonth() !== current.getMonth());
+    cell.tabIndex = 0;
+    cell.title = "Crear tarea este día";
+
+    const number = document.createElement("div");
+    number.className = "calendar-day-number";
+    number.textContent =
+      state.mode === "week"
+        ? day.toLocaleDateString("es", { weekday: "short", day: "numeric" })
+        : day.getDate();
+
+    const list = document.createElement("div");
+    list.className = "calendar-day-tasks";
+    list.append(...tasksOfDay.map(renderTask));
+
+    cell.append(number, list);
+
+    cell.addEventListener("click", () => onDayClick(key));
+    cell.addEventListener("keydown", (e) => {
+      if (e.target === cell && (e.key === "Enter" || e.key === " ")) {
+        e.preventDefault();
+        onDayClick(key);
+      }
+    });
+    cell.addEventListener("dragover", (e) => {
+      e.preventDefault();
+      cell.classList.add("drag-over");
+    });
+    cell.addEventListener("dragleave", (e) => {
+      if (!cell.contains(e.relatedTarget)) cell.classList.remove("drag-over");
+    });
+    cell.addEventListener("drop", (e) => {
+      e.preventDefault();
+      cell.classList.remove("drag-over");
+      const taskId = e.dataTransfer.getData("text/plain");
+      if (taskId) onTaskDrop(taskId, key);
+    });
+    return cell;
+  }
+
+  return {
+    /**
+     * Render the tasks for the given period.
+     *
+     * @param {Array<Object>} tasks - Tasks to place (already filtered).
+     * @param {{mode: string, date: string}} nextState - Period and mode to show.
+     */
+    render(tasks, nextState) {
+      state = nextState;
+      const byDate = new Map();
+      tasks.forEach((task) => {
+        if (!byDate.has(task.date)) byDate.set(task.date, []);
+        byDate.get(task.date).push(task);
+      });
+      byDate.forEach((list) => list.sort((a, b) => (a.time || "").localeCompare(b.time || "")));
+
+      const grid = document.createElement("div");
+      grid.className = `calendar-grid ${state.mode}`;
+      grid.append(
+        ...WEEKDAYS.map((name) => {
+          const head = document.createElement("div");
+          head.className = "calendar-weekday";
+          head.textContent = name;
+          return head;
+        }),
+        ...visibleDays(state).map((day) => renderDay(day, byDate.get(toDateKey(day)) || []))
+      );
+
+      container.replaceChildren(renderHeader(), grid);
+    },
+  };
+}
@@ -0,0 +1,157 @@
+/**
+ * Task checklists (subtasks).
+ *
+ * A task may carry a `checklist`: an ordered array of `{ id, text, done }`.
+ * This module holds the checklist editor of the task modal and the
+ * progress bar shown on the cards.
+ */
+
+/**
+ * Clean up a checklist: drop empty items and make sure each one has an id.
+ *
+ * @param {Array<{id?: string, text: string, done?: boolean}>|undefined} items
+ * @returns {Array<{id: string, text: string, done: boolean}>}
+ */
+export function normalizeChecklist(items) {
+  return (Array.isArray(items) ? items : [])
+    .map((item) => ({
+      id: String(item?.id || `item-${Math.random().toString(36).slice(2, 10)}`),
+      text: String(item?.text ?? "").trim(),
+      done: Boolean(item?.done),
+    }))
+    .filter((item) => item.text);
+}
+
+/**
+ * @param {Array<{done: boolean}>|undefined} items
+ * @returns {{done: number, total: number}} Completed and total items.
+ */
+export function checklistProgress(items) {
+  const list = normalizeChecklist(items);
+  return { done: list.filter((item) => item.done).length, total: list.length };
+}
+
+/**
+ * Build the "3/5" progress bar of a card.
+ *
+ * @param {{done: number, total: number}} progress
+ * @returns {HTMLElement}
+ */
+export function createProgressBar({ done, total }) {
+  const wrapper = document.createElement("div");
+  wrapper.className = "checklist-progress";
+  wrapper.classList.toggle("complete", done === total);
+  wrapper.title = `${done} de ${total} subtareas completadas`;
+
+  const bar = document.createElement("div");
+  bar.className = "checklist-progress-bar";
+  const fill = document.createElement("div");
+  fill.className = "checklist-progress-fill";
+  fill.style.width = `${total ? Math.round((done / total) * 100) : 0}%`;
+  bar.appendChild(fill);
+
+  const text = document.createElement("span");
+  text.className = "checklist-progress-text";
+  text.textContent = `${done}/${total}`;
+
+  wrapper.append(bar, text);
+  return wrapper;
+}
+
+/**
+ * Create the checklist editor of the task modal: add, check, reorder
+ * and delete items.
+ *
+ * @param {Object} elements
+ * @param {HTMLElement} elements.list - Container of the items.
+ * @param {HTMLInputElement} elements.input - Text input for new items.
+ * @param {HTMLButtonElement} elements.addButton - Button that adds the typed item.
+ * @param {() => void} [elements.onComplete] - Called when the last pending item gets checked.
+ * @returns {{getItems: () => Array<Object>, setItems: (items: Array<Object>) => void}}
+ */
+export function createChecklistEditor({ list, input, addButton, onComplete = () => {} }) {
+  let items = [];
+
+  function move(index, offset) {
+    const target = index + offset;
+    if (target < 0 || target >= items.length) return;
+    const next = [...items];
+    [next[index], next[target]] = [next[target], next[index]];
+    items = next;
+    render();
+    list.querySelectorAll(offset < 0 ? ".checklist-up" : ".checklist-down")[target]?.focus();
+  }
+
+  function iconButton(className, title, icon, onClick, disabled = false) {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = `task-action-btn ${className}`;
+    btn.title = title;
+    btn.disabled = disabled;
+    btn.innerHTML = `<i class="fas ${icon}"></i>`;
+    btn.addEventListener("click", onClick);
+    return btn;
+  }
+
+  function render() {
+    if (!list) return;
+    list.replaceChildren(
+      ...items.map((item, index) => {
+        const row = document.createElement("li");
+        row.className = "checklist-item";
+        row.classList.toggle("done", item.done);
+
+        const checkbox = document.createElement("input");
+        checkbox.type = "checkbox";
+        checkbox.checked = item.done;
+        checkbox.setAttribute("aria-label", `Completar: ${item.text}`);
+        checkbox.addEventListener("change", () => {
+          items = items.map((i) => (i.id === item.id ? { ...i, done: checkbox.checked } : i));
+          render();
+          if (checkbox.checked && items.every((i) => i.done)) onComplete();
+        });
+
+        const text = document.createElement("span");
+        text.className = "checklist-text";
+        text.textContent = item.text;
+
+        row.append(
+          checkbox,
+          text,
+          iconButton("checklist-up", "Subir", "fa-arrow-up", () => move(index, -1), index === 0),
+          iconButton("checklist-down", "Bajar", "fa-arrow-down", () => move(index, 1), index === items.length - 1),
+          iconButton("task-delete-btn", "Eliminar subtarea", "fa-trash", () => {
+            items = items.filter((i) => i.id !== item.id);
+            render();
+          })
+        );
+        return row;
+      })
+    );
+  }
+
+  function add() {
+    const text = input?.value.trim();
+    if (!text) return;
+    items = [...items, ...normalizeChecklist([{ text }])];
+    input.value = "";
+    render();
+    input.focus();
+  }
+
+  addButton?.addEventListener("click", add);
+  input?.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      add();
+    }
+  });
+
+  return {
+    getItems: () => items,
+    setItems(next) {
+      items = normalizeChecklist(next);
+      render();
+    },
+  };
+}
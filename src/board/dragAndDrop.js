@@ -0,0 +1,187 @@
+/**
+ * Drag-and-drop (and keyboard) movement of task cards between board columns.
+ *
+ * Cards are moved in the DOM right away (optimistic UI) and the `onMove`
+ * callback is awaited afterwards; if it rejects, the card is put back where
+ * it was. The order of the cards inside each column is kept in localStorage
+ * so it survives reloads.
+ */
+
+const ORDER_KEY = "taskOrder";
+
+/**
+ * Read the stored card order of every column.
+ *
+ * @returns {Object<string, string[]>} Task ids per column status.
+ */
+export function getStoredOrder() {
+  try {
+    return JSON.parse(localStorage.getItem(ORDER_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Sort tasks following the stored column order.
+ * Tasks that are not in the stored order keep their relative position at the end.
+ *
+ * @param {Array<Object>} tasks - Tasks with `_id` and front-end `status`.
+ * @returns {Array<Object>} A new, sorted array.
+ */
+export function sortByStoredOrder(tasks) {
+  const order = getStoredOrder();
+  const position = (task) => {
+    const index = (order[task.status] || []).indexOf(task._id);
+    return index === -1 ? Number.MAX_SAFE_INTEGER : index;
+  };
+  return tasks
+    .map((task, i) => ({ task, i }))
+    .sort((a, b) => position(a.task) - position(b.task) || a.i - b.i)
+    .map(({ task }) => task);
+}
+
+/**
+ * Persist the current card order of the given column lists.
+ * Tasks hidden by a filter keep their stored order after the visible ones.
+ *
+ * @param {HTMLElement[]} lists - Column containers with a `data-status` attribute.
+ * @returns {void}
+ */
+export function saveColumnOrder(lists) {
+  const order = getStoredOrder();
+  const visible = new Set(
+    [...document.querySelectorAll(".task-item")].map((card) => card.dataset.taskId)
+  );
+  lists.forEach((list) => {
+    const ids = [...list.querySelectorAll(".task-item")].map((card) => card.dataset.taskId);
+    const hidden = (order[list.dataset.status] || []).filter((id) => !visible.has(id));
+    order[list.dataset.status] = [...ids, ...hidden];
+  });
+  localStorage.setItem(ORDER_KEY, JSON.stringify(order));
+}
+
+/**
+ * Enable drag-and-drop and keyboard movement of cards between columns.
+ *
+ * Keyboard: with a card focused, Alt+←/→ moves it to the previous/next
+ * column and Alt+↑/↓ moves it up/down inside its column.
+ *
+ * @param {Object} options
+ * @param {HTMLElement[]} options.lists - Column containers (`data-status` set), in visual order.
+ * @param {(move: {taskId: string, from: string, to: string}) => Promise<void>} options.onMove -
+ *   Called when a card changes column. Rejecting rolls the card back.
+ * @param {() => void} [options.onChange] - Called after any DOM change (e.g. to refresh empty states).
+ * @returns {void}
+ */
+export function initDragAndDrop({ lists, onMove, onChange = () => {} }) {
+  let dragged = null;
+
+  /**
+   * Move a card into `list` before `before` and sync the change.
+   * Reorders inside the same column are only saved locally.
+   */
+  async function moveCard(card, list, before = null) {
+    const from = card.parentElement;
+    const origin = { list: from, next: card.nextElementSibling };
+    if (from === list && (before === card || card.nextElementSibling === before)) {
+      return;
+    }
+
+    list.querySelector(".empty-state")?.remove();
+    list.insertBefore(card, before);
+    onChange();
+    saveColumnOrder(lists);
+
+    if (from === list) return;
+
+    card.classList.add("task-pending");
+    try {
+      await onMove({
+        taskId: card.dataset.taskId,
+        from: from.dataset.status,
+        to: list.dataset.status,
+      });
+    } catch (err) {
+      // Roll back to the original position
+      const next = origin.next?.parentElement === origin.list ? origin.next : null;
+      origin.list.querySelector(".empty-state")?.remove();
+      origin.list.insertBefore(card, next);
+      onChange();
+      saveColumnOrder(lists);
+    } finally {
+      card.classList.remove("task-pending");
+    }
+  }
+
+  // Card placed right after the pointer, or null to append at the end
+  function cardAfterPointer(list, y) {
+    const cards = [...list.querySelectorAll(".task-item:not(.dragging)")];
+    return (
+      cards.find((card) => {
+        const box = card.getBoundingClientRect();
+        return y < box.top + box.height / 2;
+      }) || null
+    );
+  }
+
+  lists.forEach((list) => {
+    list.addEventListener("dragstart", (e) => {
+      const card = e.target.closest?.(".task-item");
+      if (!card) return;
+      dragged = card;
+      card.classList.add("dragging");
+      e.dataTransfer.effectAllowed = "move";
+      e.dataTransfer.setData("text/plain", card.dataset.taskId);
+    });
+
+    list.addEventListener("dragend", () => {
+      dragged?.classList.remove("dragging");
+      lists.forEach((l) => l.classList.remove("drag-over"));
+      dragged = null;
+    });
+
+    list.addEventListener("dragover", (e) => {
+      if (!dragged) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = "move";
+      list.classList.add("drag-over");
+    });
+
+    list.addEventListener("dragleave", (e) => {
+      if (!list.contains(e.relatedTarget)) list.classList.remove("drag-over");
+    });
+
+    list.addEventListener("drop", (e) => {
+      e.preventDefault();
+      list.classList.remove("drag-over");
+      if (!dragged) return;
+      const card = dragged;
+      moveCard(card, list, cardAfterPointer(list, e.clientY));
+    });
+
+    list.addEventListener("keydown", (e) => {
+      const card = e.target.closest?.(".task-item");
+      if (!card || e.target !== card || !e.altKey) return;
+
+      const current = lists.indexOf(card.parentElement);
+      let promise = null;
+
+      if (e.key === "ArrowLeft" && current > 0) {
+        promise = moveCard(card, lists[current - 1]);
+      } else if (e.key === "ArrowRight" && current < lists.length - 1) {
+        promise = moveCard(card, lists[current + 1]);
+      } else if (e.key === "ArrowUp" && card.previousElementSibling?.matches(".task-item")) {
+        promise = moveCard(card, card.parentElement, card.previousElementSibling);
+      } else if (e.key === "ArrowDown" && card.nextElementSibling?.matches(".task-item")) {
+        promise = moveCard(card, card.parentElement, card.nextElementSibling.nextElementSibling);
+      }
+
+      if (promise) {
+        e.preventDefault();
+        card.focus();
+        promise.finally(() => card.focus());
+      }
+    });
+  });
+}
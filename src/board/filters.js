@@ -0,0 +1,136 @@
+import { sortByStoredOrder } from "./dragAndDrop.js";
+import { toDateKey, taskDueDate, startOfWeek, addDays } from "../utils/dates.js";
+import { PRIORITIES, DEFAULT_PRIORITY, hasLabel } from "./labels.js";
+
+/**
+ * Search, date-range filters and sorting of the board.
+ *
+ * The filter state lives in the hash query of the board routes
+ * (`#/board?q=informe&range=week&priority=high&label=backend&sort=date`)
+ * so a filtered view can be shared.
+ */
+
+/**
+ * Default filter state: everything, in the board's manual order.
+ */
+export const DEFAULT_FILTERS = { q: "", range: "all", priority: "", label: "", sort: "manual" };
+
+const RANGES = ["all", "overdue", "today", "week"];
+const SORTS = ["manual", "date", "date-desc", "title", "priority"];
+
+/**
+ * Read the filter state from a route query, ignoring unknown values.
+ *
+ * @param {Object<string, string>} [query={}] - Route query parameters.
+ * @returns {{q: string, range: string, priority: string, label: string, sort: string}}
+ */
+export function readFilters(query = {}) {
+  return {
+    q: (query.q || "").trim(),
+    range: RANGES.includes(query.range) ? query.range : DEFAULT_FILTERS.range,
+    priority: PRIORITIES[query.priority] ? query.priority : DEFAULT_FILTERS.priority,
+    label: (query.label || "").trim(),
+    sort: SORTS.includes(query.sort) ? query.sort : DEFAULT_FILTERS.sort,
+  };
+}
+
+/**
+ * Convert a filter state to route query parameters, leaving out defaults.
+ *
+ * @param {{q: string, range: string, priority: string, label: string, sort: string}} filters
+ * @returns {Object<string, string>}
+ */
+export function filtersToQuery(filters) {
+  return Object.fromEntries(
+    Object.entries(filters).filter(([key, value]) => value && value !== DEFAULT_FILTERS[key])
+  );
+}
+
+/**
+ * @param {{q: string, range: string, priority: string, label: string}} filters
+ * @returns {boolean} Whether any filter hides tasks.
+ */
+export function hasActiveFilters(filters) {
+  return Boolean(filters.q || filters.priority || filters.label) || filters.range !== "all";
+}
+
+// Lower-case text without accents, for accent-insensitive search
+const normalize = (text) =>
+  String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+
+/**
+ * Whether a task is past its due moment and not completed.
+ *
+ * @param {Object} task - Task with `date`, `time` and front-end `status`.
+ * @param {Date} [now=new Date()] - Current moment.
+ * @returns {boolean}
+ */
+export function isOverdue(task, now = new Date()) {
+  const due = taskDueDate(task);
+  return Boolean(due) && task.status !== "done" && due < now;
+}
+
+/**
+ * Whether a task matches the date range.
+ *
+ * @param {Object} task - Task with `date`, `time` and front-end `status`.
+ * @param {string} range - `all`, `overdue`, `today` or `week`.
+ * @param {Date} now - Current moment.
+ * @returns {boolean}
+ */
+export function matchesRange(task, range, now) {
+  if (range === "all") return true;
+  const due = taskDueDate(task);
+  if (!due) return false;
+
+  if (range === "overdue") return isOverdue(task, now);
+  if (range === "today") return task.date === toDateKey(now);
+  if (range === "week") {
+    const start = startOfWeek(now);
+    return due >= start && due < addDays(start, 7);
+  }
+  return true;
+}
+
+/**
+ * Filter and sort the tasks of one column.
+ *
+ * @param {Array<Object>} tasks - Tasks of the column.
+ * @param {{q: string, range: string, priority: string, label: string, sort: string}} filters - Filter state.
+ * @param {Date} [now=new Date()] - Current moment (for date ranges).
+ * @returns {Array<Object>} A new array with the visible tasks, in display order.
+ */
+export function applyFilters(tasks, filters, now = new Date()) {
+  const terms = normalize(filters.q).split(/\s+/).filter(Boolean);
+
+  const visible = tasks.filter((task) => {
+    const text = normalize(`${task.title} ${task.details}`);
+    return (
+      terms.every((term) => text.includes(term)) &&
+      matchesRange(task, filters.range, now) &&
+      (!filters.priority || (task.priority || DEFAULT_PRIORITY) === filters.priority) &&
+      (!filters.label || hasLabel(task, filters.label))
+    );
+  });
+
+  const byDate = (a, b) =>
+    (taskDueDate(a)?.getTime() ?? Infinity) - (taskDueDate(b)?.getTime() ?? Infinity);
+
+  switch (filters.sort) {
+    case "date":
+      return visible.sort(byDate);
+    case "date-desc":
+      return visible.sort((a, b) => byDate(b, a));
+    case "priority": {
+      const rank = (task) => PRIORITIES[task.priority || DEFAULT_PRIORITY]?.rank ?? 0;
+      return visible.sort((a, b) => rank(b) - rank(a) || byDate(a, b));
+    }
+    case "title":
+      return visible.sort((a, b) => String(a.title).localeCompare(String(b.title), "es"));
+    default:
+      return sortByStoredOrder(visible);
+  }
+}
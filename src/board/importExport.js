@@ -0,0 +1,272 @@
+import { FORMATS, exportTasks, parseTasks, formatFromFileName } from "../utils/taskFormats.js";
+import { toDateKey } from "../utils/dates.js";
+import { normalizeLabels } from "./labels.js";
+
+/**
+ * Import/export modal of the board.
+ *
+ * Export downloads every task as JSON, CSV or .ics. Import reads one of
+ * those files, previews it (validation errors and duplicates) and creates
+ * the valid tasks in small batches, reporting the progress.
+ */
+
+const MAX_FILE_SIZE = 2 * 1024 * 1024;
+const BATCH_SIZE = 5;
+
+/**
+ * Make the browser download a text file.
+ *
+ * @param {string} content
+ * @param {string} fileName
+ * @param {string} mimeType
+ * @returns {void}
+ */
+export function downloadFile(content, fileName, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Create tasks a few at a time.
+ * Stops early if the session expires (every following request would fail).
+ *
+ * @async
+ * @param {Array<Object>} tasks - Tasks to create.
+ * @param {(task: Object) => Promise<Object>} create - Creates one task.
+ * @param {Object} [options]
+ * @param {number} [options.batchSize=5] - Requests sent at the same time.
+ * @param {(done: number, total: number) => void} [options.onProgress] - Called after every batch.
+ * @returns {Promise<{created: Array<Object>, failed: Array<{task: Object, error: Error}>}>}
+ */
+export async function createInBatches(tasks, create, { batchSize = BATCH_SIZE, onProgress = () => {} } = {}) {
+  const created = [];
+  const failed = [];
+
+  for (let i = 0; i < tasks.length; i += batchSize) {
+    const batch = tasks.slice(i, i + batchSize);
+    const results = await Promise.allSettled(batch.map((task) => create(task)));
+    results.forEach((result, j) => {
+      if (result.status === "fulfilled") created.push(batch[j]);
+      else failed.push({ task: batch[j], error: result.reason });
+    });
+    onProgress(Math.min(i + batchSize, tasks.length), tasks.length);
+    if (failed.some(({ error }) => error?.sessionExpired)) break;
+  }
+  return { created, failed };
+}
+
+/**
+ * Wire the import/export modal.
+ *
+ * @param {Object} options
+ * @param {HTMLSelectElement} options.exportFormat - Format of the export.
+ * @param {HTMLButtonElement} options.exportBtn
+ * @param {HTMLInputElement} options.file - File input of the import.
+ * @param {HTMLElement} options.summary - Text with the result of the preview / import.
+ * @param {HTMLElement} options.preview - Container of the preview table.
+ * @param {HTMLElement} options.duplicatesRow - Row of the "import duplicates" checkbox.
+ * @param {HTMLInputElement} options.duplicates - "Import duplicates" checkbox.
+ * @param {HTMLProgressElement} options.progress
+ * @param {HTMLButtonElement} options.importBtn
+ * @param {(status: string) => string} options.statusName - Name of the column of a status.
+ * @param {() => Array<Object>} [options.getColumns] - Columns of the board (to read their names in files).
+ * @param {() => Array<Object>} options.getExistingTasks - Tasks on the board (to detect duplicates).
+ * @param {() => Promise<Array<Object>>} options.fetchAllTasks - Tasks to export.
+ * @param {(tasks: Array<Object>, onProgress: Function) => Promise<{created: Array, failed: Array}|null>} options.importTasks -
+ *   Creates the tasks (see `createInBatches`); null if the user cancelled the import.
+ * @param {(message: string, err: Error) => void} options.onError - Shows an error to the user.
+ * @returns {{reset: () => void}}
+ */
+export function createImportExport({
+  exportFormat,
+  exportBtn,
+  file,
+  summary,
+  preview,
+  duplicatesRow,
+  duplicates,
+  progress,
+  importBtn,
+  statusName,
+  getColumns = () => [],
+  getExistingTasks,
+  fetchAllTasks,
+  importTasks,
+  onError,
+}) {
+  let entries = [];
+
+  exportFormat?.replaceChildren(
+    ...Object.entries(FORMATS).map(([format, { label }]) => new Option(label, format))
+  );
+
+  // Valid tasks of the file, plus the duplicated ones if the user wants them
+  function tasksToImport() {
+    return entries
+      .filter((entry) => !entry.errors.length && (!entry.duplicate || duplicates.checked))
+      .map((entry) => ({ ...entry.task, labels: normalizeLabels(entry.task.labels) }));
+  }
+
+  function cell(text, className) {
+    const td = document.createElement("td");
+    td.textContent = text;
+    if (className) td.className = className;
+    return td;
+  }
+
+  function renderPreview() {
+    const invalid = entries.filter((entry) => entry.errors.length).length;
+    const repeated = entries.filter((entry) => entry.duplicate).length;
+    const count = tasksToImport().length;
+
+    summary.textContent = entries.length
+      ? `${entries.length} tarea(s) en el archivo: ${entries.length - invalid - repeated} válidas, ` +
+        `${invalid} con errores, ${repeated} duplicadas.`
+      : "El archivo no contiene tareas.";
+    duplicatesRow.hidden = !repeated;
+    importBtn.disabled = !count;
+    importBtn.textContent = count ? `Importar ${count} tarea(s)` : "Importar";
+
+    if (!entries.length) {
+      preview.replaceChildren();
+      return;
+    }
+
+    const table = document.createElement("table");
+    table.className = "import-table";
+    const head = document.createElement("tr");
+    ["#", "Título", "Fecha", "Hora", "Estado", "Resultado"].forEach((title) => {
+      const th = document.createElement("th");
+      th.textContent = title;
+      head.appendChild(th);
+    });
+    table.appendChild(head);
+
+    entries.forEach(({ row, task, errors, duplicate }) => {
+      const tr = document.createElement("tr");
+      tr.className = errors.length ? "import-error" : duplicate ? "import-duplicate" : "import-ok";
+      const result = errors.length
+        ? errors.join(". ")
+        : duplicate
+          ? "Duplicada (ya existe una tarea igual)"
+          : "Lista para importar";
+      tr.append(
+        cell(row),
+        cell(task.title),
+        cell(task.date),
+        cell(task.time),
+        cell(statusName(task.status)),
+        cell(result, "import-result")
+      );
+      table.appendChild(tr);
+    });
+    preview.replaceChildren(table);
+  }
+
+  function reset() {
+    entries = [];
+    if (file) file.value = "";
+    summary.textContent = "";
+    preview.replaceChildren();
+    duplicatesRow.hidden = true;
+    duplicates.checked = false;
+    progress.hidden = true;
+    importBtn.disabled = true;
+    importBtn.textContent = "Importar";
+  }
+
+  exportBtn?.addEventListener("click", async () => {
+    const format = exportFormat.value;
+    exportBtn.disabled = true;
+    try {
+      const tasks = await fetchAllTasks();
+      const { extension, mimeType } = FORMATS[format];
+      downloadFile(exportTasks(tasks, format), `tareas-${toDateKey(new Date())}.${extension}`, mimeType);
+    } catch (err) {
+      console.error("Error al exportar las tareas:", err);
+      onError("No se pudieron exportar las tareas. Por favor, intenta de nuevo.", err);
+    } finally {
+      exportBtn.disabled = false;
+    }
+  });
+
+  file?.addEventListener("change", async () => {
+    const selected = file.files[0];
+    entries = [];
+    preview.replaceChildren();
+    importBtn.disabled = true;
+    if (!selected) return reset();
+
+    const format = formatFromFileName(selected.name);
+    if (!format) {
+      summary.textContent = "Formato no soportado: elige un archivo .json, .csv o .ics.";
+      return;
+    }
+    if (selected.size > MAX_FILE_SIZE) {
+      summary.textContent = "El archivo es demasiado grande (máximo 2 MB).";
+      return;
+    }
+
+    try {
+      entries = parseTasks(await selected.text(), format, getExistingTasks(), getColumns());
+      renderPreview();
+    } catch (err) {
+      summary.textContent = `No se pudo leer el archivo: ${err.message}`;
+    }
+  });
+
+  duplicates?.addEventListener("change", renderPreview);
+
+  importBtn?.addEventListener("click", async () => {
+    const tasks = tasksToImport();
+    if (!tasks.length) return;
+
+    importBtn.disabled = true;
+    file.disabled = true;
+    progress.hidden = false;
+    progress.max = tasks.length;
+    progress.value = 0;
+
+    try {
+      const result = await importTasks(tasks, (done, total) => {
+        progress.value = done;
+        summary.textContent = `Importando ${done} de ${total}...`;
+      });
+      if (!result) {
+        // Cancelled before creating anything: keep the preview
+        progress.hidden = true;
+        renderPreview();
+        return;
+      }
+
+      const { created, failed } = result;
+      entries = [];
+      file.value = "";
+      duplicatesRow.hidden = true;
+      summary.textContent = failed.length
+        ? `${created.length} tarea(s) importadas, ${failed.length} fallaron:`
+        : `${created.length} tarea(s) importadas.`;
+      const list = document.createElement("ul");
+      list.className = "import-failures";
+      list.append(
+        ...failed.map(({ task, error }) => {
+          const item = document.createElement("li");
+          item.textContent = `${task.title}: ${error?.message || "error desconocido"}`;
+          return item;
+        })
+      );
+      preview.replaceChildren(list);
+      importBtn.textContent = "Importar";
+    } finally {
+      file.disabled = false;
+    }
+  });
+
+  return { reset };
+}
@@ -0,0 +1,132 @@
+/**
+ * Task priorities and free-form colored labels.
+ *
+ * A task has one `priority` (`low`, `medium`, `high`, `urgent`) and any
+ * number of `labels` (`{ name, color }`). Labels are identified by their
+ * name, case-insensitively.
+ */
+
+/**
+ * Available priorities, from lowest to highest.
+ */
+export const PRIORITIES = {
+  low: { label: "Baja", rank: 0 },
+  medium: { label: "Media", rank: 1 },
+  high: { label: "Alta", rank: 2 },
+  urgent: { label: "Urgente", rank: 3 },
+};
+
+export const DEFAULT_PRIORITY = "medium";
+
+// Colors suggested for new labels
+const LABEL_PALETTE = ["#2563eb", "#16a34a", "#d97706", "#dc2626", "#7c3aed", "#0891b2", "#db2777", "#4b5563"];
+
+/**
+ * Suggested color for a label name (always the same for the same name).
+ *
+ * @param {string} name - Label name.
+ * @returns {string} Hex color.
+ */
+export function defaultLabelColor(name) {
+  const hash = [...name.toLowerCase()].reduce((acc, c) => (acc * 31 + c.charCodeAt(0)) >>> 0, 7);
+  return LABEL_PALETTE[hash % LABEL_PALETTE.length];
+}
+
+/**
+ * Clean up a list of labels: trim names, drop empty and duplicated ones
+ * and make sure every label has a valid color.
+ *
+ * @param {Array<{name: string, color?: string}>|undefined} labels
+ * @returns {Array<{name: string, color: string}>}
+ */
+export function normalizeLabels(labels) {
+  const seen = new Set();
+  return (Array.isArray(labels) ? labels : []).reduce((result, label) => {
+    const name = String(label?.name ?? label ?? "").trim().slice(0, 30);
+    const key = name.toLowerCase();
+    if (!name || seen.has(key)) return result;
+    seen.add(key);
+    const color = /^#[0-9a-f]{6}$/i.test(label?.color) ? label.color : defaultLabelColor(name);
+    result.push({ name, color });
+    return result;
+  }, []);
+}
+
+/**
+ * Labels used by at least one task, sorted by name.
+ *
+ * @param {Array<Object>} tasks
+ * @returns {Array<{name: string, color: string, count: number}>}
+ */
+export function labelsInUse(tasks) {
+  const byName = new Map();
+  tasks.forEach((task) => {
+    normalizeLabels(task.labels).forEach((label) => {
+      const key = label.name.toLowerCase();
+      const entry = byName.get(key) || { ...label, count: 0 };
+      entry.count += 1;
+      byName.set(key, entry);
+    });
+  });
+  return [...byName.values()].sort((a, b) => a.name.localeCompare(b.name, "es"));
+}
+
+/**
+ * Whether a task has a label (case-insensitive).
+ *
+ * @param {Object} task
+ * @param {string} name - Label name.
+ * @returns {boolean}
+ */
+export function hasLabel(task, name) {
+  const key = name.toLowerCase();
+  return normalizeLabels(task.labels).some((label) => label.name.toLowerCase() === key);
+}
+
+// Black or white text, whichever reads better on the background color
+function textColorFor(hex) {
+  const [r, g, b] = [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+  return r * 0.299 + g * 0.587 + b * 0.114 > 160 ? "#111827" : "#ffffff";
+}
+
+/**
+ * Build the chip of a label.
+ *
+ * @param {{name: string, color: string}} label
+ * @param {Object} [options]
+ * @param {() => void} [options.onRemove] - Adds a remove button calling this function.
+ * @returns {HTMLElement}
+ */
+export function createLabelChip(label, { onRemove } = {}) {
+  const chip = document.createElement("span");
+  chip.className = "label-chip";
+  chip.style.background = label.color;
+  chip.style.color = textColorFor(label.color);
+  chip.textContent = label.name;
+
+  if (onRemove) {
+    const removeBtn = document.createElement("button");
+    removeBtn.type = "button";
+    removeBtn.className = "label-chip-remove";
+    removeBtn.title = `Quitar etiqueta ${label.name}`;
+    removeBtn.textContent = "×";
+    removeBtn.addEventListener("click", onRemove);
+    chip.appendChild(removeBtn);
+  }
+  return chip;
+}
+
+/**
+ * Build the chip of a priority.
+ *
+ * @param {string} priority - Priority key.
+ * @returns {HTMLElement}
+ */
+export function createPriorityChip(priority) {
+  const key = PRIORITIES[priority] ? priority : DEFAULT_PRIORITY;
+  const chip = document.createElement("span");
+  chip.className = `priority-chip priority-${key}`;
+  chip.textContent = PRIORITIES[key].label;
+  chip.title = `Prioridad ${PRIORITIES[key].label.toLowerCase()}`;
+  return chip;
+}
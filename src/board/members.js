@@ -0,0 +1,242 @@
+import { html, setHTML } from "../utils/html.js";
+import { defaultLabelColor } from "./labels.js";
+
+/**
+ * Members of a shared board: avatars, the assignee picker of the task
+ * modal and the members dialog (invitations and roles).
+ *
+ * Members are `{ _id, email, name, role, pending }` (see `boardStore.js`);
+ * tasks list their assignees by email.
+ */
+
+// Assignees shown on a card before the "+N" avatar
+const MAX_CARD_AVATARS = 3;
+
+/**
+ * Initials of a member: of the name, or of the email for invited people.
+ *
+ * @param {{name?: string, email: string}} member
+ * @returns {string} One or two capital letters.
+ */
+export function initials({ name, email }) {
+  const words = String(name || "").trim().split(/\s+/).filter(Boolean);
+  if (words.length) return words.slice(0, 2).map((word) => word[0]).join("").toUpperCase();
+  return String(email || "?")[0].toUpperCase();
+}
+
+/**
+ * Round avatar with the initials of a member (always the same color for the same email).
+ *
+ * @param {{name?: string, email: string}} member
+ * @returns {import("../utils/html.js").SafeHtml}
+ */
+export function avatar(member) {
+  return html`
+    <span class="avatar" style="background: ${defaultLabelColor(member.email)}" title="${member.name || member.email}">
+      ${initials(member)}
+    </span>
+  `;
+}
+
+/**
+ * Avatars of the assignees of a card.
+ *
+ * @param {Array<string>} assignees - Emails.
+ * @param {Array<Object>} members - Members of the board (assignees no longer members are shown by email).
+ * @returns {import("../utils/html.js").SafeHtml}
+ */
+export function assigneeAvatars(assignees, members) {
+  if (!assignees?.length) return html``;
+  const people = assignees.map((email) => members.find((member) => member.email === email) || { email });
+  const hidden = people.length - MAX_CARD_AVATARS;
+  return html`
+    <div class="task-assignees">
+      ${people.slice(0, MAX_CARD_AVATARS).map(avatar)}
+      ${
+        hidden > 0 &&
+        html`<span class="avatar avatar-more" title="${people.slice(MAX_CARD_AVATARS).map((p) => p.name || p.email).join(", ")}">+${hidden}</span>`
+      }
+    </div>
+  `;
+}
+
+/**
+ * Create the assignee picker of the task modal: one toggle per board member.
+ *
+ * @param {HTMLElement} container
+ * @returns {{setMembers: (members: Array<Object>) => void, setSelected: (emails: Array<string>) => void,
+ *   getSelected: () => Array<string>}}
+ */
+export function createAssigneePicker(container) {
+  let members = [];
+  let selected = [];
+
+  function render() {
+    if (!container) return;
+    // Assignees that left the board stay listed until they are unchecked
+    const people = [
+      ...members,
+      ...selected.filter((email) => !members.some((m) => m.email === email)).map((email) => ({ email })),
+    ];
+    setHTML(
+      container,
+      html`
+        ${!people.length && html`<span class="assignee-empty">Invita a tu equipo para asignar tareas.</span>`}
+        ${people.map(
+          (member) => html`
+            <label class="assignee-option ${selected.includes(member.email) && "selected"}">
+              <input type="checkbox" value="${member.email}" ${selected.includes(member.email) && html`checked`} />
+              ${avatar(member)}
+              <span>${member.name || member.email}</span>
+            </label>
+          `
+        )}
+      `
+    );
+  }
+
+  container?.addEventListener("change", (e) => {
+    const { value, checked } = e.target;
+    selected = checked ? [...selected, value] : selected.filter((email) => email !== value);
+    e.target.closest(".assignee-option")?.classList.toggle("selected", checked);
+  });
+
+  return {
+    setMembers(next) {
+      members = next || [];
+      render();
+    },
+    setSelected(emails) {
+      selected = [...(emails || [])];
+      render();
+    },
+    getSelected: () => selected,
+  };
+}
+
+/**
+ * Create the members dialog of a board.
+ *
+ * @param {Object} elements
+ * @param {HTMLElement} elements.list - List of members.
+ * @param {HTMLFormElement} elements.inviteForm - Form with an email input and a role select (owner only).
+ * @param {HTMLInputElement} elements.emailInput
+ * @param {HTMLSelectElement} elements.roleSelect
+ * @param {Object<string, string>} elements.roles - Label of each role.
+ * @param {() => string|undefined} elements.currentEmail - Email of the logged-in user.
+ * @param {(email: string, role: string) => Promise<void>} elements.invite
+ * @param {(memberId: string, role: string) => Promise<void>} elements.setRole
+ * @param {(member: Object, leaving: boolean) => Promise<void>} elements.remove - Removes a member (or leaves the board).
+ * @param {(message: string, err: Error) => void} elements.onError - Shows errors without field errors.
+ * @param {(err: Error) => boolean} elements.onFieldErrors - Shows the field errors of the invitation, if any.
+ * @returns {{render: (board: Object|undefined) => void}}
+ */
+export function createMembersDialog({
+  list,
+  inviteForm,
+  emailInput,
+  roleSelect,
+  roles,
+  currentEmail,
+  invite,
+  setRole,
+  remove,
+  onError,
+  onFieldErrors,
+}) {
+  let board;
+
+  function render(next) {
+    board = next;
+    const isOwner = board?.role === "owner";
+    if (inviteForm) inviteForm.hidden = !isOwner;
+    if (!list) return;
+
+    setHTML(
+      list,
+      html`${(board?.members || []).map((member) => {
+        const isMe = member.email === currentEmail();
+        const editable = isOwner && member.role !== "owner";
+        return html`
+          <li class="member-item" data-member-id="${member._id}">
+            ${avatar(member)}
+            <div class="member-info">
+              <span class="member-name">${member.name || member.email}${isMe && " (tú)"}</span>
+              <span class="member-email">${member.email}${member.pending && " · invitación pendiente"}</span>
+            </div>
+            ${
+              editable
+                ? html`
+                    <select class="member-role" aria-label="Rol de ${member.email}">
+                      ${["editor", "viewer"].map(
+                        (role) => html`<option value="${role}" ${member.role === role && html`selected`}>${roles[role]}</option>`
+                      )}
+                    </select>
+                    <button type="button" class="task-action-btn member-remove" title="Quitar del tablero">
+                      <i class="fas fa-user-minus"></i>
+                    </button>
+                  `
+                : html`<span class="member-role-label">${roles[member.role] || member.role}</span>`
+            }
+            ${
+              isMe &&
+              member.role !== "owner" &&
+              html`<button type="button" class="btn-cancel member-leave">Salir</button>`
+            }
+          </li>
+        `;
+      })}`
+    );
+  }
+
+  const memberOf = (element) =>
+    board?.members.find((member) => member._id === element.closest("[data-member-id]")?.dataset.memberId);
+
+  list?.addEventListener("change", async (e) => {
+    const member = e.target.matches(".member-role") && memberOf(e.target);
+    if (!member) return;
+    e.target.disabled = true;
+    try {
+      await setRole(member._id, e.target.value);
+    } catch (err) {
+      e.target.value = member.role;
+      onError("No se pudo cambiar el rol.", err);
+    } finally {
+      e.target.disabled = false;
+    }
+  });
+
+  list?.addEventListener("click", async (e) => {
+    const button = e.target.closest(".member-remove, .member-leave");
+    const member = button && memberOf(button);
+    if (!member) return;
+    const leaving = button.matches(".member-leave");
+    const question = leaving
+      ? `¿Salir del tablero "${board.name}"? Dejarás de ver sus tareas.`
+      : `¿Quitar a ${member.name || member.email} del tablero?`;
+    if (!confirm(question)) return;
+    button.disabled = true;
+    try {
+      await remove(member, leaving);
+    } catch (err) {
+      button.disabled = false;
+      onError(leaving ? "No se pudo salir del tablero." : "No se pudo quitar al miembro.", err);
+    }
+  });
+
+  inviteForm?.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const button = inviteForm.querySelector("button[type='submit']");
+    button.disabled = true;
+    try {
+      await invite(emailInput.value.trim(), roleSelect.value);
+      emailInput.value = "";
+    } catch (err) {
+      if (!onFieldErrors(err)) onError("No se pudo enviar la invitación.", err);
+    } finally {
+      button.disabled = false;
+    }
+  });
+
+  return { render };
+}
@@ -0,0 +1,92 @@
+import { normalizeRecurrence } from "../utils/recurrence.js";
+
+/**
+ * "Repetir" field of the task modal: frequency, interval, weekdays,
+ * day of the month and end condition (date or number of repetitions).
+ */
+
+const UNITS = {
+  daily: ["día", "días"],
+  weekly: ["semana", "semanas"],
+  monthly: ["mes", "meses"],
+};
+
+/**
+ * Create the recurrence field of the task form.
+ *
+ * @param {Object} elements
+ * @param {HTMLSelectElement} elements.freq - Frequency select (empty = no repeat).
+ * @param {HTMLElement} elements.options - Container of the detailed options.
+ * @param {HTMLInputElement} elements.interval - "Every N" input.
+ * @param {HTMLElement} elements.unit - Unit text next to the interval.
+ * @param {HTMLElement} elements.weekdays - Container of the weekday checkboxes.
+ * @param {HTMLElement} elements.monthDayRow - Row of the day-of-month input.
+ * @param {HTMLInputElement} elements.monthDay - Day-of-month input.
+ * @param {HTMLSelectElement} elements.end - End condition select (`never`, `until`, `count`).
+ * @param {HTMLInputElement} elements.until - End date input.
+ * @param {HTMLInputElement} elements.count - Number of repetitions input.
+ * @returns {{getRule: (dateKey: string) => Object|null, setRule: (rule: Object|null, dateKey?: string) => void}}
+ */
+export function createRecurrenceField(elements) {
+  const { freq, options, interval, unit, weekdays, monthDayRow, monthDay, end, until, count } = elements;
+  // Rule being edited, to keep its position in the series
+  let original = null;
+
+  const checkboxes = () => [...(weekdays?.querySelectorAll('input[type="checkbox"]') || [])];
+
+  function refresh() {
+    const value = freq?.value;
+    if (options) options.hidden = !value;
+    if (!value) return;
+    if (weekdays) weekdays.hidden = value !== "weekly";
+    if (monthDayRow) monthDayRow.hidden = value !== "monthly";
+    if (unit) unit.textContent = UNITS[value][Number(interval?.value) === 1 ? 0 : 1];
+    if (until) until.hidden = end?.value !== "until";
+    if (count) count.hidden = end?.value !== "count";
+  }
+
+  freq?.addEventListener("change", refresh);
+  interval?.addEventListener("input", refresh);
+  end?.addEventListener("change", refresh);
+
+  return {
+    /**
+     * @param {string} dateKey - Date of the task (defaults for weekday/day of month).
+     * @returns {Object|null} The rule, or null if the task does not repeat.
+     */
+    getRule(dateKey) {
+      if (!freq?.value) return null;
+      return normalizeRecurrence(
+        {
+          ...original,
+          freq: freq.value,
+          interval: interval?.value,
+          weekdays: checkboxes().filter((c) => c.checked).map((c) => Number(c.value)),
+          monthDay: monthDay?.value,
+          until: end?.value === "until" ? until?.value : undefined,
+          count: end?.value === "count" ? count?.value : undefined,
+        },
+        dateKey
+      );
+    },
+
+    /**
+     * @param {Object|null} rule - Rule of the task being edited (null for none).
+     * @param {string} [dateKey] - Date of the task.
+     */
+    setRule(rule, dateKey) {
+      original = normalizeRecurrence(rule, dateKey);
+      const current = original || { freq: "", interval: 1, weekdays: [] };
+      if (freq) freq.value = current.freq;
+      if (interval) interval.value = current.interval;
+      checkboxes().forEach((c) => {
+        c.checked = (current.weekdays || []).includes(Number(c.value));
+      });
+      if (monthDay) monthDay.value = current.monthDay || "";
+      if (end) end.value = current.until ? "until" : current.count ? "count" : "never";
+      if (until) until.value = current.until || "";
+      if (count) count.value = current.count || 10;
+      refresh();
+    },
+  };
+}
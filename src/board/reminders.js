@@ -0,0 +1,146 @@
+import { taskDueDate } from "../utils/dates.js";
+import { showToast } from "./toasts.js";
+
+/**
+ * Due-date reminders.
+ *
+ * A task may carry a `reminder`: minutes before its due moment to remind
+ * the user (0 = at the due time), or null. Reminders are shown as browser
+ * notifications when the user allowed them, and as in-app toasts otherwise.
+ */
+
+/**
+ * Reminder choices of the task form, in minutes before the due time.
+ */
+export const REMINDER_OPTIONS = [
+  { value: 0, label: "A la hora" },
+  { value: 10, label: "10 minutos antes" },
+  { value: 30, label: "30 minutos antes" },
+  { value: 60, label: "1 hora antes" },
+  { value: 1440, label: "1 día antes" },
+];
+
+// Reminders already shown, so a reload does not show them again
+const NOTIFIED_KEY = "notifiedReminders";
+
+// Longest delay accepted by setTimeout (~24.8 days); later reminders are scheduled on a later load
+const MAX_DELAY = 2 ** 31 - 1;
+
+// Reminders missed while the app was closed are still shown up to this late
+const MISSED_WINDOW = 24 * 60 * 60 * 1000;
+
+/**
+ * Moment to remind the user of a task.
+ *
+ * @param {Object} task - Task with `date`, `time` and `reminder`.
+ * @returns {Date|null} The reminder moment, or null if the task has no reminder.
+ */
+export function reminderTime(task) {
+  const due = taskDueDate(task);
+  if (!due || !Number.isFinite(task.reminder)) return null;
+  return new Date(due.getTime() - task.reminder * 60 * 1000);
+}
+
+/**
+ * Ask for permission to show browser notifications, if not asked yet.
+ * Must be called from a user action (e.g. saving a task with a reminder).
+ *
+ * @returns {void}
+ */
+export function requestNotificationPermission() {
+  if ("Notification" in window && Notification.permission === "default") {
+    Notification.requestPermission().catch(() => {});
+  }
+}
+
+// Reminder keys already shown, dropping the ones too old to matter
+function getNotified() {
+  try {
+    const notified = JSON.parse(localStorage.getItem(NOTIFIED_KEY)) || {};
+    const limit = Date.now() - 2 * MISSED_WINDOW;
+    return Object.fromEntries(Object.entries(notified).filter(([, at]) => at > limit));
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Show the reminder of a task.
+ *
+ * @param {Object} task - The task that is about to be due.
+ * @param {(task: Object) => void} onOpen - Opens the task (clicking the notification or toast).
+ * @returns {void}
+ */
+export function showReminder(task, onOpen) {
+  const due = taskDueDate(task);
+  const message = `${task.title} · vence el ${task.date} a las ${task.time || "23:59"}`;
+  const title = due < new Date() ? "Tarea vencida" : "Recordatorio de tarea";
+
+  if ("Notification" in window && Notification.permission === "granted") {
+    const notification = new Notification(title, { body: message, tag: `task-${task._id}` });
+    notification.onclick = () => {
+      window.focus();
+      onOpen(task);
+      notification.close();
+    };
+    return;
+  }
+
+  showToast({
+    title,
+    message,
+    type: "warning",
+    duration: 0,
+    actions: [{ label: "Ver tarea", onClick: () => onOpen(task) }],
+  });
+}
+
+/**
+ * Create the reminder scheduler. Call `schedule` with the full task list
+ * whenever it changes: pending timers are replaced by the new ones.
+ *
+ * @param {Object} options
+ * @param {(task: Object) => void} options.notify - Shows the reminder of a task.
+ * @returns {{schedule: (tasks: Array<Object>) => void, stop: () => void}}
+ */
+export function createReminderScheduler({ notify }) {
+  let timers = [];
+
+  function stop() {
+    timers.forEach(clearTimeout);
+    timers = [];
+  }
+
+  function fire(task, key) {
+    const notified = getNotified();
+    if (notified[key]) return;
+    notified[key] = Date.now();
+    localStorage.setItem(NOTIFIED_KEY, JSON.stringify(notified));
+    notify(task);
+  }
+
+  function schedule(tasks) {
+    stop();
+    const now = Date.now();
+    const notified = getNotified();
+
+    tasks.forEach((task) => {
+      if (task.status === "done") return;
+      const at = reminderTime(task);
+      if (!at) return;
+
+      // Changing the date, time or reminder of a task arms it again
+      const key = `${task._id}@${at.toISOString()}`;
+      if (notified[key]) return;
+
+      const delay = at.getTime() - now;
+      if (delay <= 0) {
+        if (-delay <= MISSED_WINDOW) fire(task, key);
+      } else if (delay <= MAX_DELAY) {
+        timers.push(setTimeout(() => fire(task, key), delay));
+      }
+    });
+  }
+
+  return { schedule, stop };
+}
@@ -0,0 +1,79 @@
+/**
+ * Multi-selection of task cards for bulk actions.
+ *
+ * Holds the selected task ids only; the board draws the checkboxes and
+ * the bulk action bar from it in `onChange`.
+ */
+
+/**
+ * Create a selection.
+ *
+ * @param {Object} [options]
+ * @param {() => void} [options.onChange] - Called after every change of the selection.
+ * @returns {{
+ *   has: (id: string) => boolean,
+ *   ids: () => string[],
+ *   size: () => number,
+ *   toggle: (id: string, options?: {range?: boolean, order?: string[]}) => void,
+ *   setMany: (ids: string[], selected: boolean) => void,
+ *   retain: (ids: string[]) => void,
+ *   clear: () => void,
+ * }}
+ */
+export function createSelection({ onChange = () => {} } = {}) {
+  let selected = new Set();
+  // Last toggled id, start of shift-click ranges
+  let anchor = null;
+
+  function set(next) {
+    selected = next;
+    onChange();
+  }
+
+  return {
+    has: (id) => selected.has(id),
+    ids: () => [...selected],
+    size: () => selected.size,
+
+    /**
+     * Toggle one task, or with `range` every task between the last toggled
+     * one and this one (following `order`, the ids in display order).
+     */
+    toggle(id, { range = false, order = [] } = {}) {
+      const next = new Set(selected);
+      const value = !selected.has(id);
+      const from = order.indexOf(anchor);
+      const to = order.indexOf(id);
+
+      if (range && from !== -1 && to !== -1) {
+        order
+          .slice(Math.min(from, to), Math.max(from, to) + 1)
+          .forEach((taskId) => (value ? next.add(taskId) : next.delete(taskId)));
+      } else if (value) {
+        next.add(id);
+      } else {
+        next.delete(id);
+      }
+      anchor = id;
+      set(next);
+    },
+
+    setMany(ids, value) {
+      const next = new Set(selected);
+      ids.forEach((id) => (value ? next.add(id) : next.delete(id)));
+      set(next);
+    },
+
+    // Drop the ids that are no longer shown (deleted or filtered out)
+    retain(ids) {
+      const keep = new Set(ids);
+      if ([...selected].every((id) => keep.has(id))) return;
+      set(new Set([...selected].filter((id) => keep.has(id))));
+    },
+
+    clear() {
+      anchor = null;
+      if (selected.size) set(new Set());
+    },
+  };
+}
@@ -0,0 +1,82 @@
+/**
+ * In-app toast center.
+ *
+ * Toasts are stacked in a container appended to `<body>`, so they stay
+ * visible when the view in `#app` changes.
+ */
+
+let center = null;
+
+// Container of the toasts, created on first use
+function getCenter() {
+  if (!center || !center.isConnected) {
+    center = document.createElement("div");
+    center.className = "toast-center";
+    center.setAttribute("role", "status");
+    center.setAttribute("aria-live", "polite");
+    document.body.appendChild(center);
+  }
+  return center;
+}
+
+/**
+ * Show a toast.
+ *
+ * @param {Object} options
+ * @param {string} options.message - Main text.
+ * @param {string} [options.title] - Bold first line.
+ * @param {"info"|"success"|"warning"|"error"} [options.type="info"] - Color of the toast.
+ * @param {Array<{label: string, onClick: () => void}>} [options.actions=[]] - Buttons; clicking one closes the toast.
+ * @param {number} [options.duration=6000] - Milliseconds before it closes by itself (0 keeps it open).
+ * @returns {{close: () => void}}
+ */
+export function showToast({ message, title, type = "info", actions = [], duration = 6000 }) {
+  const toast = document.createElement("div");
+  toast.className = `toast toast-${type}`;
+
+  const body = document.createElement("div");
+  body.className = "toast-body";
+  if (title) {
+    const strong = document.createElement("strong");
+    strong.textContent = title;
+    body.appendChild(strong);
+  }
+  const text = document.createElement("span");
+  text.textContent = message;
+  body.appendChild(text);
+
+  const buttons = document.createElement("div");
+  buttons.className = "toast-actions";
+  actions.forEach(({ label, onClick }) => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "toast-action";
+    btn.textContent = label;
+    btn.addEventListener("click", () => {
+      close();
+      onClick();
+    });
+    buttons.appendChild(btn);
+  });
+
+  const closeBtn = document.createElement("button");
+  closeBtn.type = "button";
+  closeBtn.className = "toast-close";
+  closeBtn.title = "Cerrar";
+  closeBtn.textContent = "×";
+  closeBtn.addEventListener("click", () => close());
+  buttons.appendChild(closeBtn);
+
+  toast.append(body, buttons);
+  getCenter().appendChild(toast);
+
+  let timer = duration ? setTimeout(() => close(), duration) : null;
+
+  function close() {
+    clearTimeout(timer);
+    timer = null;
+    toast.remove();
+  }
+
+  return { close };
+}
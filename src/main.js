@@ -2,14 +2,58 @@
  * Entry point of the application.
  * 
  * - Imports the global base CSS styles.
+ * - Resumes the stored session (JWT refresh and expiry).
  * - Imports and initializes the router to handle hash-based navigation.
+ * - Starts the offline sync of queued task changes.
+ * - Schedules the due-date reminders of the tasks.
  */
 
 import './styles/home.css';
 import { initRouter } from './routes/route.js';
+import { initOfflineSync, taskStore } from './store/taskStore.js';
+import { taskHistory } from './store/taskHistory.js';
+import { taskActivity } from './store/taskActivity.js';
+import { boardSettings } from './store/boardSettings.js';
+import { boardStore } from './store/boardStore.js';
+import { liveUpdates } from './store/liveUpdates.js';
+import { initSession, onSessionEnd, onTokenRefresh } from './services/session.js';
+import { navigate } from './routes/router.js';
+import { createReminderScheduler, showReminder } from './board/reminders.js';
+
+/**
+ * Resume the session before the first route is rendered,
+ * and forget the user's boards and tasks (their undo history and activity log) whenever the session ends,
+ * after closing their live updates. Their queued offline changes are kept until they log in again.
+ * Board settings go back to the ones of the tasks without a board.
+ * The live updates stream is reopened with every refreshed token.
+ */
+initSession();
+onSessionEnd(() => {
+  liveUpdates.stop();
+  taskStore.reset();
+  taskHistory.clear();
+  taskActivity.clear();
+  boardStore.reset();
+  boardSettings.reload();
+});
+onTokenRefresh(() => liveUpdates.reconnect());
 
 /**
  * Initialize the client-side router.
  * This sets up listeners and renders the correct view on app start.
  */
 initRouter();
+
+/**
+ * Replay task changes made offline when the connection comes back.
+ */
+initOfflineSync();
+
+/**
+ * Remind the user of tasks about to be due. Reminders are recomputed
+ * whenever the tasks are loaded or change (and cleared on logout).
+ */
+const reminders = createReminderScheduler({
+  notify: (task) => showReminder(task, () => navigate(`task/${encodeURIComponent(task._id)}`)),
+});
+taskStore.subscribe(reminders.schedule);
@@ -1,15 +1,66 @@
 import {
   registerUser,
   loginUser,
-  CreateTask,
   updateUserProfile,
-  getUserTasks,
-  updateTask,
-  deleteTask,
   recoverPassword,
   deleteUserAccount,
   resetPassword,
+  getUserTasks,
+  getTaskComments,
+  addTaskComment,
+  deleteTaskComment,
 } from "../services/userService.js";
+import { initDragAndDrop } from "../board/dragAndDrop.js";
+import {
+  readFilters,
+  filtersToQuery,
+  applyFilters,
+  hasActiveFilters,
+  isOverdue,
+} from "../board/filters.js";
+import {
+  DEFAULT_PRIORITY,
+  normalizeLabels,
+  labelsInUse,
+  defaultLabelColor,
+  createLabelChip,
+  createPriorityChip,
+  hasLabel,
+} from "../board/labels.js";
+import {
+  createChecklistEditor,
+  checklistProgress,
+  createProgressBar,
+} from "../board/checklist.js";
+import { createRecurrenceField } from "../board/recurrenceField.js";
+import { createAttachmentsField } from "../board/attachments.js";
+import { createActivityPanel } from "../board/activityPanel.js";
+import { assigneeAvatars, createAssigneePicker, createMembersDialog } from "../board/members.js";
+import { createCalendar, readCalendarState, calendarToQuery } from "../board/calendar.js";
+import { REMINDER_OPTIONS, requestNotificationPermission } from "../board/reminders.js";
+import { createSelection } from "../board/selection.js";
+import { showToast } from "../board/toasts.js";
+import { ApiError, cancelPendingRequests } from "../api/http.js";
+import { showFieldErrors, clearFieldErrors } from "../utils/formErrors.js";
+import { html, setHTML } from "../utils/html.js";
+import { renderMarkdown, isLongMarkdown } from "../utils/markdown.js";
+import { createImportExport, createInBatches } from "../board/importExport.js";
+import { describeRecurrence } from "../utils/recurrence.js";
+import { taskStore, fromBackendTask } from "../store/taskStore.js";
+import { boardSettings, DONE_COLUMN } from "../store/boardSettings.js";
+import { boardStore, ROLES } from "../store/boardStore.js";
+import { taskHistory } from "../store/taskHistory.js";
+import { taskActivity } from "../store/taskActivity.js";
+import { liveUpdates } from "../store/liveUpdates.js";
+import { startSession, endSession, isAuthenticated } from "../services/session.js";
+import {
+  addRoute,
+  startRouter,
+  navigate,
+  buildQuery,
+  parseHash,
+  currentQuery,
+} from "./router.js";
 
 const app = document.getElementById("app");
 
@@ -27,6 +78,63 @@ let currentTaskId = null;
 let isEditMode = false;
 let currentTaskData = null;
 
+// Unsubscribes the board from the task store (and stops its timers and shortcuts) when the view is rendered again
+let stopBoardRender = null;
+
+// Applies the board routes (`board`, `calendar`, `task/:id`) to the rendered board; set by initBoard
+let applyBoardRoute = null;
+
+/**
+ * End the session of the user (logout or account deletion). Only the data of
+ * the session is removed: the task order, the board columns and the data of
+ * the mock backend (`VITE_MOCK_API`) stay in this browser.
+ *
+ * @returns {void}
+ */
+function logOut() {
+  endSession();
+  localStorage.removeItem("pendingRoute");
+  localStorage.removeItem("sessionMessage");
+}
+
+/**
+ * Why a request failed, in words for the user.
+ *
+ * @param {Error} [err] - The error that was thrown.
+ * @returns {string} Empty when there is nothing to add.
+ */
+function describeError(err) {
+  if (!(err instanceof ApiError)) return err?.message || "";
+  switch (err.code) {
+    case "network":
+      return "No se pudo conectar con el servidor. Revisa tu conexión.";
+    case "timeout":
+      return "El servidor tardó demasiado en responder. Intenta de nuevo en unos segundos.";
+    case "forbidden":
+      return "No tienes permiso para realizar esta acción.";
+    case "not_found":
+      return "El elemento ya no existe.";
+    case "conflict":
+      return "Los datos cambiaron en el servidor. Recarga la página e intenta de nuevo.";
+    default:
+      return err.retryable ? "El servidor no está disponible en este momento." : err.message;
+  }
+}
+
+/**
+ * Show an error toast to the user, unless the request failed because the
+ * session expired (the user is already being sent to the login view) or
+ * was cancelled by leaving the view.
+ *
+ * @param {string} message - What failed.
+ * @param {Error} [err] - The error that was thrown; its reason is shown below the message.
+ * @returns {void}
+ */
+function showError(message, err) {
+  if (err?.sessionExpired || err?.code === "aborted") return;
+  showToast({ type: "error", title: message, message: describeError(err), duration: 8000 });
+}
+
 /**
  * Generate the URL of the requested view based on its name.
  *
@@ -35,95 +143,138 @@ let currentTaskData = null;
  */
 const viewURL = (name) => new URL(`../views/${name}.html`, import.meta.url);
 
+// Increases on every navigation, so a slow view load never renders over a newer one
+let renderCount = 0;
+
+// Name of the view currently rendered in the app container
+let currentView = null;
+
 /**
  * Load and render a specific view into the app container.
  *
  * @async
  * @param {string} name - The name of the view to load.
  * @throws {Error} If the requested view cannot be fetched successfully.
- * @returns {Promise<void>} Resolves when the view has been loaded and initialized.
+ * @returns {Promise<boolean>} Resolves to false if a newer navigation replaced this one.
  */
-// 2. Update the loadView function to include reset-password
 async function loadView(name) {
+  const current = ++renderCount;
   const res = await fetch(viewURL(name));
   if (!res.ok) throw new Error(`Failed to load view: ${name}`);
   const html = await res.text();
+  if (current !== renderCount) return false;
   app.innerHTML = html;
+  currentView = name;
+  return true;
+}
+
+/**
+ * Render a matched route: load its view, set the title and run its init function.
+ *
+ * @param {Object} match - Result of `matchRoute`.
+ * @param {Object} match.route - The route definition.
+ * @param {Object} match.params - Path parameters (e.g. `{ id }` for `task/:id`).
+ * @param {Object} match.query - Query string parameters.
+ * @param {string} match.path - The matched path.
+ * @returns {void}
+ */
+function renderRoute({ route, params, query, path }) {
+  if (route.requiresAuth) localStorage.removeItem("footerNavClick");
+  const setTitle = () => {
+    document.title = route.title ? `${route.title} | Lista de tareas` : "Lista de tareas";
+  };
+
+  // Same view (e.g. board → task/:id): update it in place instead of reloading
+  if (route.update && route.view === currentView) {
+    renderCount++;
+    setTitle();
+    route.update({ params, query, path });
+    return;
+  }
 
-  if (name === "home") initHome();
-  if (name === "board") initBoard();
-  if (name === "register") initRegister();
-  if (name === "forgot") initForgot();
-  if (name === "about-us") initAbout();
-  if (name === "reset-password") initResetPassword(); // <- ADD THIS LINE
+  // Responses (and live updates) of the previous view are no longer needed
+  cancelPendingRequests();
+  liveUpdates.stop();
+  loadView(route.view)
+    .then((rendered) => {
+      if (!rendered) return;
+      setTitle();
+      route.init?.({ params, query, path });
+    })
+    .catch((err) => {
+      console.error(err);
+      app.innerHTML = `<p style="color:#ffb4b4">Error loading the view.</p>`;
+    });
+}
+
+/**
+ * Handle a guarded route requested without a session: remember it to
+ * come back after logging in and show the login view instead.
+ *
+ * @param {Object} match - Result of `matchRoute`.
+ * @returns {string} The path to render instead.
+ */
+function handleAuthRequired({ path, query }) {
+  const fromFooter = localStorage.getItem("footerNavClick") === "1";
+
+  // Save the desired route to redirect after login
+  localStorage.setItem("pendingRoute", path + buildQuery(query));
+
+  // Show message only if navigation came from footer
+  if (fromFooter) {
+    setTimeout(() => {
+      const msg = document.getElementById("loginMsg");
+      if (msg) {
+        msg.textContent = "Inicia sesión para poder continuar.";
+        msg.style.color = "#e11d48";
+      }
+      localStorage.removeItem("footerNavClick");
+    }, 100); // Wait for the view to load
+  }
+  return "home";
 }
 
 /**
  * Initialize the router that handles view rendering
  * based on hash changes in the URL.
  *
+ * This is where every view registers its route: path pattern,
+ * view, init function, auth guard and title.
+ *
  * @export
  * @function initRouter
  * @returns {void}
  */
 export function initRouter() {
-  window.addEventListener("hashchange", handleRoute);
-  handleRoute(); // initial render
+  [
+    { path: "home", view: "home", init: initHome, title: "Acceder" },
+    { path: "register", view: "register", init: initRegister, title: "Registro" },
+    { path: "forgot", view: "forgot", init: initForgot, title: "Recuperar contraseña" },
+    { path: "reset-password", view: "reset-password", init: initResetPassword, title: "Nueva contraseña" },
+    { path: "reset-password/:token", view: "reset-password", init: initResetPassword, title: "Nueva contraseña" },
+    { path: "board", view: "board", init: initBoard, update: updateBoard, requiresAuth: true, title: "Tablero" },
+    { path: "calendar", view: "board", init: initBoard, update: updateBoard, requiresAuth: true, title: "Calendario" },
+    { path: "task/:id", view: "board", init: initBoard, update: updateBoard, requiresAuth: true, title: "Tarea" },
+    { path: "about-us", view: "about-us", init: initAbout, requiresAuth: true, title: "Nosotros" },
+  ].forEach(addRoute);
+
+  startRouter({
+    render: renderRoute,
+    isAuthenticated,
+    onAuthRequired: handleAuthRequired,
+    notFound: { view: "not-found", init: initNotFound, title: "Página no encontrada" },
+    defaultPath: "home",
+  });
 }
 
 /**
- * Handle the current route by reading the hash from the URL
- * and loading the corresponding view.
+ * Apply a board route (`board`, `calendar` or `task/:id`) to the board already rendered.
  *
- * @function handleRoute
+ * @param {Object} ctx - Route context.
  * @returns {void}
  */
-
-// 3. Update the handleRoute function to include reset-password
-function handleRoute() {
-  const path =
-    (location.hash.startsWith("#/") ? location.hash.slice(2) : "") || "home";
-  const known = ["home", "board", "register", "forgot", "about-us", "reset-password"]; // <- AGREGAR reset-password
-  let route;
-  if (path.startsWith("reset-password")) {
-    // allows routes like reset-password/<token>
-    route = "reset-password";
-  } else {
-    route = known.includes(path) ? path : "home";
-  }
-
-
-  // Route protection: allow "board" and "about-us" only if user is logged in
-  // Route protection: only allow access to "board", "about-us", and "reset-password" if there is a session
-
-  if (route === "board" || route === "about-us") {
-    const user = localStorage.getItem("userData");
-    const fromFooter = localStorage.getItem("footerNavClick") === "1";
-    if (!user) {
-      // Save the desired route to redirect after login
-      localStorage.setItem("pendingRoute", route);
-      route = "home";
-      // Show message only if navigation came from footer
-      if (fromFooter) {
-        setTimeout(() => {
-          const msg = document.getElementById("loginMsg");
-          if (msg) {
-            msg.textContent = "Inicia sesión para poder continuar.";
-            msg.style.color = "#e11d48";
-          }
-          localStorage.removeItem("footerNavClick");
-
-        }, 100); // Wait for the view to load
-}
-    } else {
-      localStorage.removeItem("footerNavClick");
-    }
-  }
-
-  loadView(route).catch((err) => {
-    console.error(err);
-    app.innerHTML = `<p style="color:#ffb4b4">Error loading the view.</p>`;
-  });
+function updateBoard(ctx) {
+  applyBoardRoute?.(ctx);
 }
 
 /**
@@ -145,6 +296,14 @@ function initHome() {
 
   if (!form) return;
 
+  // Message left by an expired session
+  const sessionMessage = localStorage.getItem("sessionMessage");
+  if (sessionMessage && msg) {
+    msg.textContent = sessionMessage;
+    msg.style.color = "#e11d48";
+    localStorage.removeItem("sessionMessage");
+  }
+
   // Toggle to show/hide password on login
   toggleLoginPassword?.addEventListener("click", () => {
     const type = passInput.type === "password" ? "text" : "password";
@@ -172,6 +331,7 @@ function initHome() {
   form.addEventListener("submit", async (e) => {
     e.preventDefault();
     msg.textContent = "";
+    clearFieldErrors(form);
 
     const email = emailInput?.value.trim();
     const password = passInput?.value.trim();
@@ -187,32 +347,27 @@ function initHome() {
       const data = await loginUser({ email, password });
 
       if (data.user) {
-        localStorage.setItem("userData", JSON.stringify(data.user));
+        // Stores the JWT and user data and schedules the token refresh
+        startSession(data);
         userData = { ...userData, ...data.user };
 
         // Redirect to pending route if it exists
         const pendingRoute = localStorage.getItem("pendingRoute");
-        if (pendingRoute) {
-          localStorage.removeItem("pendingRoute");
-          if (location.hash !== "#/" + pendingRoute) {
-            location.hash = "#/" + pendingRoute;
-          } else {
-            handleRoute();
-          }
-        } else {
-          if (location.hash !== "#/board") {
-            location.hash = "#/board";
-          } else {
-            handleRoute();
-          }
-        }
+        localStorage.removeItem("pendingRoute");
+        navigate(pendingRoute || "board");
         // Clear message if it exists
         if (msg) msg.textContent = "";
       } else {
         throw new Error("El backend no devolvió el usuario");
       }
     } catch (err) {
-      if (msg) msg.textContent = `Error al iniciar sesión: ${err.message}`;
+      const shown = showFieldErrors(form, err.fieldErrors, { email: emailInput, password: passInput });
+      if (msg && !shown) {
+        msg.textContent =
+          err.code === "unauthorized"
+            ? "Correo electrónico o contraseña incorrectos."
+            : `Error al iniciar sesión: ${describeError(err)}`;
+      }
     } finally {
       form.querySelector('button[type="submit"]').disabled = false;
     }
@@ -233,16 +388,21 @@ function initHome() {
  * Initialize the "Board" view.
  * Sets up the task creation modal and handles task submission.
  * Also initializes the user profile modal and task management.
+ * On `#/calendar` the tasks are shown on a month/week calendar instead of
+ * the columns, and on `#/task/:id` the edit modal of that task is opened.
  *
  * @function initBoard
+ * @param {Object} [ctx] - Route context.
+ * @param {Object} [ctx.params] - Path parameters (`id` on `#/task/:id`).
  * @returns {void}
  */
-function initBoard() {
+function initBoard(ctx = {}) {
   const form = document.getElementById("taskForm");
   const taskModal = document.getElementById("taskModal");
   const taskModalTitle = document.getElementById("taskModalTitle");
   const saveTaskBtn = document.getElementById("saveTaskBtn");
   const cancelBtn = document.getElementById("cancelBtn");
+  const conflictNotice = document.getElementById("taskConflictNotice");
   const newTaskBtn = document.getElementById("newTaskBtn");
   const logoutBtn = document.getElementById("logoutBtn");
 
@@ -254,6 +414,181 @@ function initBoard() {
   const successMessage = document.getElementById("successMessage");
 
 
+  // Elements of the search/filter toolbar
+  const taskSearch = document.getElementById("taskSearch");
+  const taskRange = document.getElementById("taskRange");
+  const taskSort = document.getElementById("taskSort");
+  const clearFiltersBtn = document.getElementById("clearFiltersBtn");
+  const taskCount = document.getElementById("taskCount");
+  const taskPriorityFilter = document.getElementById("taskPriorityFilter");
+  const taskLabelFilter = document.getElementById("taskLabelFilter");
+  const labelLegend = document.getElementById("labelLegend");
+
+  // Elements of the priority and labels fields of the task form
+  const taskPriority = document.getElementById("taskPriority");
+  const taskLabelsList = document.getElementById("taskLabelsList");
+  const taskLabelName = document.getElementById("taskLabelName");
+  const taskLabelColor = document.getElementById("taskLabelColor");
+  const taskLabelSuggestions = document.getElementById("taskLabelSuggestions");
+  const addLabelBtn = document.getElementById("addLabelBtn");
+
+  // Labels of the task being created/edited
+  let formLabels = [];
+
+  // Values of the task form right after it was filled, to tell which fields the user changed
+  let formSnapshot = null;
+
+  // "Recordatorio" field of the task form
+  const taskReminder = document.getElementById("taskReminder");
+  taskReminder?.append(...REMINDER_OPTIONS.map(({ value, label }) => new Option(label, value)));
+
+  // "Repetir" field of the task form
+  const recurrenceField = createRecurrenceField({
+    freq: document.getElementById("taskRepeat"),
+    options: document.getElementById("recurrenceOptions"),
+    interval: document.getElementById("repeatInterval"),
+    unit: document.getElementById("repeatUnit"),
+    weekdays: document.getElementById("repeatWeekdays"),
+    monthDayRow: document.getElementById("repeatMonthDayRow"),
+    monthDay: document.getElementById("repeatMonthDay"),
+    end: document.getElementById("repeatEnd"),
+    until: document.getElementById("repeatUntil"),
+    count: document.getElementById("repeatCount"),
+  });
+
+  // Checklist editor of the task form; checking the last item offers to complete the task
+  const taskStatusSelect = document.getElementById("taskStatus");
+  const checklistEditor = createChecklistEditor({
+    list: document.getElementById("checklistItems"),
+    input: document.getElementById("checklistInput"),
+    addButton: document.getElementById("addChecklistBtn"),
+    onComplete: () => {
+      if (taskStatusSelect.value === DONE_COLUMN) return;
+      const doneName = boardSettings.getColumn(DONE_COLUMN).name;
+      if (confirm(`¡Completaste todas las subtareas! ¿Mover la tarea a ${doneName}?`)) {
+        taskStatusSelect.value = DONE_COLUMN;
+      }
+    },
+  });
+
+  // Attachments of the task form: uploaded right away for saved tasks, after saving for new ones
+  const attachmentsField = createAttachmentsField({
+    dropZone: document.getElementById("attachmentDropZone"),
+    input: document.getElementById("attachmentInput"),
+    list: document.getElementById("attachmentList"),
+    upload: async (id, file, onProgress) => {
+      const attachment = await taskStore.addAttachment(id, file, onProgress);
+      taskActivity.record(id, { type: "attachment-added", name: attachment.name });
+      return attachment;
+    },
+    remove: async (id, attachmentId) => {
+      const name = taskStore.get(id)?.attachments.find((a) => a._id === attachmentId)?.name;
+      await taskStore.removeAttachment(id, attachmentId);
+      taskActivity.record(id, { type: "attachment-removed", name });
+    },
+    onError: (message, err) => (err ? showError(message, err) : showToast({ type: "warning", message })),
+  });
+
+  // User of the stored session (userData is only filled by the profile and login views)
+  function storedUser() {
+    try {
+      return JSON.parse(localStorage.getItem("userData")) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  // "Asignados" field of the task form: the members of the current board
+  const assigneePicker = createAssigneePicker(document.getElementById("taskAssignees"));
+
+  // Comments and activity log of the task being edited
+  const activityPanel = createActivityPanel({
+    panel: document.getElementById("taskActivityPanel"),
+    feed: document.getElementById("activityFeed"),
+    form: document.getElementById("commentForm"),
+    input: document.getElementById("commentInput"),
+    getEntries: (id) => taskActivity.list(id),
+    loadComments: getTaskComments,
+    addComment: addTaskComment,
+    removeComment: deleteTaskComment,
+    statusName: (status) => boardSettings.getColumn(status)?.name || status,
+    currentUserId: () => storedUser().id,
+    onError: showError,
+  });
+
+  // Write / preview switch of the details field (Markdown)
+  const taskDetailsInput = document.getElementById("taskDetails");
+  const taskDetailsPreview = document.getElementById("taskDetailsPreview");
+  const detailsEditTab = document.getElementById("detailsEditTab");
+  const detailsPreviewTab = document.getElementById("detailsPreviewTab");
+
+  function showDetailsPreview(preview) {
+    if (!taskDetailsPreview) return;
+    if (preview) setHTML(taskDetailsPreview, renderMarkdown(taskDetailsInput.value));
+    taskDetailsPreview.hidden = !preview;
+    taskDetailsInput.hidden = preview;
+    [
+      [detailsEditTab, !preview],
+      [detailsPreviewTab, preview],
+    ].forEach(([tab, active]) => {
+      tab?.classList.toggle("active", active);
+      tab?.setAttribute("aria-selected", String(active));
+    });
+  }
+
+  detailsEditTab?.addEventListener("click", () => {
+    showDetailsPreview(false);
+    taskDetailsInput.focus();
+  });
+  detailsPreviewTab?.addEventListener("click", () => showDetailsPreview(true));
+
+  // Input of each task field, where the errors of the API are shown
+  const taskFieldInputs = {
+    title: document.getElementById("taskTitle"),
+    details: document.getElementById("taskDetails"),
+    date: document.getElementById("taskDate"),
+    time: document.getElementById("taskTime"),
+    status: taskStatusSelect,
+    priority: taskPriority,
+    reminder: taskReminder,
+  };
+
+  // Filter state, read from the route query (`?q=&range=&sort=`)
+  let filters = readFilters(ctx.query);
+
+  // Elements of the board / calendar switch
+  const tasksGrid = document.getElementById("tasksGrid");
+  const calendarView = document.getElementById("calendarView");
+  const boardTab = document.getElementById("boardTab");
+  const calendarTab = document.getElementById("calendarTab");
+
+  // Elements of the bulk action bar
+  const bulkBar = document.getElementById("bulkBar");
+  const bulkCount = document.getElementById("bulkCount");
+  const bulkStatus = document.getElementById("bulkStatus");
+  const bulkDate = document.getElementById("bulkDate");
+  const bulkDateBtn = document.getElementById("bulkDateBtn");
+  const bulkLabel = document.getElementById("bulkLabel");
+  const bulkLabelBtn = document.getElementById("bulkLabelBtn");
+  const bulkDeleteBtn = document.getElementById("bulkDeleteBtn");
+  const bulkClearBtn = document.getElementById("bulkClearBtn");
+
+  // Cards selected for bulk actions
+  const selection = createSelection({ onChange: () => renderSelection() });
+
+  // Cards whose long details are shown in full instead of an excerpt
+  const expandedDetails = new Set();
+
+  // Shown layout ("board" or "calendar") and calendar period (`?view=week&date=`).
+  // `#/task/:id` keeps the layout the task was opened from.
+  let boardMode = ctx.path === "calendar" ? "calendar" : "board";
+  let calendarState = readCalendarState(ctx.query);
+
+  // Elements of the import/export modal
+  const importExportLink = document.getElementById("importExportLink");
+  const importExportModal = document.getElementById("importExportModal");
+  const importCloseBtn = document.getElementById("importCloseBtn");
+
   // Elements of the delete modal
   const deleteModal = document.getElementById("deleteModal");
   const confirmDeleteBtn = document.getElementById("confirmDeleteBtn");
@@ -283,12 +618,12 @@ function initBoard() {
           // Call your function to delete the account
           await deleteUserAccount(userData.id);
 
-          localStorage.clear();
+          logOut();
           location.hash = "#/home";
-          alert("Cuenta eliminada correctamente.");
+          showToast({ type: "success", message: "Cuenta eliminada correctamente." });
         } catch (err) {
           console.error("Error al eliminar la cuenta:", err);
-          alert("Error al eliminar la cuenta.");
+          showError("Error al eliminar la cuenta.", err);
         }
       }
     });
@@ -323,6 +658,45 @@ function initBoard() {
     });
   }
 
+  // Import/export modal: exports every task of the user, imports in batches
+  // (the whole import is undone in one step)
+  const importExport = createImportExport({
+    exportFormat: document.getElementById("exportFormat"),
+    exportBtn: document.getElementById("exportBtn"),
+    file: document.getElementById("importFile"),
+    summary: document.getElementById("importSummary"),
+    preview: document.getElementById("importPreview"),
+    duplicatesRow: document.getElementById("importDuplicatesRow"),
+    duplicates: document.getElementById("importDuplicates"),
+    progress: document.getElementById("importProgress"),
+    importBtn: document.getElementById("importBtn"),
+    statusName: (status) => boardSettings.getColumn(status)?.name || status,
+    getColumns: () => boardSettings.getColumns({ archived: true }),
+    getExistingTasks: () => taskStore.getAll(),
+    fetchAllTasks: async () => ((await getUserTasks(boardStore.currentId() || undefined)) || []).map(fromBackendTask),
+    importTasks: async (tasks, onProgress) => {
+      if (!requireEditor()) return null;
+      if (!confirmWipLimits(tasks.map((task) => ({ id: null, status: task.status })))) return null;
+      let result;
+      const label = await taskHistory.batch(async (history) => {
+        result = await createInBatches(tasks, (task) => history.create(task), { onProgress });
+        return `${result.created.length} tarea(s) importadas`;
+      });
+      if (result.created.length) showUndoToast(label);
+      return result;
+    },
+    onError: showError,
+  });
+
+  if (importExportLink && importExportModal) {
+    importExportLink.addEventListener("click", (e) => {
+      e.preventDefault();
+      importExport.reset();
+      showModal(importExportModal);
+    });
+    importCloseBtn?.addEventListener("click", () => hideModal(importExportModal));
+  }
+
   // Close the drop-down menu by clicking on any menu option
   if (dropdownMenu) {
     dropdownMenu.querySelectorAll("a").forEach((link) => {
@@ -338,7 +712,7 @@ function initBoard() {
       e.preventDefault();
       const isConfirmed = confirm("¿Estás seguro que deseas cerrar sesión?");
       if (isConfirmed) {
-        localStorage.clear();
+        logOut();
         location.hash = "#/home";
       }
     });
@@ -370,7 +744,7 @@ function initBoard() {
       document.getElementById("profileBirthdate").value = "";
     }
     document.getElementById("profileBio").value = userData.bio || "";
-    
+    clearFieldErrors(profileForm);
   }
 
   if (usButton) {
@@ -393,28 +767,243 @@ function initBoard() {
 
   // Function to reset the task form
   function resetTaskForm() {
+    setTaskFormReadOnly(false);
     form.reset();
+    clearFieldErrors(form);
+    showDetailsPreview(false);
     document.getElementById("taskId").value = "";
     currentTaskId = null;
     currentTaskData = null;
     isEditMode = false;
     taskModalTitle.textContent = "Crear Tarea";
     saveTaskBtn.textContent = "Guardar";
+    formLabels = [];
+    renderFormLabels();
+    checklistEditor.setItems([]);
+    recurrenceField.setRule(null);
+    assigneePicker.setSelected([]);
+    attachmentsField.load(null);
+    activityPanel.load(null);
+    formSnapshot = null;
+    showConflict(null);
+  }
+
+  // Viewers of a shared board see the task form without being able to change it
+  function setTaskFormReadOnly(readOnly) {
+    form.classList.toggle("read-only", readOnly);
+    form.querySelectorAll("input, select, textarea, button").forEach((control) => {
+      if (control !== cancelBtn) control.disabled = readOnly;
+    });
+    saveTaskBtn.hidden = readOnly;
+  }
+
+  // Whether the user may change the tasks of the current board (a toast explains it otherwise)
+  function requireEditor() {
+    if (boardStore.canEdit()) return true;
+    showToast({ type: "warning", message: "Tienes acceso de solo lectura a este tablero." });
+    return false;
+  }
+
+  // Function to show the labels of the task form as removable chips
+  function renderFormLabels() {
+    if (!taskLabelsList) return;
+    taskLabelsList.replaceChildren(
+      ...formLabels.map((label) =>
+        createLabelChip(label, {
+          onRemove: () => {
+            formLabels = formLabels.filter((l) => l !== label);
+            renderFormLabels();
+          },
+        })
+      )
+    );
+  }
+
+  // Function to add the label typed in the task form
+  function addFormLabel() {
+    const name = taskLabelName?.value.trim();
+    if (!name) return;
+    formLabels = normalizeLabels([...formLabels, { name, color: taskLabelColor?.value }]);
+    taskLabelName.value = "";
+    renderFormLabels();
+    taskLabelName.focus();
+  }
+
+  addLabelBtn?.addEventListener("click", addFormLabel);
+  taskLabelName?.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") {
+      e.preventDefault();
+      addFormLabel();
+    }
+  });
+  // Reuse the color of a label already in use, or suggest one
+  taskLabelName?.addEventListener("input", () => {
+    const name = taskLabelName.value.trim();
+    if (!name || !taskLabelColor) return;
+    const existing = labelsInUse(taskStore.getAll()).find(
+      (label) => label.name.toLowerCase() === name.toLowerCase()
+    );
+    taskLabelColor.value = existing ? existing.color : defaultLabelColor(name);
+  });
+
+  // Whether the current `#/task/:id` entry was pushed from the board (so closing can go back)
+  let taskRoutePushed = false;
+
+  // Function to open a task through its deep-linkable route
+  function openTaskRoute(taskId) {
+    taskRoutePushed = true;
+    navigate(`task/${encodeURIComponent(taskId)}${currentQuery()}`);
+  }
+
+  // Function to close the task modal and leave `#/task/:id` if needed
+  function closeTaskModal() {
+    resetTaskForm();
+    hideModal(taskModal);
+    if (!parseHash(location.hash).path.startsWith("task/")) return;
+
+    if (taskRoutePushed) {
+      taskRoutePushed = false;
+      history.back();
+    } else {
+      location.replace(`#/${boardMode}${currentQuery()}`);
+    }
+  }
+
+  // Function to show the task of the route (`#/task/:id`), or close it on `#/board`
+  async function showTaskFromRoute({ params = {} } = {}) {
+    if (!params.id) {
+      taskRoutePushed = false;
+      if (isEditMode) {
+        resetTaskForm();
+        hideModal(taskModal);
+      }
+      return;
+    }
+
+    // Wait for the first load, then fetch the task if it is not on the board
+    await tasksLoaded;
+    let task = taskStore.get(params.id);
+    if (!task) {
+      try {
+        task = await taskStore.fetch(params.id);
+      } catch (error) {
+        console.error("Error al cargar la tarea:", error);
+        showError("No se encontró la tarea solicitada.", error);
+        location.replace(`#/${boardMode}${currentQuery()}`);
+        return;
+      }
+    }
+
+    // The route may have changed while the task was loading
+    if (parseHash(location.hash).path !== `task/${encodeURIComponent(params.id)}`) return;
+    fillTaskForm(task);
+    showModal(taskModal);
   }
 
   // Function to fill the form with data from the task to edit
-  function fillTaskForm(task) {
+  // (`refresh`: the same task changed, its comments need not be loaded again)
+  function fillTaskForm(task, { refresh = false } = {}) {
+    clearFieldErrors(form);
+    showDetailsPreview(false);
     document.getElementById("taskId").value = task._id;
     document.getElementById("taskTitle").value = task.title;
     document.getElementById("taskDetails").value = task.details;
     document.getElementById("taskDate").value = task.date;
     document.getElementById("taskTime").value = task.time;
-    document.getElementById("taskStatus").value = task.status;
+    // Tasks of an archived (or unknown) column keep their status when edited
+    if (![...taskStatusSelect.options].some((option) => option.value === task.status)) {
+      const name = boardSettings.getColumn(task.status)?.name || task.status;
+      taskStatusSelect.appendChild(new Option(name, task.status));
+    }
+    taskStatusSelect.value = task.status;
+    if (taskPriority) taskPriority.value = task.priority || DEFAULT_PRIORITY;
+    if (taskReminder) taskReminder.value = task.reminder ?? "";
+    formLabels = normalizeLabels(task.labels);
+    renderFormLabels();
+    checklistEditor.setItems(task.checklist);
+    recurrenceField.setRule(task.recurrence, task.date);
+    assigneePicker.setSelected(task.assignees);
+    attachmentsField.load(task);
+    if (refresh) activityPanel.refresh();
+    else activityPanel.load(task);
     currentTaskId = task._id;
     currentTaskData = { ...task };
     isEditMode = true;
-    taskModalTitle.textContent = "Editar Tarea";
+    const readOnly = !boardStore.canEdit();
+    taskModalTitle.textContent = readOnly ? "Ver Tarea" : "Editar Tarea";
     saveTaskBtn.textContent = "Actualizar";
+    setTaskFormReadOnly(readOnly);
+    formSnapshot = readTaskForm();
+    showConflict(null);
+  }
+
+  // Function to read the fields of the task form
+  function readTaskForm() {
+    const date = document.getElementById("taskDate").value;
+    return {
+      title: document.getElementById("taskTitle").value,
+      details: document.getElementById("taskDetails").value,
+      date,
+      time: document.getElementById("taskTime").value,
+      status: document.getElementById("taskStatus").value,
+      priority: taskPriority?.value || DEFAULT_PRIORITY,
+      labels: formLabels,
+      checklist: checklistEditor.getItems(),
+      recurrence: recurrenceField.getRule(date),
+      reminder: taskReminder?.value ? Number(taskReminder.value) : null,
+      assignees: assigneePicker.getSelected(),
+    };
+  }
+
+  // Names of the task fields, for the conflict warning
+  const FIELD_NAMES = {
+    title: "título",
+    details: "detalles",
+    date: "fecha",
+    time: "hora",
+    status: "estado",
+    priority: "prioridad",
+    labels: "etiquetas",
+    checklist: "subtareas",
+    recurrence: "repetición",
+    reminder: "recordatorio",
+    assignees: "asignados",
+  };
+
+  // Fields of `next` whose value differs from `base` (among `fields`)
+  function changedFields(base, next, fields = Object.keys(next)) {
+    const differs = (field) => JSON.stringify(base?.[field] ?? null) !== JSON.stringify(next[field] ?? null);
+    return Object.fromEntries(fields.filter(differs).map((field) => [field, next[field]]));
+  }
+
+  // Warn that someone else changed the task being edited (null hides the warning)
+  function showConflict(message) {
+    if (!conflictNotice) return;
+    conflictNotice.hidden = !message;
+    document.getElementById("taskConflictText").textContent = message || "";
+  }
+
+  // Show the current version of the task, discarding the changes typed in the form
+  document.getElementById("taskConflictReload")?.addEventListener("click", () => {
+    const task = taskStore.get(currentTaskId);
+    if (task) fillTaskForm(task, { refresh: true });
+  });
+
+  // Changes of the open task made by someone else: show them, or warn before they are overwritten
+  function handleRemoteChange({ type, previous, task, user = "Otro miembro" }) {
+    if (!isEditMode || !taskModal.classList.contains("show") || (task || previous)._id !== currentTaskId) return;
+    if (type === "deleted") {
+      closeTaskModal();
+      showToast({ type: "warning", message: `${user} eliminó la tarea "${previous.title}".` });
+      return;
+    }
+    const edited = boardStore.canEdit() && Object.keys(changedFields(formSnapshot, readTaskForm())).length > 0;
+    if (!edited) {
+      fillTaskForm(task, { refresh: true });
+      showToast({ message: `${user} actualizó esta tarea.` });
+      return;
+    }
+    showConflict(`${user} cambió esta tarea mientras la editabas. Al guardar se mantienen sus cambios en los campos que no has tocado.`);
   }
 
   // Event listeners for the profile modal
@@ -431,6 +1020,7 @@ function initBoard() {
     // Event listener for the profile form
     profileForm?.addEventListener("submit", async (e) => {
       e.preventDefault();
+      clearFieldErrors(profileForm);
 
       const formData = {
         id: userData.id,
@@ -469,7 +1059,14 @@ function initBoard() {
         saveBtn.disabled = false;
       } catch (error) {
         console.error("Error al actualizar perfil:", error);
-        alert("Error al actualizar el perfil. Por favor, intenta de nuevo.");
+        const shown = showFieldErrors(profileForm, error.fieldErrors, {
+          username: document.getElementById("profileName"),
+          lastname: document.getElementById("profileLastname"),
+          email: document.getElementById("profileEmail"),
+          birthdate: document.getElementById("profileBirthdate"),
+          bio: document.getElementById("profileBio"),
+        });
+        if (!shown) showError("Error al actualizar el perfil. Por favor, intenta de nuevo.", error);
 
         const saveBtn = profileForm.querySelector(".btn-save");
         saveBtn.textContent = "Guardar Cambios";
@@ -485,8 +1082,7 @@ function initBoard() {
   });
 
   cancelBtn?.addEventListener("click", () => {
-    resetTaskForm();
-    hideModal(taskModal);
+    closeTaskModal();
   });
 
   // Event listener for the delete modal
@@ -497,15 +1093,11 @@ function initBoard() {
   });
 
   confirmDeleteBtn?.addEventListener("click", async () => {
-    if (currentTaskId) {
+    if (currentTaskId && requireEditor()) {
       try {
-        await deleteTask(currentTaskId);
-
-        // Remove the task from the DOM
-        document.querySelector(`[data-task-id="${currentTaskId}"]`)?.remove();
-
-        // Check if the column is empty and display a message
-        checkEmptyColumns();
+        // The board re-renders from the store
+        await taskHistory.remove(currentTaskId);
+        showUndoToast("Tarea eliminada", UNDO_DELETE_NOTE);
 
         hideModal(deleteModal);
         currentTaskId = null;
@@ -514,7 +1106,7 @@ function initBoard() {
         console.log("Tarea eliminada exitosamente");
       } catch (error) {
         console.error("Error al eliminar la tarea:", error);
-        alert("Error al eliminar la tarea. Por favor, intenta de nuevo.");
+        showError("Error al eliminar la tarea. Por favor, intenta de nuevo.", error);
       }
     }
   });
@@ -522,39 +1114,43 @@ function initBoard() {
   // Event listener for the task form
   form?.addEventListener("submit", async (e) => {
     e.preventDefault();
-    const title = document.getElementById("taskTitle").value;
-    const details = document.getElementById("taskDetails").value;
-    const date = document.getElementById("taskDate").value;
-    const time = document.getElementById("taskTime").value;
-    const status = document.getElementById("taskStatus").value;
-
-    if (!title || !details || !date || !time || !status) {
-      alert("Por favor completa todos los campos.");
+    if (!requireEditor()) return;
+    const taskData = readTaskForm();
+    const { title, details, date, time, status } = taskData;
+
+    const missing = Object.entries({ title, details, date, time, status }).filter(([, value]) => !value);
+    if (missing.length) {
+      if (!details) showDetailsPreview(false);
+      const required = missing.map(([field]) => [field, "Este campo es obligatorio."]);
+      showFieldErrors(form, Object.fromEntries(required), taskFieldInputs);
       return;
     }
 
-    // Front → back mapping
-    const statusMap = {
-      todo: "Por Hacer",
-      doing: "Haciendo",
-      done: "Hecho",
-    };
-
-    // Front → back mapping
-    const reverseStatusMap = {
-      "Por Hacer": "todo",
-      Haciendo: "doing",
-      Hecho: "done",
-    };
-
-    // Data for the backend
-    const backendTaskData = {
-      title,
-      details,
-      date,
-      time,
-      status: statusMap[status] || status,
-    };
+    // Ask while handling the click: browsers ignore permission requests made later
+    if (taskData.reminder !== null) requestNotificationPermission();
+
+    const editing = isEditMode && currentTaskId;
+    // Only the fields changed in the form are sent, so the changes other members
+    // made meanwhile to the rest are kept; changes to the same fields need confirmation
+    const changes = editing ? changedFields(formSnapshot, taskData) : taskData;
+    if (editing) {
+      const latest = taskStore.get(currentTaskId) || currentTaskData;
+      const theirs = changedFields(currentTaskData, latest, Object.keys(changes));
+      const overlap = Object.keys(changedFields(theirs, changes, Object.keys(theirs))).map(
+        (field) => FIELD_NAMES[field] || field
+      );
+      if (
+        overlap.length &&
+        !confirm(`Otra persona también cambió: ${overlap.join(", ")}. ¿Guardar tu versión y reemplazar la suya?`)
+      ) {
+        return;
+      }
+      if (!Object.keys(changes).length) {
+        closeTaskModal();
+        return;
+      }
+    }
+    if (!confirmWipLimits([{ id: editing ? currentTaskId : null, status }])) return;
 
     try {
       const saveBtn = form.querySelector(".btn-save");
@@ -562,53 +1158,42 @@ function initBoard() {
       saveBtn.textContent = isEditMode ? "Actualizando..." : "Guardando...";
       saveBtn.disabled = true;
 
-      let taskResult;
-
-      if (isEditMode && currentTaskId) {
-        // Update existing task
-        taskResult = await updateTask(currentTaskId, backendTaskData);
-
-        // Remove the old task from the DOM if it changed columns
-        const oldTaskElement = document.querySelector(
-          `[data-task-id="${currentTaskId}"]`
-        );
-        if (oldTaskElement) {
-          oldTaskElement.remove();
-        }
-
-        // Add the updated task
-        const frontendTask = {
-          ...taskResult,
-          id: currentTaskId,
-          status: reverseStatusMap[taskResult.status] || status,
-        };
-
-        addTaskToDOM(frontendTask);
+      let saved;
+      if (editing) {
+        // Update existing task (fields not changed are kept by the store)
+        saved = await taskHistory.update(currentTaskId, changes);
+        showUndoToast("Tarea actualizada");
         console.log("Tarea actualizada exitosamente");
       } else {
         // Create new task
-        taskResult = await CreateTask(backendTaskData);
-
-        const frontendTask = {
-          ...taskResult,
-          status: reverseStatusMap[taskResult.status] || status,
-        };
-
-        addTaskToDOM(frontendTask);
+        saved = await taskHistory.create(taskData);
+        showUndoToast("Tarea creada");
         console.log("Nueva tarea creada exitosamente");
       }
 
-      //  Check for empty columns
-      checkEmptyColumns();
+      // Files chosen before the task existed on the server
+      if (attachmentsField.hasPending()) {
+        if (saved._id.startsWith("tmp-")) {
+          showToast({
+            type: "warning",
+            title: "Archivos sin adjuntar",
+            message: "La tarea se guardó sin conexión. Adjunta los archivos cuando se sincronice.",
+          });
+        } else {
+          saveBtn.textContent = "Subiendo archivos...";
+          await attachmentsField.uploadPending(saved._id);
+        }
+      }
 
-      hideModal(taskModal);
-      resetTaskForm();
+      closeTaskModal();
 
       saveBtn.textContent = originalText;
       saveBtn.disabled = false;
     } catch (error) {
       console.error("Error al guardar la tarea:", error);
-      alert("Error al guardar la tarea. Por favor, intenta de nuevo.");
+      if (!showFieldErrors(form, error.fieldErrors, taskFieldInputs)) {
+        showError("Error al guardar la tarea. Por favor, intenta de nuevo.", error);
+      }
 
       const saveBtn = form.querySelector(".btn-save");
       saveBtn.textContent = isEditMode ? "Actualizar" : "Guardar";
@@ -618,118 +1203,761 @@ function initBoard() {
 
   // Function to check for empty columns
   function checkEmptyColumns() {
-    ["todo", "doing", "done"].forEach((status) => {
-      const taskList = document.getElementById(`${status}-tasks`);
-      if (taskList && taskList.children.length === 0) {
-        const emptyStateMessages = {
-          todo: "No hay tareas pendientes",
-          doing: "No hay tareas en progreso",
-          done: "No hay tareas completadas",
-        };
-
-        const emptyState = document.createElement("div");
-        emptyState.className = "empty-state";
-        emptyState.textContent = emptyStateMessages[status];
-        taskList.appendChild(emptyState);
+    boardSettings.getColumns().forEach((column) => {
+      const taskList = document.getElementById(`${column.id}-tasks`);
+      if (taskList?.querySelector(".task-item")) {
+        taskList.querySelector(".empty-state")?.remove();
+      } else if (taskList) {
+        let emptyState = taskList.querySelector(".empty-state");
+        if (!emptyState) {
+          emptyState = document.createElement("div");
+          emptyState.className = "empty-state";
+          taskList.appendChild(emptyState);
+        }
+        emptyState.textContent = hasActiveFilters(filters)
+          ? "No hay tareas que coincidan con la búsqueda"
+          : `No hay tareas en "${column.name}"`;
       }
     });
   }
 
-  // Function to add the task to the DOM
-  function addTaskToDOM(task) {
-    const taskItem = document.createElement("div");
+  // Function to build (or refresh) the card of a task
+  function renderTaskCard(task, taskItem = document.createElement("div")) {
+    // Task objects are replaced on every change, so the same reference means nothing to redraw
+    if (taskItem.task === task) return taskItem;
+    taskItem.task = task;
+
+    // Viewers of a shared board can only open the task
+    const editable = boardStore.canEdit();
     taskItem.className = "task-item";
     taskItem.setAttribute("data-task-id", task._id);
-    taskItem.innerHTML = `
-      <div class="task-header">
-        <div class="task-title">${task.title}</div>
-        <div class="task-actions">
-          <button class="task-action-btn task-edit-btn" onclick="editTask('${task._id}')" title="Editar tarea">
-            <i class="fas fa-edit"></i>
-          </button>
-          <button class="task-action-btn task-delete-btn" onclick="confirmDeleteTask('${task._id}')" title="Eliminar tarea">
-            <i class="fas fa-trash"></i>
-          </button>
+    taskItem.draggable = editable;
+    taskItem.tabIndex = 0;
+    taskItem.title = editable ? "Arrastra o usa Alt + flechas para mover la tarea" : "";
+    // Title, details and dates come from the server: the template escapes them
+    // (details are Markdown, rendered to safe markup). The action buttons are
+    // handled by the delegated listener of the grid.
+    const longDetails = isLongMarkdown(task.details);
+    const collapsed = longDetails && !expandedDetails.has(task._id);
+    setHTML(
+      taskItem,
+      html`
+        <div class="task-header">
+          ${editable && html`<input type="checkbox" class="task-select" title="Seleccionar (Mayús + clic para un rango)" aria-label="Seleccionar tarea" />`}
+          <div class="task-title">${task.title}</div>
+          <div class="task-actions">
+            ${
+              editable
+                ? html`
+                    <button type="button" class="task-action-btn task-edit-btn" title="Editar tarea">
+                      <i class="fas fa-edit"></i>
+                    </button>
+                    <button type="button" class="task-action-btn task-delete-btn" title="Eliminar tarea">
+                      <i class="fas fa-trash"></i>
+                    </button>
+                  `
+                : html`
+                    <button type="button" class="task-action-btn task-edit-btn" title="Ver tarea">
+                      <i class="fas fa-eye"></i>
+                    </button>
+                  `
+            }
+          </div>
         </div>
-      </div>
-      <div class="task-details">${task.details}</div>
-      <div class="task-date">${task.date} ${task.time}</div>
-    `;
-
-    const taskList = document.getElementById(`${task.status}-tasks`);
-    if (taskList) {
-      // Remove empty state if it exists
-      const emptyState = taskList.querySelector(".empty-state");
-      if (emptyState) {
-        emptyState.remove();
+        <div class="task-chips"></div>
+        <div class="task-details markdown ${collapsed && "collapsed"}">${renderMarkdown(task.details)}</div>
+        ${longDetails && html`<button type="button" class="details-toggle">${collapsed ? "Ver más" : "Ver menos"}</button>`}
+        <div class="task-footer">
+          <div class="task-date">${task.date} ${task.time}</div>
+          ${assigneeAvatars(task.assignees, boardStore.current()?.members || [])}
+          ${
+            task.syncState === "pending"
+              ? html`<span class="sync-badge pending" title="Se sincronizará al recuperar la conexión"><i class="fas fa-clock"></i> Pendiente</span>`
+              : html`<span class="sync-badge synced" title="Sincronizada"><i class="fas fa-check-circle"></i></span>`
+          }
+        </div>
+      `
+    );
+    // Priority and label chips (built with textContent, labels are user input)
+    taskItem.querySelector(".task-chips").append(
+      createPriorityChip(task.priority),
+      ...normalizeLabels(task.labels).map((label) => createLabelChip(label))
+    );
+
+    // Repeat rule
+    const recurrence = describeRecurrence(task.recurrence);
+    if (recurrence) {
+      const chip = document.createElement("span");
+      chip.className = "recurrence-chip";
+      chip.title = recurrence;
+      chip.innerHTML = `<i class="fas fa-redo"></i>`;
+      chip.append(recurrence.split(" · ")[0]);
+      taskItem.querySelector(".task-chips").appendChild(chip);
+    }
+
+    // Reminder
+    const reminder = REMINDER_OPTIONS.find((option) => option.value === task.reminder);
+    if (reminder) {
+      const bell = document.createElement("span");
+      bell.className = "reminder-chip";
+      bell.title = `Recordatorio: ${reminder.label.toLowerCase()}`;
+      bell.innerHTML = `<i class="fas fa-bell"></i>`;
+      taskItem.querySelector(".task-chips").appendChild(bell);
+    }
+
+    // Attachments
+    if (task.attachments?.length) {
+      const clip = document.createElement("span");
+      clip.className = "attachment-chip";
+      clip.title = `${task.attachments.length} archivo(s) adjunto(s)`;
+      clip.innerHTML = `<i class="fas fa-paperclip"></i>`;
+      clip.append(String(task.attachments.length));
+      taskItem.querySelector(".task-chips").appendChild(clip);
+    }
+
+    // Checklist progress ("3/5")
+    const progress = checklistProgress(task.checklist);
+    if (progress.total) {
+      taskItem.querySelector(".task-footer").before(createProgressBar(progress));
+    }
+    return taskItem;
+  }
+
+  // Function to refresh the label legend, the label filter and the label suggestions
+  function renderLabelLegend(tasks) {
+    const labels = labelsInUse(tasks);
+
+    labelLegend?.replaceChildren(
+      ...labels.map((label) => {
+        const chip = createLabelChip(label);
+        chip.title = `${label.count} tarea(s) · clic para filtrar`;
+        chip.classList.toggle("active", filters.label.toLowerCase() === label.name.toLowerCase());
+        chip.addEventListener("click", () => {
+          if (!taskLabelFilter) return;
+          taskLabelFilter.value = chip.classList.contains("active") ? "" : label.name;
+          updateFiltersInHash();
+        });
+        return chip;
+      })
+    );
+
+    if (taskLabelFilter) {
+      const options = labels.map((label) => new Option(label.name, label.name));
+      // Keep a label coming from a shared link even if no task uses it yet
+      if (filters.label && !labels.some((l) => l.name.toLowerCase() === filters.label.toLowerCase())) {
+        options.push(new Option(filters.label, filters.label));
       }
-      taskList.appendChild(taskItem);
+      taskLabelFilter.replaceChildren(new Option("Todas las etiquetas", ""), ...options);
+      taskLabelFilter.value =
+        options.find((o) => o.value.toLowerCase() === filters.label.toLowerCase())?.value || "";
     }
+
+    taskLabelSuggestions?.replaceChildren(...labels.map((label) => new Option(label.name)));
+  }
+
+  // Function to render the columns from the task store.
+  // Existing cards are reused and only moved when their position changes,
+  // so focus and drag state survive a re-render.
+  function renderBoard(tasks) {
+    const cards = new Map(
+      [...document.querySelectorAll(".task-item")].map((card) => [card.dataset.taskId, card])
+    );
+    let visibleCount = 0;
+    const now = new Date();
+
+    boardSettings.getColumns().forEach((column, columnIndex) => {
+      const taskList = document.getElementById(`${column.id}-tasks`);
+      if (!taskList) return;
+
+      // Search, date range and sorting of the toolbar. Tasks with a status no
+      // column knows (e.g. set from another device) are shown in the first column;
+      // the ones of archived columns stay hidden until the column is restored.
+      const columnTasks = applyFilters(
+        tasks.filter(
+          (task) =>
+            task.status === column.id || (columnIndex === 0 && !boardSettings.getColumn(task.status))
+        ),
+        filters
+      );
+      visibleCount += columnTasks.length;
+      columnTasks.forEach((task, index) => {
+        const card = renderTaskCard(task, cards.get(task._id));
+        // Checked on every render: a task becomes overdue without changing
+        card.classList.toggle("overdue", isOverdue(task, now));
+        cards.delete(task._id);
+        const current = taskList.querySelectorAll(".task-item")[index];
+        if (current !== card) taskList.insertBefore(card, current || null);
+      });
+    });
+
+    // Cards whose task no longer exists (or is filtered out)
+    cards.forEach((card) => card.remove());
+    checkEmptyColumns();
+    renderColumnCounts(tasks);
+    selection.retain(boardMode === "calendar" ? [] : visibleTaskIds());
+    renderSelection();
+    renderLabelLegend(tasks);
+
+    if (taskCount) {
+      taskCount.textContent = hasActiveFilters(filters)
+        ? `${visibleCount} de ${tasks.length} tareas`
+        : `${tasks.length} tareas`;
+    }
+
+    if (boardMode === "calendar") calendar.render(applyFilters(tasks, filters), calendarState);
   }
 
+  // Function to show "tasks/limit" in the header of the columns with a WIP limit (red when over it)
+  function renderColumnCounts(tasks) {
+    boardSettings.getColumns().forEach((column) => {
+      const element = document.querySelector(`[data-column="${column.id}"]`);
+      const counter = element?.querySelector(".column-count");
+      if (!counter) return;
+      const count = tasks.filter((task) => task.status === column.id).length;
+      const over = Boolean(column.limit) && count > column.limit;
+      counter.textContent = column.limit ? `${count}/${column.limit}` : "";
+      counter.title = column.limit ? `Límite de tareas en curso: ${column.limit}` : "";
+      counter.classList.toggle("over-limit", over);
+      element.classList.toggle("over-limit", over);
+    });
+  }
+
+  // Function to ask before tasks go to columns that would exceed their WIP limit.
+  // `moves` are the tasks going to each column (`id` is null for new tasks);
+  // tasks already in the column do not count twice.
+  function confirmWipLimits(moves) {
+    const tasks = taskStore.getAll();
+    const exceeded = boardSettings
+      .getColumns({ archived: true })
+      .filter((column) => column.limit)
+      .map((column) => {
+        const adding = moves.filter(
+          (move) => move.status === column.id && taskStore.get(move.id)?.status !== column.id
+        ).length;
+        const count = tasks.filter((task) => task.status === column.id).length + adding;
+        return { column, adding, count };
+      })
+      .filter(({ column, adding, count }) => adding && count > column.limit);
+
+    if (!exceeded.length) return true;
+    const list = exceeded
+      .map(({ column, count }) => `• ${column.name}: ${count}/${column.limit}`)
+      .join("\n");
+    return confirm(`Se superará el límite de tareas en curso:\n${list}\n\n¿Continuar de todos modos?`);
+  }
+
+  // Ids of the cards shown on the board, column by column (order of shift-click ranges)
+  function visibleTaskIds(status) {
+    const selector = status ? `#${status}-tasks .task-item` : ".task-item";
+    return [...document.querySelectorAll(selector)].map((card) => card.dataset.taskId);
+  }
+
+  // Function to reflect the selection on the cards, the column checkboxes and the bulk bar
+  function renderSelection() {
+    document.querySelectorAll(".task-item").forEach((card) => {
+      const selected = selection.has(card.dataset.taskId);
+      card.classList.toggle("selected", selected);
+      const checkbox = card.querySelector(".task-select");
+      if (checkbox) checkbox.checked = selected;
+    });
+
+    document.querySelectorAll(".column-select").forEach((checkbox) => {
+      const ids = visibleTaskIds(checkbox.dataset.status);
+      const count = ids.filter((id) => selection.has(id)).length;
+      checkbox.checked = ids.length > 0 && count === ids.length;
+      checkbox.indeterminate = count > 0 && count < ids.length;
+      checkbox.disabled = !ids.length;
+    });
+
+    const size = selection.size();
+    if (bulkBar) bulkBar.style.display = size ? "" : "none";
+    if (bulkCount) bulkCount.textContent = `${size} tarea(s) seleccionada(s)`;
+  }
+
+  // Function to run a bulk action on the selected tasks after a single confirmation.
+  // Tasks are processed one at a time; the ones that fail stay selected and are reported.
+  // The whole action is undone in one step.
+  async function runBulk({ question, done, action, undoNote }) {
+    const ids = selection.ids();
+    if (!ids.length || !confirm(question(ids.length))) return;
+
+    const controls = bulkBar ? [...bulkBar.querySelectorAll("button, select, input")] : [];
+    controls.forEach((el) => (el.disabled = true));
+    const failed = [];
+    const succeeded = [];
+
+    const label = await taskHistory.batch(async (history) => {
+      for (const id of ids) {
+        const task = taskStore.get(id);
+        if (!task) continue;
+        try {
+          await action(task, history);
+          succeeded.push(id);
+        } catch (error) {
+          console.error("Error en la acción sobre varias tareas:", error);
+          // The user is being sent to the login view, the rest would fail too
+          if (error.sessionExpired) break;
+          failed.push({ task, error });
+        }
+      }
+      return done(succeeded.length);
+    });
+
+    controls.forEach((el) => (el.disabled = false));
+    selection.setMany(succeeded, false);
+
+    if (failed.length) {
+      showToast({
+        type: "error",
+        title: `${failed.length} de ${ids.length} tarea(s) no se pudieron procesar`,
+        message: failed.map(({ task, error }) => `• ${task.title}: ${error.message}`).join("\n"),
+        duration: 0,
+        actions: succeeded.length ? [{ label: "Deshacer", onClick: undoLast }] : [],
+      });
+    } else if (succeeded.length) {
+      showUndoToast(label, undoNote);
+    }
+  }
+
+  // Function to build one column of the board
+  function createColumn(column, index, count) {
+    const element = document.createElement("div");
+    element.className = "task-column";
+    element.dataset.column = column.id;
+    const isDone = column.id === DONE_COLUMN;
+    // Column names are typed by the user: the template escapes them
+    setHTML(
+      element,
+      html`
+        <div class="column-header">
+          <input
+            type="checkbox"
+            class="column-select"
+            data-status="${column.id}"
+            title="Seleccionar todas"
+            aria-label="Seleccionar todas las tareas de &quot;${column.name}&quot;"
+          />
+          <span class="column-name">${column.name}:</span>
+          <span class="column-count"></span>
+          <div class="column-actions">
+            <button type="button" class="edit-btn" data-column-action="left" title="Mover a la izquierda" ${index === 0 && html`disabled`}>
+              <i class="fas fa-chevron-left"></i>
+            </button>
+            <button type="button" class="edit-btn" data-column-action="rename" title="Editar nombre de columna">
+              <i class="fas fa-edit"></i>
+            </button>
+            <button type="button" class="edit-btn" data-column-action="limit" title="Límite de tareas en curso">
+              <i class="fas fa-sliders-h"></i>
+            </button>
+            <button type="button" class="edit-btn" data-column-action="right" title="Mover a la derecha" ${index === count - 1 && html`disabled`}>
+              <i class="fas fa-chevron-right"></i>
+            </button>
+            <button
+              type="button"
+              class="edit-btn"
+              data-column-action="archive"
+              title="${isDone ? "La columna de tareas completadas no se puede archivar" : "Archivar columna"}"
+              ${(isDone || count === 1) && html`disabled`}
+            >
+              <i class="fas fa-archive"></i>
+            </button>
+          </div>
+        </div>
+        <div id="${column.id}-tasks" class="task-list" data-status="${column.id}"></div>
+      `
+    );
+    return element;
+  }
+
+  // Function to build the last tile of the board: add a column and restore the archived ones
+  function createColumnAdder(archived) {
+    const adder = document.createElement("div");
+    adder.className = "column-adder";
+
+    const addBtn = document.createElement("button");
+    addBtn.type = "button";
+    addBtn.className = "add-column-btn";
+    addBtn.dataset.columnAction = "add";
+    addBtn.textContent = "+ Añadir columna";
+    adder.appendChild(addBtn);
+
+    if (archived.length) {
+      const title = document.createElement("p");
+      title.className = "archived-columns-title";
+      title.textContent = "Columnas archivadas:";
+      adder.appendChild(title);
+      archived.forEach((column) => {
+        const restoreBtn = document.createElement("button");
+        restoreBtn.type = "button";
+        restoreBtn.className = "archived-column";
+        restoreBtn.dataset.columnAction = "restore";
+        restoreBtn.dataset.column = column.id;
+        restoreBtn.title = "Restaurar columna";
+        restoreBtn.textContent = `↺ ${column.name}`;
+        adder.appendChild(restoreBtn);
+      });
+    }
+    return adder;
+  }
+
+  // Function to build the columns from the board settings, with everything that lists them
+  // (status selects of the task form and the bulk bar, drag-and-drop), then render the tasks
+  function renderColumns() {
+    const columns = boardSettings.getColumns();
+    const archived = boardSettings.getColumns({ archived: true }).filter((column) => column.archived);
+
+    if (tasksGrid) {
+      tasksGrid.style.setProperty("--columns", columns.length);
+      tasksGrid.replaceChildren(
+        ...columns.map((column, index) => createColumn(column, index, columns.length)),
+        createColumnAdder(archived)
+      );
+    }
+
+    [taskStatusSelect, bulkStatus].forEach((select) => {
+      if (!select) return;
+      const value = select.value;
+      // The first option is the placeholder of the select
+      select.replaceChildren(select.options[0], ...columns.map((column) => new Option(column.name, column.id)));
+      select.value = value;
+    });
+
+    initDragAndDrop({
+      lists: columns.map((column) => document.getElementById(`${column.id}-tasks`)).filter(Boolean),
+      onMove: moveTask,
+      onChange: checkEmptyColumns,
+    });
+    renderBoard(taskStore.getAll());
+  }
+
+  // Archive a column, warning first if some tasks are going to be hidden
+  function archiveColumn(id) {
+    const column = boardSettings.getColumn(id);
+    const count = taskStore.getAll().filter((task) => task.status === id).length;
+    const question =
+      `¿Archivar la columna "${column.name}"? Sus ${count} tarea(s) quedarán ocultas ` +
+      "hasta restaurarla.";
+    if (count && !confirm(question)) return;
+    boardSettings.archive(id);
+  }
+
+  // Column actions: rename, move, archive, add and restore
+  tasksGrid?.addEventListener("click", (e) => {
+    const button = e.target.closest?.("[data-column-action]");
+    if (!button || !requireEditor()) return;
+    const id = button.closest("[data-column]")?.dataset.column;
+
+    try {
+      switch (button.dataset.columnAction) {
+        case "rename": {
+          const name = prompt("Nuevo nombre de la columna:", boardSettings.getColumn(id).name);
+          if (name !== null) boardSettings.rename(id, name);
+          break;
+        }
+        case "limit": {
+          const limit = prompt(
+            "Máximo de tareas en la columna (vacío para no tener límite):",
+            boardSettings.getColumn(id).limit ?? ""
+          );
+          if (limit !== null) boardSettings.setLimit(id, limit);
+          break;
+        }
+        case "left":
+          boardSettings.move(id, -1);
+          break;
+        case "right":
+          boardSettings.move(id, 1);
+          break;
+        case "archive":
+          archiveColumn(id);
+          break;
+        case "add": {
+          const name = prompt("Nombre de la nueva columna:");
+          if (name !== null) boardSettings.add(name);
+          break;
+        }
+        case "restore":
+          boardSettings.restore(id);
+          break;
+      }
+    } catch (error) {
+      showToast({ type: "error", message: error.message });
+    }
+  });
+
+  // Card checkboxes (Shift + click selects a range) and "select all" of each column
+  tasksGrid?.addEventListener("click", (e) => {
+    const checkbox = e.target.closest?.(".task-select");
+    if (!checkbox) return;
+    selection.toggle(checkbox.closest(".task-item").dataset.taskId, {
+      range: e.shiftKey,
+      order: visibleTaskIds(),
+    });
+  });
+
+  tasksGrid?.addEventListener("change", (e) => {
+    if (!e.target.matches(".column-select")) return;
+    selection.setMany(visibleTaskIds(e.target.dataset.status), e.target.checked);
+  });
+
+  bulkStatus?.addEventListener("change", () => {
+    const status = bulkStatus.value;
+    const name = bulkStatus.selectedOptions[0].textContent;
+    bulkStatus.value = "";
+    if (!status || !confirmWipLimits(selection.ids().map((id) => ({ id, status })))) return;
+    runBulk({
+      question: (n) => `¿Mover ${n} tarea(s) a "${name}"?`,
+      done: (n) => `${n} tarea(s) movidas a "${name}".`,
+      action: (task, history) => task.status !== status && history.update(task._id, { status }),
+    });
+  });
+
+  bulkDateBtn?.addEventListener("click", () => {
+    const date = bulkDate.value;
+    if (!date) {
+      showToast({ type: "warning", message: "Elige la nueva fecha de las tareas." });
+      return;
+    }
+    runBulk({
+      question: (n) => `¿Reprogramar ${n} tarea(s) para el ${date}?`,
+      done: (n) => `${n} tarea(s) reprogramadas.`,
+      action: (task, history) => task.date !== date && history.update(task._id, { date }),
+    });
+  });
+
+  bulkLabelBtn?.addEventListener("click", () => {
+    const name = bulkLabel.value.trim();
+    if (!name) {
+      showToast({ type: "warning", message: "Escribe la etiqueta a añadir." });
+      return;
+    }
+    // Reuse the color of the label if some task already has it
+    const existing = labelsInUse(taskStore.getAll()).find(
+      (label) => label.name.toLowerCase() === name.toLowerCase()
+    );
+    const label = { name, color: existing ? existing.color : defaultLabelColor(name) };
+    runBulk({
+      question: (n) => `¿Añadir la etiqueta "${name}" a ${n} tarea(s)?`,
+      done: (n) => `Etiqueta "${name}" añadida a ${n} tarea(s).`,
+      action: (task, history) =>
+        !hasLabel(task, name) &&
+        history.update(task._id, { labels: normalizeLabels([...task.labels, label]) }),
+    }).then(() => {
+      if (!selection.size()) bulkLabel.value = "";
+    });
+  });
+
+  bulkDeleteBtn?.addEventListener("click", () => {
+    runBulk({
+      question: (n) => `¿Eliminar ${n} tarea(s)? Podrás deshacerlo, pero volverán sin sus adjuntos ni comentarios.`,
+      done: (n) => `${n} tarea(s) eliminadas.`,
+      action: (task, history) => history.remove(task._id),
+      undoNote: UNDO_DELETE_NOTE,
+    });
+  });
+
+  bulkClearBtn?.addEventListener("click", () => selection.clear());
+
+  // Query of the calendar period, only while the calendar is shown
+  function calendarQuery() {
+    return boardMode === "calendar" ? calendarToQuery(calendarState) : {};
+  }
+
+  // Function to show the columns or the calendar and point the tabs to the current filters
+  function showBoardMode() {
+    if (tasksGrid) tasksGrid.style.display = boardMode === "calendar" ? "none" : "";
+    if (calendarView) calendarView.style.display = boardMode === "calendar" ? "" : "none";
+    boardTab?.classList.toggle("active", boardMode === "board");
+    calendarTab?.classList.toggle("active", boardMode === "calendar");
+    if (boardTab) boardTab.href = `#/board${buildQuery(filtersToQuery(filters))}`;
+    if (calendarTab) {
+      calendarTab.href = `#/calendar${buildQuery({ ...filtersToQuery(filters), ...calendarToQuery(calendarState) })}`;
+    }
+  }
+
+  // Month/week calendar: clicking a day creates a task on it, dragging a task reschedules it
+  const calendar = createCalendar({
+    container: calendarView,
+    onDayClick: (dateKey) => {
+      if (!boardStore.canEdit()) return;
+      resetTaskForm();
+      document.getElementById("taskDate").value = dateKey;
+      showModal(taskModal);
+      document.getElementById("taskTitle").focus();
+    },
+    onTaskClick: openTaskRoute,
+    onTaskDrop: async (taskId, date) => {
+      if (taskStore.get(taskId)?.date === date || !requireEditor()) return;
+      try {
+        // The calendar re-renders from the store (and again if the change is rolled back)
+        await taskHistory.update(taskId, { date }, { optimistic: true }, "Tarea reprogramada");
+        showUndoToast("Tarea reprogramada");
+      } catch (error) {
+        console.error("Error al reprogramar la tarea:", error);
+        showError("No se pudo reprogramar la tarea. Por favor, intenta de nuevo.", error);
+      }
+    },
+    onNavigate: (state) => {
+      location.replace(
+        `#/calendar${buildQuery({ ...filtersToQuery(filters), ...calendarToQuery(state) })}`
+      );
+    },
+  });
+
+  // Function to apply a filter state coming from the route query
+  function setFilters(next) {
+    filters = next;
+    showBoardMode();
+    if (taskSearch && document.activeElement !== taskSearch) taskSearch.value = filters.q;
+    if (taskRange) taskRange.value = filters.range;
+    if (taskSort) taskSort.value = filters.sort;
+    if (taskPriorityFilter) taskPriorityFilter.value = filters.priority;
+    renderBoard(taskStore.getAll());
+  }
+
+  // Function to reflect the toolbar state in the hash query (without a new history entry)
+  function updateFiltersInHash() {
+    const next = readFilters({
+      q: taskSearch?.value,
+      range: taskRange?.value,
+      priority: taskPriorityFilter?.value,
+      label: taskLabelFilter?.value,
+      sort: taskSort?.value,
+    });
+    const { path } = parseHash(location.hash);
+    location.replace(`#/${path || "board"}${buildQuery({ ...filtersToQuery(next), ...calendarQuery() })}`);
+  }
+
+  let searchTimer = null;
+  taskSearch?.addEventListener("input", () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(updateFiltersInHash, 250);
+  });
+  taskRange?.addEventListener("change", updateFiltersInHash);
+  taskSort?.addEventListener("change", updateFiltersInHash);
+  taskPriorityFilter?.addEventListener("change", updateFiltersInHash);
+  taskLabelFilter?.addEventListener("change", updateFiltersInHash);
+  clearFiltersBtn?.addEventListener("click", () => {
+    if (taskSearch) taskSearch.value = "";
+    if (taskRange) taskRange.value = "all";
+    if (taskSort) taskSort.value = "manual";
+    if (taskPriorityFilter) taskPriorityFilter.value = "";
+    if (taskLabelFilter) taskLabelFilter.value = "";
+    updateFiltersInHash();
+  });
+
   // Function to load tasks from the database
   async function loadTasksFromDatabase() {
     try {
-      const tasks = await getUserTasks();
-
-      // Back → front mapping to display tasks
-      const reverseStatusMap = {
-        "Por Hacer": "todo",
-        Haciendo: "doing",
-        Hecho: "done",
-      };
+      await boardStore.load();
+    } catch (err) {
+      if (err.code !== "aborted") console.error("Error al cargar los tableros:", err);
+    }
+    // From now on, selecting another board loads its tasks
+    shownBoardId = boardStore.currentId();
+    boardsLoaded = true;
+    await loadBoardTasks();
+  }
 
-      tasks.forEach((task) => {
-        const frontendTask = {
-          ...task,
-          status: reverseStatusMap[task.status] || task.status,
-        };
-        addTaskToDOM(frontendTask);
-      });
+  async function loadBoardTasks() {
+    try {
+      await taskStore.load();
     } catch (err) {
-      console.error("Error al cargar tareas:", err);
+      if (err.code !== "aborted") console.error("Error al cargar tareas:", err);
     }
+    // Another board may have been selected while loading: its own load follows it
+    if (boardStore.currentId() === shownBoardId) liveUpdates.start();
   }
 
-  // Global functions for action buttons (needed for onclick)
-  window.editTask = function (taskId) {
-    // Find the task in the DOM to get its data
-    const taskElement = document.querySelector(`[data-task-id="${taskId}"]`);
-    if (taskElement) {
-      const taskData = {
-        _id: taskId,
-        title: taskElement.querySelector(".task-title").textContent,
-        details: taskElement.querySelector(".task-details").textContent,
-        date: taskElement.querySelector(".task-date").textContent.split(" ")[0],
-        time: taskElement.querySelector(".task-date").textContent.split(" ")[1],
-        status: getTaskStatus(taskElement),
-      };
+  // Undoing a delete creates the task again, but the server does not keep its attachments and comments
+  const UNDO_DELETE_NOTE = "Al deshacer, se recuperan sin sus adjuntos ni comentarios.";
+
+  // Toast offering to undo the last operation (only the latest one stays open),
+  // with a note on what undoing it does not bring back
+  let historyToast = null;
+  function showUndoToast(message, note) {
+    historyToast?.close();
+    historyToast = showToast({
+      ...(note ? { title: message, message: note } : { message }),
+      type: "success",
+      actions: [{ label: "Deshacer", onClick: undoLast }],
+    });
+  }
 
-      fillTaskForm(taskData);
-      showModal(taskModal);
+  // Function to undo the last task operation (Ctrl+Z or "Deshacer")
+  async function undoLast() {
+    historyToast?.close();
+    if (!requireEditor() || !confirmWipLimits(taskHistory.peekMoves("undo"))) return;
+    try {
+      const label = await taskHistory.undo();
+      if (!label) return;
+      historyToast = showToast({
+        message: `Deshecho: ${label}`,
+        actions: [{ label: "Rehacer", onClick: redoLast }],
+      });
+    } catch (error) {
+      console.error("Error al deshacer:", error);
+      showError("No se pudo deshacer el cambio. Por favor, intenta de nuevo.", error);
     }
-  };
+  }
 
-  window.confirmDeleteTask = function (taskId) {
-    currentTaskId = taskId;
-    const taskElement = document.querySelector(`[data-task-id="${taskId}"]`);
-    if (taskElement) {
-      currentTaskData = {
-        _id: taskId,
-        title: taskElement.querySelector(".task-title").textContent,
-      };
+  // Function to apply again the last undone operation (Ctrl+Shift+Z)
+  async function redoLast() {
+    historyToast?.close();
+    if (!requireEditor() || !confirmWipLimits(taskHistory.peekMoves("redo"))) return;
+    try {
+      const label = await taskHistory.redo();
+      if (!label) return;
+      historyToast = showToast({
+        message: `Rehecho: ${label}`,
+        actions: [{ label: "Deshacer", onClick: undoLast }],
+      });
+    } catch (error) {
+      console.error("Error al rehacer:", error);
+      showError("No se pudo rehacer el cambio. Por favor, intenta de nuevo.", error);
     }
-    showModal(deleteModal);
-  };
+  }
 
-  // Helper function to get the task status based on its container
-  function getTaskStatus(taskElement) {
-    const parent = taskElement.parentElement;
-    if (parent.id === "todo-tasks") return "todo";
-    if (parent.id === "doing-tasks") return "doing";
-    if (parent.id === "done-tasks") return "done";
-    return "todo";
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), except while typing or with a modal open
+  function handleHistoryKeys(e) {
+    if (currentView !== "board") return;
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== "z") return;
+    if (e.target.closest?.("input, textarea, select, [contenteditable]")) return;
+    if (document.querySelector(".modal.show")) return;
+    e.preventDefault();
+    if (e.shiftKey) redoLast();
+    else undoLast();
   }
+  document.addEventListener("keydown", handleHistoryKeys);
+
+  // "Ver más" / "Ver menos" of long details
+  tasksGrid?.addEventListener("click", (e) => {
+    const toggle = e.target.closest?.(".details-toggle");
+    if (!toggle) return;
+    const card = toggle.closest(".task-item");
+    const taskId = card.dataset.taskId;
+    const expanded = !expandedDetails.has(taskId);
+    if (expanded) expandedDetails.add(taskId);
+    else expandedDetails.delete(taskId);
+    card.querySelector(".task-details").classList.toggle("collapsed", !expanded);
+    toggle.textContent = expanded ? "Ver menos" : "Ver más";
+  });
+
+  // Edit and delete buttons of the cards
+  tasksGrid?.addEventListener("click", (e) => {
+    const button = e.target.closest?.(".task-edit-btn, .task-delete-btn");
+    if (!button) return;
+    const taskId = button.closest(".task-item").dataset.taskId;
+
+    if (button.matches(".task-edit-btn")) {
+      // The route opens the modal, reading the task from the store so no field is lost
+      openTaskRoute(taskId);
+    } else {
+      currentTaskId = taskId;
+      currentTaskData = taskStore.get(taskId) || null;
+      showModal(deleteModal);
+    }
+  });
 
   // Close modals on click outside
   window.addEventListener("click", (e) => {
@@ -737,8 +1965,13 @@ function initBoard() {
       hideModal(profileModal);
     }
     if (e.target === taskModal) {
-      resetTaskForm();
-      hideModal(taskModal);
+      closeTaskModal();
+    }
+    if (e.target === importExportModal) {
+      hideModal(importExportModal);
+    }
+    if (e.target === membersModal) {
+      hideModal(membersModal);
     }
     if (e.target === deleteModal) {
       hideModal(deleteModal);
@@ -747,15 +1980,205 @@ function initBoard() {
     }
   });
 
-  // Load tasks and initialize avatar
-  loadTasksFromDatabase();
+  // Board switcher of the header and members dialog of the current board
+  const boardSwitcher = document.getElementById("boardSwitcher");
+  const newBoardBtn = document.getElementById("newBoardBtn");
+  const membersBtn = document.getElementById("membersBtn");
+  const membersModal = document.getElementById("membersModal");
+  const membersModalTitle = document.getElementById("membersModalTitle");
+  const renameBoardBtn = document.getElementById("renameBoardBtn");
+  const deleteBoardBtn = document.getElementById("deleteBoardBtn");
+  const inviteForm = document.getElementById("inviteForm");
+  const inviteEmail = document.getElementById("inviteEmail");
+  const inviteRole = document.getElementById("inviteRole");
+
+  const membersDialog = createMembersDialog({
+    list: document.getElementById("memberList"),
+    inviteForm,
+    emailInput: inviteEmail,
+    roleSelect: inviteRole,
+    roles: ROLES,
+    currentEmail: () => storedUser().email,
+    invite: async (email, role) => {
+      await boardStore.invite(email, role);
+      showToast({ type: "success", message: `Invitación enviada a ${email}.` });
+    },
+    setRole: (memberId, role) => boardStore.setRole(memberId, role),
+    remove: async (member, leaving) => {
+      await boardStore.removeMember(member._id, { leaving });
+      if (leaving) hideModal(membersModal);
+    },
+    onError: showError,
+    onFieldErrors: (err) => showFieldErrors(inviteForm, err.fieldErrors, { email: inviteEmail, role: inviteRole }),
+  });
+
+  // Board whose tasks are in the store; the first one is set by the initial load
+  let shownBoardId = boardStore.currentId();
+  let boardsLoaded = false;
+
+  // Function to reflect the boards (and the role of the user in the current one) in the view
+  function renderBoards({ boards, currentId }) {
+    const board = boardStore.current();
+    const editable = boardStore.canEdit();
+
+    if (boardSwitcher) {
+      boardSwitcher.replaceChildren(
+        ...boards.map(
+          (b) => new Option(b.role === "owner" ? b.name : `${b.name} (${ROLES[b.role] || b.role})`, b._id)
+        )
+      );
+      boardSwitcher.value = currentId || "";
+      boardSwitcher.closest(".board-switcher").hidden = !boards.length;
+    }
+    if (newTaskBtn) newTaskBtn.hidden = !editable;
+    if (membersModalTitle) membersModalTitle.textContent = board ? `Miembros de "${board.name}"` : "Miembros del tablero";
+    if (renameBoardBtn) renameBoardBtn.hidden = board?.role !== "owner";
+    if (deleteBoardBtn) deleteBoardBtn.hidden = board?.role !== "owner";
+    membersDialog.render(board);
+    assigneePicker.setMembers(board?.members || []);
+
+    // Role and member names are drawn on the cards: draw them all again
+    document.querySelectorAll(".task-item").forEach((card) => {
+      card.task = null;
+    });
+    renderBoard(taskStore.getAll());
+
+    if (boardsLoaded && currentId !== shownBoardId) {
+      shownBoardId = currentId;
+      // The undo history and the selection belong to the previous board
+      taskHistory.clear();
+      selection.clear();
+      if (isEditMode) closeTaskModal();
+      liveUpdates.stop();
+      loadBoardTasks();
+    }
+  }
+
+  boardSwitcher?.addEventListener("change", () => boardStore.select(boardSwitcher.value));
+
+  // Badge of the header telling whether the changes of the team arrive live
+  const liveStatus = document.getElementById("liveStatus");
+  const LIVE_STATUS = {
+    connecting: ["Conectando...", "Conectando para recibir los cambios de tu equipo."],
+    live: ["En vivo", "Los cambios de tu equipo aparecen al momento."],
+    polling: ["Actualización periódica", "Los cambios de tu equipo se buscan cada pocos segundos."],
+    offline: ["Sin conexión", "Los cambios de tu equipo aparecerán al recuperar la conexión."],
+  };
+  function renderLiveStatus(mode) {
+    if (!liveStatus) return;
+    const [text, title] = LIVE_STATUS[mode] || [];
+    liveStatus.hidden = !text;
+    liveStatus.textContent = text || "";
+    liveStatus.title = title || "";
+    liveStatus.dataset.mode = mode;
+  }
+
+  newBoardBtn?.addEventListener("click", async () => {
+    const name = prompt("Nombre del nuevo tablero:");
+    if (!name?.trim()) return;
+    try {
+      await boardStore.create(name.trim());
+      showToast({ type: "success", message: `Tablero "${name.trim()}" creado.` });
+    } catch (error) {
+      console.error("Error al crear el tablero:", error);
+      showError("No se pudo crear el tablero.", error);
+    }
+  });
+
+  membersBtn?.addEventListener("click", () => {
+    clearFieldErrors(inviteForm);
+    membersDialog.render(boardStore.current());
+    showModal(membersModal);
+  });
+
+  document.getElementById("membersCloseBtn")?.addEventListener("click", () => hideModal(membersModal));
+
+  renameBoardBtn?.addEventListener("click", async () => {
+    const board = boardStore.current();
+    const name = prompt("Nuevo nombre del tablero:", board.name);
+    if (!name?.trim() || name.trim() === board.name) return;
+    try {
+      await boardStore.rename(board._id, name.trim());
+    } catch (error) {
+      console.error("Error al renombrar el tablero:", error);
+      showError("No se pudo renombrar el tablero.", error);
+    }
+  });
+
+  deleteBoardBtn?.addEventListener("click", async () => {
+    const board = boardStore.current();
+    if (!confirm(`¿Eliminar el tablero "${board.name}" y todas sus tareas? Esta acción no se puede deshacer.`)) return;
+    try {
+      await boardStore.remove(board._id);
+      hideModal(membersModal);
+      showToast({ type: "success", message: `Tablero "${board.name}" eliminado.` });
+    } catch (error) {
+      console.error("Error al eliminar el tablero:", error);
+      showError("No se pudo eliminar el tablero.", error);
+    }
+  });
+
+  // Drag-and-drop between columns (optimistic, rolled back if the server rejects it)
+  async function moveTask({ taskId, to }) {
+    // Declining the WIP limit warning puts the card back
+    if (!requireEditor() || !confirmWipLimits([{ id: taskId, status: to }])) throw new Error("Movimiento cancelado");
+    try {
+      await taskHistory.update(taskId, { status: to }, { optimistic: true }, "Tarea movida");
+      showUndoToast("Tarea movida");
+    } catch (error) {
+      console.error("Error al mover la tarea:", error);
+      showError("No se pudo mover la tarea. Por favor, intenta de nuevo.", error);
+      throw error;
+    }
+  }
+
+  // Render the columns from the board settings and the board from the task store,
+  // then load tasks and initialize avatar
+  stopBoardRender?.();
+  const stopSettings = boardSettings.subscribe(renderColumns);
+  const stopSettingsErrors = boardSettings.onSaveError((err) =>
+    showError("No se pudieron guardar los cambios de las columnas.", err)
+  );
+  const stopStore = taskStore.subscribe(renderBoard);
+  const stopActivity = taskActivity.subscribe(() => activityPanel.refresh());
+  const stopBoards = boardStore.subscribe(renderBoards);
+  const stopRemote = taskStore.onRemoteChange(handleRemoteChange);
+  const stopLive = liveUpdates.subscribe(renderLiveStatus);
+  // Refresh every minute so cards reaching their due time get highlighted
+  // (and the times of the activity panel stay current)
+  const overdueTimer = setInterval(() => {
+    renderBoard(taskStore.getAll());
+    activityPanel.refresh();
+  }, 60 * 1000);
+  stopBoardRender = () => {
+    stopSettings();
+    stopSettingsErrors();
+    stopStore();
+    stopActivity();
+    stopBoards();
+    stopRemote();
+    stopLive();
+    liveUpdates.stop();
+    clearInterval(overdueTimer);
+    document.removeEventListener("keydown", handleHistoryKeys);
+  };
+  const tasksLoaded = loadTasksFromDatabase();
+
+  // Open the task of a `#/task/:id` deep link, and follow later board routes
+  applyBoardRoute = (routeCtx) => {
+    if (routeCtx.path === "board" || routeCtx.path === "calendar") boardMode = routeCtx.path;
+    calendarState = readCalendarState(routeCtx.query);
+    setFilters(readFilters(routeCtx.query));
+    showTaskFromRoute(routeCtx);
+  };
+  setFilters(filters);
+  showTaskFromRoute(ctx);
   
 
   // Sign out function
   logoutBtn?.addEventListener("click", () => {
     if (confirm("¿Estás seguro que deseas cerrar sesión?")) {
-      //localStorage.clear();
-      localStorage.removeItem("userData");
+      logOut();
       userData = { name: "", lastname: "", email: "", birthdate: "", bio: "" };
       location.hash = "#/home";
     }
@@ -838,15 +2261,7 @@ function initRegister() {
     e.preventDefault();
     msg.textContent = "";
 
-    const fields = [
-      userInput,
-      lastnameInput,
-      birthdateInput,
-      emailInput,
-      passInput,
-      confirmPassInput,
-    ];
-    fields.forEach((field) => field.classList.remove("error"));
+    clearFieldErrors(form);
 
     const username = userInput?.value.trim();
     const lastname = lastnameInput?.value.trim();
@@ -919,7 +2334,20 @@ function initRegister() {
         location.hash = "#/home";
       }, 3000);
     } catch (err) {
-      msg.textContent = `Error: ${err.message}`;
+      const inputs = {
+        username: userInput,
+        lastname: lastnameInput,
+        birthdate: birthdateInput,
+        email: emailInput,
+        password: passInput,
+      };
+      if (showFieldErrors(form, err.fieldErrors, inputs)) {
+        msg.textContent = "Revisa los campos marcados.";
+      } else if (err.code === "conflict") {
+        showFieldErrors(form, { email: "Ya existe una cuenta con este correo electrónico." }, inputs);
+      } else {
+        msg.textContent = `Error: ${describeError(err)}`;
+      }
     } finally {
       form.querySelector('button[type="submit"]').disabled = false;
     }
@@ -1008,7 +2436,7 @@ function initForgot() {
       form.reset();
       msg.textContent = "";
     } catch (err) {
-      msg.innerHTML = `<div class="message-error">Ha ocurrido un error. Por favor, inténtalo de nuevo más tarde.</div>`;
+      setHTML(msg, html`<div class="message-error">Ha ocurrido un error. Por favor, inténtalo de nuevo más tarde.</div>`);
     } finally {
       submitBtn.disabled = false;
       submitBtn.textContent = "Enviar Enlace";
@@ -1028,11 +2456,16 @@ function initAbout() {
 /**
  * Initialize the "Reset Password" view.
  * Handles password reset functionality with token validation.
+ * The token comes from the route (`#/reset-password/:token`), the hash
+ * query (`#/reset-password?token=xxx`) or the page query string.
  *
  * @function initResetPassword
+ * @param {Object} ctx - Route context.
+ * @param {Object} ctx.params - Path parameters.
+ * @param {Object} ctx.query - Query string parameters.
  * @returns {void}
  */
-function initResetPassword() {
+function initResetPassword({ params = {}, query = {} } = {}) {
   const form = document.getElementById("resetPasswordForm");
   const newPasswordInput = document.getElementById("newPassword");
   const confirmPasswordInput = document.getElementById("confirmPassword");
@@ -1052,7 +2485,7 @@ function initResetPassword() {
 
   // Extract token from the URL
   const urlParams = new URLSearchParams(window.location.search);
-  const token = urlParams.get('token') || extractTokenFromHash();
+  const token = params.token || query.token || urlParams.get('token');
   
   if (token) {
     tokenInput.value = token;
@@ -1062,13 +2495,6 @@ function initResetPassword() {
     return;
   }
 
-  //Function to extract token from the hash if it comes in the format #/reset-password?token=xxx
-  function extractTokenFromHash() {
-    const hash = window.location.hash;
-    const tokenMatch = hash.match(/[?&]token=([^&]+)/);
-    return tokenMatch ? tokenMatch[1] : null;
-  }
-
   // Function to display modal
   function showModal(modal) {
     modal.classList.add("show");
@@ -1186,14 +2612,18 @@ function initResetPassword() {
       
       // Show specific error message
       let errorMessage = "Ha ocurrido un error. Por favor, inténtalo de nuevo.";
-      
-      if (err.message.includes("token")) {
-        errorMessage = "El enlace de recuperación ha expirado o no es válid o. Por favor, solicita un nuevo enlace.";
-      } else if (err.message.includes("password")) {
+      const passwordError = err.fieldErrors?.newPassword || err.fieldErrors?.password;
+
+      if (err.fieldErrors?.token || ["invalid_token", "token_expired", "not_found"].includes(err.code)) {
+        errorMessage = "El enlace de recuperación ha expirado o no es válido. Por favor, solicita un nuevo enlace.";
+      } else if (passwordError) {
+        showFieldErrors(form, { newPassword: passwordError }, { newPassword: newPasswordInput });
         errorMessage = "Error al actualizar la contraseña. Verifica que cumple con los requisitos.";
+      } else if (err.code === "network") {
+        errorMessage = describeError(err);
       }
-      
-      msg.innerHTML = `<div class="message-error">${errorMessage}</div>`;
+
+      setHTML(msg, html`<div class="message-error">${errorMessage}</div>`);
       
     } finally {
       // Restore button
@@ -1201,4 +2631,22 @@ function initResetPassword() {
       submitBtn.textContent = "Cambiar contraseña";
     }
   });
-}
\ No newline at end of file
+}
+
+/**
+ * Initialize the "Not found" view.
+ * Shows the requested path and offers a way back.
+ *
+ * @function initNotFound
+ * @param {Object} ctx - Route context.
+ * @param {string} ctx.path - The path that did not match any route.
+ * @returns {void}
+ */
+function initNotFound({ path }) {
+  const pathEl = document.getElementById("notFoundPath");
+  if (pathEl) pathEl.textContent = `#/${path}`;
+
+  document.getElementById("notFoundBackBtn")?.addEventListener("click", () => {
+    navigate(isAuthenticated() ? "board" : "home");
+  });
+}
@@ -0,0 +1,174 @@
+/**
+ * Declarative hash router.
+ *
+ * Routes are registered with `addRoute` as a table of path patterns
+ * (`board`, `task/:id`, `reset-password/:token`), each with its view,
+ * init function, auth guard and document title. The router parses the
+ * current hash (`#/path?query`), matches it against the table and hands
+ * the matched route to the `render` function given to `startRouter`.
+ */
+
+const routes = [];
+let options = null;
+
+/**
+ * Compile a path pattern such as `task/:id` into a regular expression.
+ *
+ * @param {string} pattern - Path pattern without the leading `#/`.
+ * @returns {{regex: RegExp, keys: string[]}} The expression and the parameter names.
+ */
+function compilePattern(pattern) {
+  const keys = [];
+  const source = pattern
+    .split("/")
+    .map((segment) => {
+      if (segment.startsWith(":")) {
+        keys.push(segment.slice(1));
+        return "([^/]+)";
+      }
+      return segment.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("/");
+  return { regex: new RegExp(`^${source}$`), keys };
+}
+
+/**
+ * Register a route.
+ *
+ * @param {Object} route
+ * @param {string} route.path - Path pattern (e.g. `board`, `task/:id`).
+ * @param {string} route.view - Name of the HTML view in `src/views`.
+ * @param {(ctx: {params: Object, query: Object, path: string}) => void} [route.init] - View initializer.
+ * @param {(ctx: {params: Object, query: Object, path: string}) => void} [route.update] -
+ *   Called instead of reloading the view when the previous route used the same view.
+ * @param {boolean} [route.requiresAuth=false] - Only accessible with a session.
+ * @param {string} [route.title] - Document title while the route is active.
+ * @returns {void}
+ */
+export function addRoute(route) {
+  routes.push({ requiresAuth: false, ...route, ...compilePattern(route.path) });
+}
+
+/**
+ * Parse a location hash into its path and query parameters.
+ *
+ * @param {string} hash - Location hash (e.g. `#/board?q=foo`).
+ * @returns {{path: string, query: Object<string, string>}}
+ */
+export function parseHash(hash) {
+  const raw = hash.startsWith("#/") ? hash.slice(2) : "";
+  const [path, search = ""] = raw.split("?");
+  return {
+    path: path.replace(/\/+$/, ""),
+    query: Object.fromEntries(new URLSearchParams(search)),
+  };
+}
+
+/**
+ * Find the route matching a location hash.
+ *
+ * @param {string} hash - Location hash.
+ * @returns {{route: Object, params: Object, query: Object, path: string}|null}
+ *   The match, or null if no route matches (or its parameters cannot be decoded).
+ */
+export function matchRoute(hash) {
+  const { path, query } = parseHash(hash);
+  const target = path || options?.defaultPath || "";
+
+  for (const route of routes) {
+    const match = route.regex.exec(target);
+    if (match) {
+      let params;
+      try {
+        params = Object.fromEntries(
+          route.keys.map((key, i) => [key, decodeURIComponent(match[i + 1])])
+        );
+      } catch (err) {
+        // Malformed escape (e.g. `#/task/%E0`): rendered as not found
+        if (err instanceof URIError) return null;
+        throw err;
+      }
+      return { route, params, query, path: target };
+    }
+  }
+  return null;
+}
+
+/**
+ * Render the route that matches the current hash.
+ *
+ * @returns {void}
+ */
+export function resolveRoute() {
+  if (!options) return;
+  const { render, isAuthenticated, onAuthRequired, notFound } = options;
+
+  const match = matchRoute(location.hash);
+  if (!match) {
+    render({ route: notFound, params: {}, query: {}, path: parseHash(location.hash).path });
+    return;
+  }
+
+  if (match.route.requiresAuth && !isAuthenticated()) {
+    const redirect = onAuthRequired(match);
+    const fallback = redirect && matchRoute(`#/${redirect}`);
+    if (fallback) render(fallback);
+    return;
+  }
+
+  render(match);
+}
+
+/**
+ * Navigate to a path. Re-renders even if the hash does not change.
+ *
+ * @param {string} path - Target path without `#/` (may include a query string).
+ * @returns {void}
+ */
+export function navigate(path) {
+  if (location.hash !== `#/${path}`) {
+    location.hash = `#/${path}`;
+  } else {
+    resolveRoute();
+  }
+}
+
+/**
+ * @returns {string} The query string of the current hash (including `?`), or an empty string.
+ */
+export function currentQuery() {
+  const index = location.hash.indexOf("?");
+  return index === -1 ? "" : location.hash.slice(index);
+}
+
+/**
+ * Build a hash query string from an object, skipping empty values.
+ *
+ * @param {Object<string, string>} query
+ * @returns {string} The query string including `?`, or an empty string.
+ */
+export function buildQuery(query) {
+  const search = new URLSearchParams(
+    Object.entries(query).filter(([, value]) => value !== undefined && value !== null && value !== "")
+  ).toString();
+  return search ? `?${search}` : "";
+}
+
+/**
+ * Start listening to hash changes and render the current route.
+ *
+ * @param {Object} config
+ * @param {(match: {route: Object, params: Object, query: Object, path: string}) => void} config.render -
+ *   Loads the view of the route and calls its init function.
+ * @param {() => boolean} config.isAuthenticated - Whether there is a session.
+ * @param {(match: Object) => (string|void)} config.onAuthRequired -
+ *   Called when a guarded route is requested without a session; returns the path to show instead.
+ * @param {Object} config.notFound - Route rendered when nothing matches.
+ * @param {string} [config.defaultPath] - Path used when the hash is empty.
+ * @returns {void}
+ */
+export function startRouter(config) {
+  options = config;
+  window.addEventListener("hashchange", resolveRoute);
+  resolveRoute(); // initial render
+}
@@ -0,0 +1,211 @@
+import { onUnauthorized, ApiError } from '../api/http.js';
+import { refreshToken } from './userService.js';
+
+/**
+ * Session handling: stores the JWT returned by login, reads its expiry,
+ * refreshes it shortly before it expires and ends the session cleanly
+ * when the server answers 401 or the token expires without being refreshed.
+ * A refresh that fails for a passing reason (no connection, timeout, 5xx) is
+ * tried again while the token is still valid.
+ */
+
+// Refresh the token this long before it expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+// Longest delay accepted by setTimeout (~24.8 days); longer ones would fire at once
+const MAX_DELAY = 2 ** 31 - 1;
+
+// First wait before trying a failed refresh again, doubled on every attempt up to the maximum
+const RETRY_BASE_MS = 5 * 1000;
+const RETRY_MAX_MS = 60 * 1000;
+
+// Message shown on the login view after an expired session
+const EXPIRED_MESSAGE = 'Tu sesión ha expirado. Inicia sesión de nuevo para continuar.';
+
+let refreshTimer = null;
+const endListeners = new Set();
+const refreshListeners = new Set();
+
+/**
+ * Decode the payload of a JWT (without verifying its signature).
+ *
+ * @param {string} token - The JWT.
+ * @returns {Object|null} The decoded payload, or null if the token is malformed.
+ */
+export function decodeToken(token) {
+  try {
+    const base64 = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const padded = base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '=');
+    const json = decodeURIComponent(
+      [...atob(padded)].map((c) => `%${c.charCodeAt(0).toString(16).padStart(2, '0')}`).join('')
+    );
+    return JSON.parse(json);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * @param {string} token - The JWT.
+ * @returns {number|null} Expiry time in milliseconds since epoch, or null if the token has no `exp`.
+ */
+export function getTokenExpiry(token) {
+  const exp = decodeToken(token)?.exp;
+  return typeof exp === 'number' ? exp * 1000 : null;
+}
+
+/**
+ * @returns {string|null} The stored JWT.
+ */
+export function getToken() {
+  return localStorage.getItem('token');
+}
+
+/**
+ * Whether there is a logged-in user whose token (if any) has not expired.
+ *
+ * @returns {boolean}
+ */
+export function isAuthenticated() {
+  if (!localStorage.getItem('userData')) return false;
+  const token = getToken();
+  if (!token) return true;
+  const expiry = getTokenExpiry(token);
+  return expiry === null || expiry > Date.now();
+}
+
+/**
+ * Register a function to call whenever the session ends (logout or expiry).
+ *
+ * @param {() => void} listener
+ * @returns {() => void} Function that removes the listener.
+ */
+export function onSessionEnd(listener) {
+  endListeners.add(listener);
+  return () => endListeners.delete(listener);
+}
+
+/**
+ * Register a function to call whenever the token is refreshed.
+ *
+ * @param {(token: string) => void} listener
+ * @returns {() => void} Function that removes the listener.
+ */
+export function onTokenRefresh(listener) {
+  refreshListeners.add(listener);
+  return () => refreshListeners.delete(listener);
+}
+
+/**
+ * Schedule the token refresh shortly before it expires.
+ *
+ * @param {string} token - The current JWT.
+ */
+function scheduleRefresh(token) {
+  clearTimeout(refreshTimer);
+  const expiry = getTokenExpiry(token);
+  if (expiry === null) return;
+
+  const delay = Math.max(expiry - Date.now() - REFRESH_MARGIN_MS, 0);
+  if (delay > MAX_DELAY) {
+    // Too far away for one timer: wait as long as possible and schedule it again
+    refreshTimer = setTimeout(() => scheduleRefresh(token), MAX_DELAY);
+    return;
+  }
+  refreshTimer = setTimeout(() => refresh(token), delay);
+}
+
+/**
+ * Refresh the token. Passing failures are tried again, with a growing wait,
+ * until the token expires; anything else ends the session.
+ *
+ * @async
+ * @param {string} token - The current JWT.
+ * @param {number} [attempt=0] - Failed attempts so far.
+ * @returns {Promise<void>}
+ */
+async function refresh(token, attempt = 0) {
+  try {
+    const data = await refreshToken();
+    if (!data?.token) throw new Error('El backend no devolvió el token');
+    // Logged out meanwhile
+    if (getToken() !== token) return;
+    localStorage.setItem('token', data.token);
+    scheduleRefresh(data.token);
+    refreshListeners.forEach((listener) => listener(data.token));
+  } catch (err) {
+    // A 401 already ended the session through the unauthorized handler
+    if (err.sessionExpired || getToken() !== token) return;
+    const left = getTokenExpiry(token) - Date.now();
+    if (err instanceof ApiError && err.retryable && left > 0) {
+      console.warn('No se pudo renovar la sesión, se intentará de nuevo:', err);
+      const wait = Math.min(RETRY_BASE_MS * 2 ** attempt, RETRY_MAX_MS, left);
+      refreshTimer = setTimeout(() => refresh(token, attempt + 1), wait);
+      return;
+    }
+    console.error('No se pudo renovar la sesión:', err);
+    expireSession();
+  }
+}
+
+/**
+ * Start a session from the login response.
+ *
+ * @param {Object} data - Login response.
+ * @param {string} [data.token] - The JWT.
+ * @param {Object} data.user - The logged-in user.
+ * @returns {void}
+ */
+export function startSession({ token, user }) {
+  localStorage.setItem('userData', JSON.stringify(user));
+  if (token) {
+    localStorage.setItem('token', token);
+    scheduleRefresh(token);
+  }
+}
+
+/**
+ * End the session: stop the refresh timer, remove the token and user data
+ * and notify the listeners (e.g. to empty the task store).
+ *
+ * @returns {void}
+ */
+export function endSession() {
+  clearTimeout(refreshTimer);
+  refreshTimer = null;
+  localStorage.removeItem('token');
+  localStorage.removeItem('userData');
+  endListeners.forEach((listener) => listener());
+}
+
+/**
+ * End an expired session and send the user to the login view,
+ * remembering the current route to come back after logging in.
+ *
+ * @param {string} [message] - Message to show on the login view.
+ * @returns {void}
+ */
+export function expireSession(message = EXPIRED_MESSAGE) {
+  const route = location.hash.startsWith('#/') ? location.hash.slice(2) : '';
+  if (route && route !== 'home') localStorage.setItem('pendingRoute', route);
+  localStorage.setItem('sessionMessage', message);
+  endSession();
+  location.hash = '#/home';
+}
+
+/**
+ * Resume the session stored in localStorage (on app start) and handle
+ * 401 responses from the API.
+ *
+ * @export
+ * @function initSession
+ * @returns {void}
+ */
+export function initSession() {
+  onUnauthorized(() => expireSession());
+
+  const token = getToken();
+  if (!token || !localStorage.getItem('userData')) return;
+  if (isAuthenticated()) scheduleRefresh(token);
+  else expireSession();
+}
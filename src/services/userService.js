@@ -15,7 +15,7 @@ import { http } from '../api/http.js';
  * @param {string} params.email - The email of the new user.
  * @param {string} params.password - The password of the new user.
  * @returns {Promise<Object>} The created user object returned by the API.
- * @throws {Error} If the API responds with an error status or message.
+ * @throws {ApiError} If the API responds with an error status or cannot be reached.
  *
  * @example
  * try {
@@ -54,6 +54,23 @@ export async function loginUser({ email, password }) {
   return http.post('/api/v1/auth/login', { email, password });
 }
 
+/**
+ * Refresh the JWT of the current session before it expires
+ * @returns {Promise<Object>} Response with the new `token`
+ * @throws {ApiError} If the API responds with an error status or cannot be reached.
+ *
+ * @example
+ * try {
+ *   const { token } = await refreshToken();
+ *   console.log("New token:", token);
+ * } catch (err) {
+ *   console.error("Refresh failed:", err.message);
+ * }
+ */
+export async function refreshToken() {
+  return http.post('/api/v1/auth/refresh');
+}
+
 /**
  * Create a new task for the authenticated user
  * @param {Object} taskData - Task data
@@ -62,6 +79,16 @@ export async function loginUser({ email, password }) {
  * @param {string} taskData.date - Task date
  * @param {string} taskData.time - Task time
  * @param {string} taskData.status - Task status (Por Hacer, Haciendo, Hecho)
+ * @param {string} [taskData.column] - Id of the board column of the task (see `boardSettings.js`)
+ * @param {string} [taskData.priority] - Task priority (low, medium, high, urgent)
+ * @param {Array<{name: string, color: string}>} [taskData.labels] - Task labels
+ * @param {Array<{id: string, text: string, done: boolean}>} [taskData.checklist] - Task subtasks, in order
+ * @param {Object|null} [taskData.recurrence] - Repeat rule (see `utils/recurrence.js`), null if it does not repeat
+ * @param {number|null} [taskData.reminder] - Minutes before the due time to remind the user, null for no reminder
+ * @param {string} [taskData.boardId] - Board of the task (the personal tasks of the user if omitted)
+ * @param {Array<string>} [taskData.assignees] - Emails of the board members assigned to the task
+ * @param {string} [taskData.clientId] - Id given by the client (idempotency key): the server creates
+ *   one task per key and returns it again, so a create that timed out can be sent again safely
  * @returns {Promise<Object>} Created task object
  * 
  * @example
@@ -71,32 +98,124 @@ export async function loginUser({ email, password }) {
  *     details: "Finish the user authentication module",
  *     date: "2024-01-15",
  *     time: "14:30",
- *     status: "Por Hacer"
+ *     status: "Por Hacer",
+ *     priority: "high",
+ *     labels: [{ name: "backend", color: "#2563eb" }]
  *   });
  *   console.log("Task created:", task);
  * } catch (err) {
  *   console.error("Task creation failed:", err.message);
  * }
  */
-export async function CreateTask({ title, details, date, time, status }) {
-  return http.post('/api/v1/tasks', { title, details, date, time, status });
+export async function CreateTask({
+  title,
+  details,
+  date,
+  time,
+  status,
+  column,
+  priority,
+  labels,
+  checklist,
+  recurrence,
+  reminder,
+  boardId,
+  assignees,
+  clientId,
+}) {
+  return http.post('/api/v1/tasks', {
+    title,
+    details,
+    date,
+    time,
+    status,
+    column,
+    priority,
+    labels,
+    checklist,
+    recurrence,
+    reminder,
+    boardId,
+    assignees,
+    clientId,
+  });
 }
 
+// Path of the tasks of a board (or of the personal tasks)
+const tasksPath = (boardId) => (boardId ? `/api/v1/tasks?board=${encodeURIComponent(boardId)}` : '/api/v1/tasks');
+
 /**
- * Get all tasks for the current authenticated user
- * @returns {Promise<Array>} Array of user tasks
- * @throws {Error} If the API responds with an error status or message.
+ * Get all tasks of a board, or the personal tasks of the current authenticated user
+ * @param {string} [boardId] - Board ID (omit it for the personal tasks)
+ * @returns {Promise<Array>} Array of tasks
+ * @throws {ApiError} If the API responds with an error status or cannot be reached.
  * 
  * @example
  * try {
- *   const tasks = await getUserTasks();
- *   console.log("User tasks:", tasks);
+ *   const tasks = await getUserTasks("board123");
+ *   console.log("Board tasks:", tasks);
+ * } catch (err) {
+ *   console.error("Failed to get tasks:", err.message);
+ * }
+ */
+export async function getUserTasks(boardId) {
+  return http.get(tasksPath(boardId));
+}
+
+/**
+ * Get the tasks of a board only if they changed since the last request (ETag / If-None-Match)
+ * @param {string} [boardId] - Board ID (omit it for the personal tasks)
+ * @param {string|null} etag - ETag of the previous response
+ * @param {Object} [options] - Request options (e.g. `signal`)
+ * @returns {Promise<{modified: boolean, etag: string|null, data: Array|null}>} `data` is null when nothing changed
+ * @throws {ApiError} If the API responds with an error status or cannot be reached.
+ *
+ * @example
+ * try {
+ *   const { modified, etag, data } = await getUserTasksIfChanged("board123", lastEtag);
+ *   if (modified) console.log("Board tasks:", data);
  * } catch (err) {
  *   console.error("Failed to get tasks:", err.message);
  * }
  */
-export async function getUserTasks() {
-  return http.get('/api/v1/tasks');
+export async function getUserTasksIfChanged(boardId, etag, options) {
+  return http.getIfChanged(tasksPath(boardId), etag, options);
+}
+
+/**
+ * Open the stream of task changes of a board (server-sent events
+ * `task.created`, `task.updated` with `{ task, user }` and `task.deleted` with `{ id, user }`).
+ * The stream is authenticated with a ticket asked for with the token: it is valid once and
+ * for a few seconds, so every connection asks for a new one
+ * @param {string} boardId - Board ID
+ * @returns {Promise<EventSource|null>} The stream, or null if the browser does not support server-sent events
+ * @throws {ApiError} If the ticket cannot be obtained.
+ *
+ * @example
+ * const events = await openBoardEvents("board123");
+ * events?.addEventListener("task.updated", (e) => console.log(JSON.parse(e.data).task));
+ */
+export async function openBoardEvents(boardId) {
+  const { ticket } = await http.post(`/api/v1/boards/${boardId}/events/ticket`);
+  return http.events(`/api/v1/boards/${boardId}/events?ticket=${encodeURIComponent(ticket)}`);
+}
+
+/**
+ * Get a single task of the current authenticated user
+ * @param {string} taskId - Task ID to fetch
+ * @returns {Promise<Object>} The task object
+ * @throws {ApiError} If the API responds with an error status or cannot be reached.
+ *
+ * @example
+ * try {
+ *   const task = await getTask("task123");
+ *   console.log("Task:", task);
+ * } catch (err) {
+ *   console.error("Failed to get task:", err.message);
+ * }
+ */
+export async function getTask(taskId) {
+  return http.get(`/api/v1/tasks/${taskId}`);
 }
 
 /**
@@ -108,8 +227,15 @@ export async function getUserTasks() {
  * @param {string} [taskData.date] - Task date
  * @param {string} [taskData.time] - Task time
  * @param {string} [taskData.status] - Task status (Por Hacer, Haciendo, Hecho)
+ * @param {string} [taskData.column] - Id of the board column of the task (see `boardSettings.js`)
+ * @param {string} [taskData.priority] - Task priority (low, medium, high, urgent)
+ * @param {Array<{name: string, color: string}>} [taskData.labels] - Task labels
+ * @param {Array<{id: string, text: string, done: boolean}>} [taskData.checklist] - Task subtasks, in order
+ * @param {Object|null} [taskData.recurrence] - Repeat rule (see `utils/recurrence.js`), null if it does not repeat
+ * @param {number|null} [taskData.reminder] - Minutes before the due time to remind the user, null for no reminder
+ * @param {Array<string>} [taskData.assignees] - Emails of the board members assigned to the task
  * @returns {Promise<Object>} Updated task object
- * @throws {Error} If the API responds with an error status or message.
+ * @throws {ApiError} If the API responds with an error status or cannot be reached.
  * 
  * @example
  * try {
@@ -122,15 +248,31 @@ export async function getUserTasks() {
  *   console.error("Task update failed:", err.message);
  * }
  */
-export async function updateTask(taskId, { title, details, date, time, status }) {
-  return http.put(`/api/v1/tasks/${taskId}`, { title, details, date, time, status });
+export async function updateTask(
+  taskId,
+  { title, details, date, time, status, column, priority, labels, checklist, recurrence, reminder, assignees }
+) {
+  return http.put(`/api/v1/tasks/${taskId}`, {
+    title,
+    details,
+    date,
+    time,
+    status,
+    column,
+    priority,
+    labels,
+    checklist,
+    recurrence,
+    reminder,
+    assignees,
+  });
 }
 
 /**
  * Delete a specific task
  * @param {string} taskId - Task ID to delete
  * @returns {Promise<Object>} Delete confirmation
- * @throws {Error} If the API responds with an error status or message.
+ * @throws {ApiError} If the API responds with an error status or cannot be reached.
  * 
  * @example
  * try {
@@ -144,6 +286,250 @@ export async function deleteTask(taskId) {
   return http.del(`/api/v1/tasks/${taskId}`);
 }
 
+/**
+ * Upload a file attached to a task
+ * @param {string} taskId - Task ID
+ * @param {File} file - File to attach
+ * @param {(loaded: number, total: number) => void} [onProgress] - Upload progress in bytes
+ * @returns {Promise<Object>} The attachment: `{ _id, name, type, size, url, createdAt }`
+ * @throws {ApiError} If the API responds with an error status or cannot be reached.
+ *
+ * @example
+ * try {
+ *   const attachment = await uploadAttachment("task123", file, (loaded, total) => console.log(loaded / total));
+ *   console.log("File attached:", attachment.url);
+ * } catch (err) {
+ *   console.error("Upload failed:", err.message);
+ * }
+ */
+export async function uploadAttachment(taskId, file, onProgress) {
+  const formData = new FormData();
+  formData.append('file', file);
+  return http.upload(`/api/v1/tasks/${taskId}/attachments`, formData, { onProgress });
+}
+
+/**
+ * Remove a file attached to a task
+ * @param {string} taskId - Task ID
+ * @param {string} attachmentId - Attachment ID
+ * @returns {Promise<Object>} The updated task
+ * @throws {ApiError} If the API responds with an error status or cannot be reached.
+ *
+ * @example
+ * try {
+ *   await deleteAttachment("task123", "file456");
+ *   console.log("Attachment removed");
+ * } catch (err) {
+ *   console.error("Removal failed:", err.message);
+ * }
+ */
+export async function deleteAttachment(taskId, attachmentId) {
+  return http.del(`/api/v1/tasks/${taskId}/attachments/${attachmentId}`);
+}
+
+/**
+ * Get the comments of a task
+ * @param {string} taskId - Task ID
+ * @returns {Promise<Array<Object>>} Comments `{ _id, userId, author, text, createdAt }`, oldest first
+ * @throws {ApiError} If the API responds with an error status or cannot be reached.
+ *
+ * @example
+ * try {
+ *   const comments = await getTaskComments("task123");
+ *   console.log("Comments:", comments);
+ * } catch (err) {
+ *   console.error("Failed to get comments:", err.message);
+ * }
+ */
+export async function getTaskComments(taskId) {
+  return http.get(`/api/v1/tasks/${taskId}/comments`);
+}
+
+/**
+ * Add a comment to a task
+ * @param {string} taskId - Task ID
+ * @param {string} text - Comment text (Markdown)
+ * @returns {Promise<Object>} The created comment
+ * @throws {ApiError} If the API responds with an error status or cannot be reached.
+ *
+ * @example
+ * try {
+ *   const comment = await addTaskComment("task123", "Revisado, falta el PDF");
+ *   console.log("Comment added:", comment);
+ * } catch (err) {
+ *   console.error("Failed to add comment:", err.message);
+ * }
+ */
+export async function addTaskComment(taskId, text) {
+  return http.post(`/api/v1/tasks/${taskId}/comments`, { text });
+}
+
+/**
+ * Delete a comment of a task (only its author can)
+ * @param {string} taskId - Task ID
+ * @param {string} commentId - Comment ID
+ * @returns {Promise<Object>} Delete confirmation
+ * @throws {ApiError} If the API responds with an error status or cannot be reached.
+ *
+ * @example
+ * try {
+ *   await deleteTaskComment("task123", "comment456");
+ *   console.log("Comment deleted");
+ * } catch (err) {
+ *   console.error("Failed to delete comment:", err.message);
+ * }
+ */
+export async function deleteTaskComment(taskId, commentId) {
+  return http.del(`/api/v1/tasks/${taskId}/comments/${commentId}`);
+}
+
+/**
+ * Get the boards the current user is a member of
+ * @returns {Promise<Array<Object>>} Boards `{ _id, name, ownerId, role, members }`, where `role`
+ *   is the role of the current user and `members` are `{ _id, email, name, role, pending }`
+ * @throws {ApiError} If the API responds with an error status or cannot be reached.
+ *
+ * @example
+ * try {
+ *   const boards = await getBoards();
+ *   console.log("Boards:", boards);
+ * } catch (err) {
+ *   console.error("Failed to get boards:", err.message);
+ * }
+ */
+export async function getBoards() {
+  return http.get('/api/v1/boards');
+}
+
+/**
+ * Create a board owned by the current user
+ * @param {string} name - Board name
+ * @returns {Promise<Object>} The created board
+ * @throws {ApiError} If the API responds with an error status or cannot be reached.
+ *
+ * @example
+ * try {
+ *   const board = await createBoard("Marketing");
+ *   console.log("Board created:", board);
+ * } catch (err) {
+ *   console.error("Board creation failed:", err.message);
+ * }
+ */
+export async function createBoard(name) {
+  return http.post('/api/v1/boards', { name });
+}
+
+/**
+ * Rename a board (owner only)
+ * @param {string} boardId - Board ID
+ * @param {string} name - New name
+ * @returns {Promise<Object>} The updated board
+ * @throws {ApiError} If the API responds with an error status or cannot be reached.
+ *
+ * @example
+ * try {
+ *   await renameBoard("board123", "Marketing 2025");
+ * } catch (err) {
+ *   console.error("Rename failed:", err.message);
+ * }
+ */
+export async function renameBoard(boardId, name) {
+  return http.put(`/api/v1/boards/${boardId}`, { name });
+}
+
+/**
+ * Delete a board and its tasks (owner only)
+ * @param {string} boardId - Board ID
+ * @returns {Promise<Object>} Delete confirmation
+ * @throws {ApiError} If the API responds with an error status or cannot be reached.
+ *
+ * @example
+ * try {
+ *   await deleteBoard("board123");
+ * } catch (err) {
+ *   console.error("Board deletion failed:", err.message);
+ * }
+ */
+export async function deleteBoard(boardId) {
+  return http.del(`/api/v1/boards/${boardId}`);
+}
+
+/**
+ * Invite someone to a board by email (owner only).
+ * People without an account join the board when they register with that email.
+ * @param {string} boardId - Board ID
+ * @param {Object} invite
+ * @param {string} invite.email - Email of the person to invite
+ * @param {string} invite.role - Role: "editor" or "viewer"
+ * @returns {Promise<Object>} The updated board
+ * @throws {ApiError} If the API responds with an error status or cannot be reached.
+ *
+ * @example
+ * try {
+ *   await inviteMember("board123", { email: "bob@example.com", role: "editor" });
+ * } catch (err) {
+ *   console.error("Invitation failed:", err.message);
+ * }
+ */
+export async function inviteMember(boardId, { email, role }) {
+  return http.post(`/api/v1/boards/${boardId}/members`, { email, role });
+}
+
+/**
+ * Change the role of a board member (owner only)
+ * @param {string} boardId - Board ID
+ * @param {string} memberId - Member ID
+ * @param {string} role - New role: "editor" or "viewer"
+ * @returns {Promise<Object>} The updated board
+ * @throws {ApiError} If the API responds with an error status or cannot be reached.
+ *
+ * @example
+ * try {
+ *   await updateMemberRole("board123", "member456", "viewer");
+ * } catch (err) {
+ *   console.error("Role change failed:", err.message);
+ * }
+ */
+export async function updateMemberRole(boardId, memberId, role) {
+  return http.put(`/api/v1/boards/${boardId}/members/${memberId}`, { role });
+}
+
+/**
+ * Remove a member from a board (the owner, or the member leaving the board)
+ * @param {string} boardId - Board ID
+ * @param {string} memberId - Member ID
+ * @returns {Promise<Object>} Removal confirmation
+ * @throws {ApiError} If the API responds with an error status or cannot be reached.
+ *
+ * @example
+ * try {
+ *   await removeMember("board123", "member456");
+ * } catch (err) {
+ *   console.error("Removal failed:", err.message);
+ * }
+ */
+export async function removeMember(boardId, memberId) {
+  return http.del(`/api/v1/boards/${boardId}/members/${memberId}`);
+}
+
+/**
+ * Save the columns of a board (editors and owner)
+ * @param {string} boardId - Board ID
+ * @param {Array<Object>} columns - Columns of the board: `{ id, name, status, archived, limit }`
+ * @returns {Promise<Object>} The updated board
+ * @throws {ApiError} If the API responds with an error status or cannot be reached.
+ *
+ * @example
+ * try {
+ *   await updateBoardColumns("board123", [{ id: "todo", name: "Pendiente", status: "Por Hacer", archived: false, limit: null }]);
+ * } catch (err) {
+ *   console.error("Saving the columns failed:", err.message);
+ * }
+ */
+export async function updateBoardColumns(boardId, columns) {
+  return http.put(`/api/v1/boards/${boardId}/columns`, { columns });
+}
+
 /**
  * Update current user's profile information
  * @param {Object} profileData - Profile data to update
@@ -153,7 +539,7 @@ export async function deleteTask(taskId) {
  * @param {string} profileData.birthdate - User's birthdate
  * @param {string} [profileData.bio] - User's bio (optional)
  * @returns {Promise<Object>} Updated user profile data
- * @throws {Error} If the API responds with an error status or message.
+ * @throws {ApiError} If the API responds with an error status or cannot be reached.
  * 
  * @example
  * try {
@@ -177,7 +563,7 @@ export async function updateUserProfile({ id, username, lastname, email, birthda
  * Delete the current user's account
  * @param {string} id - User ID to delete
  * @returns {Promise<Object>} Delete confirmation
- * @throws {Error} If the API responds with an error status or message.
+ * @throws {ApiError} If the API responds with an error status or cannot be reached.
  * * @example
  * try {
  *   await deleteUserAccount("user123");
@@ -196,7 +582,7 @@ export async function deleteUserAccount(id) {
  * @param {Object} params - Recovery data
  * @param {string} params.email - User email to send recovery link
  * @returns {Promise<Object>} Recovery confirmation
- * @throws {Error} If the API responds with an error status or message.
+ * @throws {ApiError} If the API responds with an error status or cannot be reached.
  * 
  * @example
  * try {
@@ -216,7 +602,7 @@ export async function recoverPassword({ email }) {
  * @param {string} params.token - Recovery token from email
  * @param {string} params.newPassword - New password
  * @returns {Promise<Object>} Password reset confirmation
- * @throws {Error} If the API responds with an error status or message.
+ * @throws {ApiError} If the API responds with an error status or cannot be reached.
  * 
  * @example
  * try {
@@ -227,5 +613,5 @@ export async function recoverPassword({ email }) {
  * }
  */
 export async function resetPassword({ token, newPassword }) {
-  return http.post('/api/v1/password/reset-password/${token}', { token, newPassword });
+  return http.post(`/api/v1/password/reset-password/${token}`, { token, newPassword });
 }
\ No newline at end of file
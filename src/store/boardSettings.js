@@ -0,0 +1,334 @@
+import { boardStore } from './boardStore.js';
+
+/**
+ * Board settings: the columns of the board being shown (see `boardStore`).
+ *
+ * Every column is a task status: `{ id, name, status, archived, limit }`, where
+ * `id` is the front-end status stored on the tasks and `status` the value
+ * sent to the API, which only knows "Por Hacer", "Haciendo" and "Hecho":
+ * the built-in columns keep those and columns added by the user send
+ * "Haciendo". Tasks also send their column id (`column`), so every member
+ * sees them in the same column. `limit` is the work-in-progress limit of the
+ * column (null for none).
+ *
+ * The columns are saved with the board on the server (`columns`) and kept
+ * in localStorage per board, for the tasks without a board and offline.
+ *
+ * The `done` column is the one of completed tasks (reminders, overdue
+ * highlight, repeating tasks), so it can be renamed and moved but not archived.
+ */
+
+const SETTINGS_KEY = 'boardSettings';
+
+// Key of the settings of the tasks without a board (API without boards)
+const PERSONAL = 'personal';
+
+// API status of the columns added by the user
+const CUSTOM_STATUS = 'Haciendo';
+
+export const DONE_COLUMN = 'done';
+
+export const MAX_COLUMNS = 8;
+
+export const DEFAULT_COLUMNS = [
+  { id: 'todo', name: 'Pendientes', status: 'Por Hacer', archived: false, limit: null },
+  { id: 'doing', name: 'En progreso', status: 'Haciendo', archived: false, limit: null },
+  { id: 'done', name: 'Completadas', status: 'Hecho', archived: false, limit: null },
+];
+
+/**
+ * Clean up stored columns: drop invalid ones and restore any missing built-in column.
+ *
+ * @param {Array<Object>|undefined} columns
+ * @returns {Array<{id: string, name: string, status: string, archived: boolean, limit: number|null}>}
+ */
+function normalizeColumns(columns) {
+  const seen = new Set();
+  const result = (Array.isArray(columns) ? columns : [])
+    .filter((column) => column?.id && String(column.name || '').trim() && !seen.has(column.id))
+    .map((column) => {
+      seen.add(column.id);
+      const builtIn = DEFAULT_COLUMNS.find((c) => c.id === column.id);
+      return {
+        id: String(column.id),
+        name: String(column.name).trim(),
+        status: builtIn ? builtIn.status : CUSTOM_STATUS,
+        archived: column.id === DONE_COLUMN ? false : Boolean(column.archived),
+        limit: Number.isInteger(column.limit) && column.limit > 0 ? column.limit : null,
+      };
+    });
+  DEFAULT_COLUMNS.forEach((column) => {
+    if (!seen.has(column.id)) result.push({ ...column });
+  });
+  return result;
+}
+
+// Read the settings stored for this browser: `{ [boardId]: { columns } }`
+function loadAll() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+    if (stored && typeof stored === 'object') return stored;
+  } catch (e) {
+    // Corrupted settings: start again from the defaults
+  }
+  return {};
+}
+
+/**
+ * Settings of a board: the columns saved on the server, or else the ones stored in this browser.
+ *
+ * @param {Object|undefined} board - Board of `boardStore` (undefined for the tasks without a board).
+ * @returns {{columns: Array<Object>}}
+ */
+function settingsOf(board) {
+  const stored = loadAll();
+  // Settings stored before they were kept per board: the columns of the only board there was
+  const legacy = Array.isArray(stored.columns) ? stored.columns : undefined;
+  return { columns: normalizeColumns(board?.columns || stored[board?._id || PERSONAL]?.columns || legacy) };
+}
+
+// Board whose columns are shown (null for the tasks without a board)
+let boardId = boardStore.current()?._id || null;
+let settings = settingsOf(boardStore.current());
+const listeners = new Set();
+const errorListeners = new Set();
+
+// Store the settings of a board in this browser
+function persist(key, value) {
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify({ ...loadAll(), [key]: value }));
+  } catch (err) {
+    console.error('No se pudo guardar la configuración del tablero:', err);
+  }
+}
+
+/**
+ * Replace the settings, persist them (in this browser and with the board)
+ * and notify every subscriber. If the server does not save them, the
+ * previous settings come back and the error listeners are notified.
+ *
+ * @param {Object} next
+ */
+function save(next) {
+  const previous = settings;
+  const key = boardId || PERSONAL;
+  settings = next;
+  persist(key, settings);
+  listeners.forEach((listener) => listener(settings));
+  if (!boardId) return;
+
+  boardStore.setColumns(boardId, next.columns).catch((err) => {
+    // Unless the columns were changed again meanwhile
+    if (JSON.stringify(loadAll()[key]) === JSON.stringify(next)) {
+      persist(key, previous);
+      if (boardId === key) {
+        settings = previous;
+        listeners.forEach((listener) => listener(settings));
+      }
+    }
+    errorListeners.forEach((listener) => listener(err));
+  });
+}
+
+// Replace one column of the settings
+function updateColumn(id, changes) {
+  if (!boardSettings.getColumn(id)) throw new Error(`Unknown column: ${id}`);
+  save({
+    ...settings,
+    columns: settings.columns.map((column) => (column.id === id ? { ...column, ...changes } : column)),
+  });
+}
+
+// Check a column name: not empty, not too long and not used by another column
+function checkName(name, id = null) {
+  const clean = String(name ?? '').trim();
+  if (!clean) throw new Error('El nombre de la columna no puede estar vacío.');
+  if (clean.length > 30) throw new Error('El nombre de la columna no puede tener más de 30 caracteres.');
+  const taken = settings.columns.some(
+    (column) => column.id !== id && column.name.toLowerCase() === clean.toLowerCase()
+  );
+  if (taken) throw new Error(`Ya existe una columna llamada "${clean}".`);
+  return clean;
+}
+
+export const boardSettings = {
+  /**
+   * Subscribe to settings changes. The listener is called immediately with
+   * the current settings and then after every change.
+   *
+   * @param {(settings: Object) => void} listener
+   * @returns {() => void} Function that removes the subscription.
+   */
+  subscribe(listener) {
+    listeners.add(listener);
+    listener(settings);
+    return () => listeners.delete(listener);
+  },
+
+  /**
+   * Be notified when the server does not save a change of the columns
+   * (the previous columns are already back).
+   *
+   * @param {(err: Error) => void} listener
+   * @returns {() => void} Function that removes the subscription.
+   */
+  onSaveError(listener) {
+    errorListeners.add(listener);
+    return () => errorListeners.delete(listener);
+  },
+
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.archived=false] - Include the archived columns.
+   * @returns {Array<Object>} The columns, in board order.
+   */
+  getColumns({ archived = false } = {}) {
+    return archived ? settings.columns : settings.columns.filter((column) => !column.archived);
+  },
+
+  /**
+   * @param {string} id - Column id (front-end status).
+   * @returns {Object|undefined} The column, archived or not.
+   */
+  getColumn: (id) => settings.columns.find((column) => column.id === id),
+
+  /**
+   * @returns {string} Id of the first visible column (status of new and repeating tasks).
+   */
+  defaultColumn() {
+    return boardSettings.getColumns()[0]?.id || DEFAULT_COLUMNS[0].id;
+  },
+
+  /**
+   * Front-end status → API status.
+   *
+   * @param {string} id - Column id.
+   * @returns {string}
+   */
+  toBackendStatus(id) {
+    return boardSettings.getColumn(id)?.status || id;
+  },
+
+  /**
+   * API status → front-end status. Unknown statuses are kept as they are.
+   *
+   * @param {string} status - Status received from the API.
+   * @param {string} [column] - Column id saved with the task, if any.
+   * @returns {string}
+   */
+  fromBackendStatus(status, column) {
+    if (column && boardSettings.getColumn(column)) return column;
+    // Tasks saved when added columns sent their id as status
+    if (boardSettings.getColumn(status)) return status;
+    return DEFAULT_COLUMNS.find((c) => c.status === status)?.id || status;
+  },
+
+  /**
+   * @param {string} id - Column id.
+   * @param {string} name - New name.
+   * @throws {Error} If the name is empty, too long or already used.
+   */
+  rename(id, name) {
+    updateColumn(id, { name: checkName(name, id) });
+  },
+
+  /**
+   * Add a column at the end of the board.
+   *
+   * @param {string} name
+   * @returns {Object} The new column.
+   * @throws {Error} If the name is not valid or the board already has too many columns.
+   */
+  add(name) {
+    const clean = checkName(name);
+    if (boardSettings.getColumns().length >= MAX_COLUMNS) {
+      throw new Error(`El tablero no puede tener más de ${MAX_COLUMNS} columnas.`);
+    }
+    const id = `col-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    const column = { id, name: clean, status: CUSTOM_STATUS, archived: false, limit: null };
+    save({ ...settings, columns: [...settings.columns, column] });
+    return column;
+  },
+
+  /**
+   * Set the work-in-progress limit of a column.
+   *
+   * @param {string} id - Column id.
+   * @param {number|string|null} limit - Maximum number of tasks; empty or null removes the limit.
+   * @throws {Error} If the limit is not a positive whole number.
+   */
+  setLimit(id, limit) {
+    const text = String(limit ?? '').trim();
+    const value = text ? Number(text) : null;
+    if (value !== null && !(Number.isInteger(value) && value > 0)) {
+      throw new Error('El límite debe ser un número entero mayor que 0.');
+    }
+    updateColumn(id, { limit: value });
+  },
+
+  /**
+   * Move a column among the visible ones.
+   *
+   * @param {string} id - Column id.
+   * @param {number} offset - -1 to move it left, 1 to move it right.
+   */
+  move(id, offset) {
+    const visible = boardSettings.getColumns();
+    const index = visible.findIndex((column) => column.id === id);
+    const target = visible[index + offset];
+    if (index === -1 || !target) return;
+
+    const columns = [...settings.columns];
+    const from = columns.findIndex((column) => column.id === id);
+    const to = columns.findIndex((column) => column.id === target.id);
+    [columns[from], columns[to]] = [columns[to], columns[from]];
+    save({ ...settings, columns });
+  },
+
+  /**
+   * Hide a column (its tasks are kept and come back when it is restored).
+   *
+   * @param {string} id - Column id.
+   * @throws {Error} For the `done` column or the last visible one.
+   */
+  archive(id) {
+    if (id === DONE_COLUMN) throw new Error('La columna de tareas completadas no se puede archivar.');
+    if (boardSettings.getColumns().length <= 1) throw new Error('El tablero necesita al menos una columna.');
+    updateColumn(id, { archived: true });
+  },
+
+  /**
+   * Show an archived column again, at its previous position.
+   *
+   * @param {string} id - Column id.
+   * @throws {Error} If the board already has too many columns.
+   */
+  restore(id) {
+    if (boardSettings.getColumns().length >= MAX_COLUMNS) {
+      throw new Error(`El tablero no puede tener más de ${MAX_COLUMNS} columnas.`);
+    }
+    updateColumn(id, { archived: false });
+  },
+
+  /**
+   * Read the settings of the current board again (e.g. after logout).
+   *
+   * @returns {void}
+   */
+  reload() {
+    boardId = boardStore.current()?._id || null;
+    settings = settingsOf(boardStore.current());
+    listeners.forEach((listener) => listener(settings));
+  },
+};
+
+// Every board has its own columns: show the ones of the current board
+// (unless they are the ones already shown)
+boardStore.subscribe(() => {
+  const board = boardStore.current();
+  const next = settingsOf(board);
+  if ((board?._id || null) === boardId && JSON.stringify(next) === JSON.stringify(settings)) return;
+  boardId = board?._id || null;
+  settings = next;
+  listeners.forEach((listener) => listener(settings));
+});
@@ -0,0 +1,245 @@
+import {
+  getBoards,
+  createBoard,
+  renameBoard,
+  deleteBoard,
+  inviteMember,
+  updateMemberRole,
+  removeMember,
+  updateBoardColumns,
+} from '../services/userService.js';
+
+/**
+ * Boards of the user and the one being shown.
+ *
+ * A board is `{ _id, name, ownerId, role, members, columns }`: `role` is the role of
+ * the current user (`owner`, `editor` or `viewer`) and every member is
+ * `{ _id, email, name, role, pending }` (pending: invited by email, without
+ * an account yet). Members are identified by email, also as task assignees.
+ * `columns` are the columns of the board (see `boardSettings.js`), if saved.
+ *
+ * The list is kept in localStorage so the board can be shown offline.
+ */
+
+const BOARDS_KEY = 'boards';
+const CURRENT_KEY = 'currentBoard';
+
+export const ROLES = {
+  owner: 'Propietario',
+  editor: 'Editor',
+  viewer: 'Lector',
+};
+
+// Read the boards stored for this browser
+function load() {
+  try {
+    return JSON.parse(localStorage.getItem(BOARDS_KEY)) || [];
+  } catch (e) {
+    // Corrupted list: it is loaded again from the API
+    return [];
+  }
+}
+
+let state = { boards: load(), currentId: localStorage.getItem(CURRENT_KEY) };
+const listeners = new Set();
+
+/**
+ * Replace the state, persist it and notify every subscriber.
+ * The current board falls back to the first one owned by the user.
+ *
+ * @param {{boards: Array<Object>, currentId: string|null}} next
+ */
+function setState({ boards, currentId }) {
+  const current =
+    boards.find((board) => board._id === currentId) ||
+    boards.find((board) => board.role === 'owner') ||
+    boards[0];
+  state = { boards, currentId: current?._id || null };
+  localStorage.setItem(BOARDS_KEY, JSON.stringify(state.boards));
+  if (state.currentId) localStorage.setItem(CURRENT_KEY, state.currentId);
+  else localStorage.removeItem(CURRENT_KEY);
+  listeners.forEach((listener) => listener(state));
+}
+
+// Replace one board of the list with the version returned by the API
+function replaceBoard(board) {
+  setState({ ...state, boards: state.boards.map((b) => (b._id === board._id ? board : b)) });
+  return board;
+}
+
+export const boardStore = {
+  /**
+   * Subscribe to changes of the boards or of the current board. The listener
+   * is called immediately and then after every change.
+   *
+   * @param {(state: {boards: Array<Object>, currentId: string|null}) => void} listener
+   * @returns {() => void} Function that removes the subscription.
+   */
+  subscribe(listener) {
+    listeners.add(listener);
+    listener(state);
+    return () => listeners.delete(listener);
+  },
+
+  /**
+   * @returns {Array<Object>} Boards of the user.
+   */
+  getAll: () => state.boards,
+
+  /**
+   * @returns {string|null} Id of the board being shown (null before the boards are loaded).
+   */
+  currentId: () => state.currentId,
+
+  /**
+   * @returns {Object|undefined} The board being shown.
+   */
+  current: () => state.boards.find((board) => board._id === state.currentId),
+
+  /**
+   * Whether the user may change the tasks of the current board.
+   * Without boards (API without them, or never loaded) the tasks are the user's own.
+   *
+   * @returns {boolean}
+   */
+  canEdit() {
+    return boardStore.current()?.role !== 'viewer';
+  },
+
+  /**
+   * Load the boards from the API. Without connection the stored list is kept.
+   *
+   * @async
+   * @returns {Promise<Array<Object>>}
+   */
+  async load() {
+    try {
+      setState({ ...state, boards: (await getBoards()) || [] });
+    } catch (err) {
+      if (navigator.onLine && err?.code !== 'network') throw err;
+    }
+    return state.boards;
+  },
+
+  /**
+   * Show another board.
+   *
+   * @param {string} id - Board id.
+   * @returns {void}
+   */
+  select(id) {
+    if (id !== state.currentId) setState({ ...state, currentId: id });
+  },
+
+  /**
+   * Create a board and show it.
+   *
+   * @async
+   * @param {string} name
+   * @returns {Promise<Object>} The new board.
+   */
+  async create(name) {
+    const board = await createBoard(name);
+    setState({ boards: [...state.boards, board], currentId: board._id });
+    return board;
+  },
+
+  /**
+   * @async
+   * @param {string} id - Board id.
+   * @param {string} name - New name.
+   * @returns {Promise<Object>} The updated board.
+   */
+  async rename(id, name) {
+    return replaceBoard(await renameBoard(id, name));
+  },
+
+  /**
+   * Delete a board with its tasks.
+   *
+   * @async
+   * @param {string} id - Board id.
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    await deleteBoard(id);
+    setState({ ...state, boards: state.boards.filter((board) => board._id !== id) });
+  },
+
+  /**
+   * Invite someone to the current board.
+   *
+   * @async
+   * @param {string} email
+   * @param {'editor'|'viewer'} role
+   * @returns {Promise<Object>} The updated board.
+   */
+  async invite(email, role) {
+    return replaceBoard(await inviteMember(state.currentId, { email, role }));
+  },
+
+  /**
+   * Change the role of a member of the current board.
+   *
+   * @async
+   * @param {string} memberId
+   * @param {'editor'|'viewer'} role
+   * @returns {Promise<Object>} The updated board.
+   */
+  async setRole(memberId, role) {
+    return replaceBoard(await updateMemberRole(state.currentId, memberId, role));
+  },
+
+  /**
+   * Remove a member of the current board. Removing oneself leaves the
+   * board, which disappears from the list.
+   *
+   * @async
+   * @param {string} memberId
+   * @param {Object} [options]
+   * @param {boolean} [options.leaving=false] - The member is the current user.
+   * @returns {Promise<void>}
+   */
+  async removeMember(memberId, { leaving = false } = {}) {
+    const id = state.currentId;
+    await removeMember(id, memberId);
+    if (leaving) {
+      setState({ ...state, boards: state.boards.filter((board) => board._id !== id) });
+      return;
+    }
+    const board = boardStore.current();
+    replaceBoard({ ...board, members: board.members.filter((member) => member._id !== memberId) });
+  },
+
+  /**
+   * Save the columns of a board (see `boardSettings`). The stored list
+   * changes at once, so the columns do not go back while the request is
+   * sent, and is restored if the request fails.
+   *
+   * @async
+   * @param {string} id - Board id.
+   * @param {Array<Object>} columns
+   * @returns {Promise<void>}
+   * @throws {ApiError} If the API rejects the columns or cannot be reached.
+   */
+  async setColumns(id, columns) {
+    const board = state.boards.find((b) => b._id === id);
+    if (board) replaceBoard({ ...board, columns });
+    try {
+      await updateBoardColumns(id, columns);
+    } catch (err) {
+      const current = state.boards.find((b) => b._id === id);
+      if (board && current?.columns === columns) replaceBoard({ ...current, columns: board.columns });
+      throw err;
+    }
+  },
+
+  /**
+   * Forget the boards (e.g. on logout).
+   *
+   * @returns {void}
+   */
+  reset() {
+    setState({ boards: [], currentId: null });
+  },
+};
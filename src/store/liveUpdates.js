@@ -0,0 +1,267 @@
+import { openBoardEvents, getUserTasksIfChanged } from '../services/userService.js';
+import { taskStore, isNetworkError } from './taskStore.js';
+import { boardStore } from './boardStore.js';
+
+/**
+ * Live updates of the board being shown: the changes other members make to
+ * its tasks reach the task store without reloading.
+ *
+ * The server pushes them as server-sent events (`task.created`,
+ * `task.updated`, `task.deleted`; see `openBoardEvents`), applied with
+ * `taskStore.applyRemote`. When the stream cannot be used (browser or server
+ * without it, a proxy that keeps cutting it) the tasks are polled instead,
+ * with the ETag of the last response so an unchanged board costs a 304, and
+ * reconciled with `taskStore.reconcile`.
+ *
+ * The stream is opened with a ticket valid for one connection (see
+ * `openBoardEvents`), so it is reopened by hand, with a new ticket, instead of
+ * letting `EventSource` reconnect with the old URL; also after the session
+ * token is refreshed, so the stream never outlives the token it was opened with.
+ *
+ * The mode is one of `off`, `connecting`, `live`, `polling` and `offline`.
+ */
+
+const POLL_INTERVAL_MS = 15 * 1000;
+
+// Failed connections in a row before falling back to polling
+const MAX_STREAM_ERRORS = 3;
+
+// While polling, the stream is tried again after this long
+const STREAM_RETRY_MS = 5 * 60 * 1000;
+
+// Wait before reopening a stream that failed (what `EventSource` would wait)
+const RECONNECT_MS = 3 * 1000;
+
+const EVENT_TYPES = ['task.created', 'task.updated', 'task.deleted'];
+
+let mode = 'off';
+const listeners = new Set();
+
+let boardId = null;
+// Incremented on every start/stop, so callbacks of an older connection do nothing
+let session = 0;
+let source = null;
+let streamErrors = 0;
+let etag = null;
+let pollTimer = null;
+let retryTimer = null;
+let pollController = null;
+
+function setMode(next) {
+  if (next === mode) return;
+  mode = next;
+  listeners.forEach((listener) => listener(mode));
+}
+
+// Close the stream and stop polling
+function disconnect() {
+  session++;
+  source?.close();
+  source = null;
+  clearTimeout(pollTimer);
+  clearTimeout(retryTimer);
+  pollController?.abort();
+  pollController = null;
+}
+
+/**
+ * Fetch the tasks of the board if they changed since the last poll and reconcile them.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function poll() {
+  const run = session;
+  const revision = taskStore.revision();
+  pollController?.abort();
+  const controller = new AbortController();
+  pollController = controller;
+  try {
+    const result = await getUserTasksIfChanged(boardId || undefined, etag, {
+      signal: controller.signal,
+      cancelOnNavigate: false,
+      retries: 0,
+    });
+    if (run !== session) return;
+    // A stale list is not applied: forget its ETag so the next poll gets the whole list again
+    const applied = !result.modified || taskStore.reconcile(result.data || [], { revision });
+    etag = applied ? result.etag : null;
+  } catch (err) {
+    if (run !== session || err.code === 'aborted' || isNetworkError(err) || err.sessionExpired) return;
+    if (err.status === 403 || err.status === 404) {
+      // No longer a member, or the board was deleted: the boards are loaded again
+      // so another one is shown (and followed) instead
+      liveUpdates.stop();
+      boardStore.load().catch((loadErr) => console.error('Error al cargar los tableros:', loadErr));
+      return;
+    }
+    console.error('Error al buscar cambios del tablero:', err);
+  } finally {
+    if (pollController === controller) pollController = null;
+  }
+}
+
+function schedulePoll() {
+  const run = session;
+  clearTimeout(pollTimer);
+  pollTimer = setTimeout(async () => {
+    // Hidden tabs do not poll: the tasks are fetched as soon as the tab is shown
+    if (!document.hidden) await poll();
+    if (run === session) schedulePoll();
+  }, POLL_INTERVAL_MS);
+}
+
+function startPolling() {
+  setMode('polling');
+  schedulePoll();
+  const run = session;
+  retryTimer = setTimeout(() => {
+    if (run !== session) return;
+    disconnect();
+    connect();
+  }, STREAM_RETRY_MS);
+}
+
+// Apply one event of the stream
+function handleEvent(e) {
+  let payload;
+  try {
+    payload = JSON.parse(e.data);
+  } catch (err) {
+    console.warn('Evento del tablero no válido:', e.data);
+    return;
+  }
+  taskStore.applyRemote({
+    type: e.type.replace('task.', ''),
+    task: payload.task,
+    id: payload.id || payload.task?._id,
+    user: payload.user,
+  });
+}
+
+/**
+ * Open the event stream of the board, or poll if it is not available.
+ *
+ * @async
+ * @returns {Promise<void>}
+ */
+async function connect() {
+  const run = session;
+  setMode('connecting');
+  let events = null;
+  try {
+    // Personal tasks (API without boards) have no stream
+    events = boardId ? await openBoardEvents(boardId) : null;
+  } catch (err) {
+    console.error('No se pudo abrir el canal de cambios del tablero:', err);
+  }
+  if (run !== session) {
+    events?.close();
+    return;
+  }
+  if (!events) {
+    startPolling();
+    return;
+  }
+
+  source = events;
+  events.addEventListener('open', () => {
+    if (run !== session) return;
+    // Only connections that fail in a row count: a quiet stream cut now and then keeps being used
+    streamErrors = 0;
+    setMode('live');
+    // Changes made while the stream was being opened (or reconnected)
+    poll();
+  });
+  events.addEventListener('error', () => {
+    if (run !== session) return;
+    streamErrors++;
+    events.close();
+    source = null;
+    if (streamErrors >= MAX_STREAM_ERRORS) {
+      startPolling();
+      return;
+    }
+    // Reopened with a new ticket: the one in the URL of this stream is already used
+    setMode('connecting');
+    retryTimer = setTimeout(() => {
+      if (run === session) connect();
+    }, RECONNECT_MS);
+  });
+  EVENT_TYPES.forEach((type) => events.addEventListener(type, handleEvent));
+}
+
+function handleOnline() {
+  if (mode === 'offline') liveUpdates.start();
+}
+
+function handleOffline() {
+  if (mode === 'off') return;
+  disconnect();
+  setMode('offline');
+}
+
+function handleVisibility() {
+  if (!document.hidden && mode === 'polling') poll();
+}
+
+export const liveUpdates = {
+  /**
+   * Subscribe to mode changes. The listener is called immediately and then after every change.
+   *
+   * @param {(mode: string) => void} listener
+   * @returns {() => void} Function that removes the subscription.
+   */
+  subscribe(listener) {
+    listeners.add(listener);
+    listener(mode);
+    return () => listeners.delete(listener);
+  },
+
+  /**
+   * Follow the changes of the current board (see `boardStore`), once its tasks
+   * are loaded. Calling it again switches to the board shown now.
+   *
+   * @returns {void}
+   */
+  start() {
+    disconnect();
+    boardId = boardStore.currentId();
+    etag = null;
+    streamErrors = 0;
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    document.addEventListener('visibilitychange', handleVisibility);
+    if (!navigator.onLine) {
+      setMode('offline');
+      return;
+    }
+    connect();
+  },
+
+  /**
+   * Open the stream again (e.g. after the session token is refreshed).
+   * Polling uses the current token already, so only a stream is reopened.
+   *
+   * @returns {void}
+   */
+  reconnect() {
+    if (mode !== 'live' && mode !== 'connecting') return;
+    disconnect();
+    streamErrors = 0;
+    connect();
+  },
+
+  /**
+   * Stop following the board (e.g. when leaving it or on logout).
+   *
+   * @returns {void}
+   */
+  stop() {
+    disconnect();
+    window.removeEventListener('online', handleOnline);
+    window.removeEventListener('offline', handleOffline);
+    document.removeEventListener('visibilitychange', handleVisibility);
+    setMode('off');
+  },
+};
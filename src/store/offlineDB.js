@@ -0,0 +1,153 @@
+/**
+ * IndexedDB persistence for offline mode.
+ *
+ * - `tasks`: last known copy of the user's tasks (front-end shape).
+ * - `queue`: task mutations made while offline, replayed in order (`seq`).
+ *   Each one keeps the id of its user (`userId`): they outlive the session and
+ *   are sent when that user logs in again.
+ *
+ * When IndexedDB is not available every function resolves to an empty
+ * result, so the app keeps working online-only.
+ */
+
+const DB_NAME = 'listar-tareas';
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+/**
+ * Open (and create/upgrade if needed) the database.
+ *
+ * @returns {Promise<IDBDatabase|null>} The database, or null if IndexedDB is unavailable.
+ */
+function openDB() {
+  if (!('indexedDB' in window)) return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains('tasks')) {
+          db.createObjectStore('tasks', { keyPath: '_id' });
+        }
+        if (!db.objectStoreNames.contains('queue')) {
+          db.createObjectStore('queue', { keyPath: 'seq', autoIncrement: true });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => {
+        console.error('No se pudo abrir IndexedDB:', req.error);
+        resolve(null);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run `fn` inside a transaction over `storeName` and resolve when it completes.
+ *
+ * @param {string} storeName - Object store to use.
+ * @param {IDBTransactionMode} mode - `readonly` or `readwrite`.
+ * @param {(store: IDBObjectStore) => IDBRequest|void} fn - Work to do with the store.
+ * @returns {Promise<any>} The result of the request returned by `fn`, if any.
+ */
+async function withStore(storeName, mode, fn) {
+  const db = await openDB();
+  if (!db) return undefined;
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Replace the cached copy of the tasks.
+ *
+ * @param {Array<Object>} tasks - Tasks to cache.
+ * @returns {Promise<void>}
+ */
+export function cacheTasks(tasks) {
+  return withStore('tasks', 'readwrite', (store) => {
+    store.clear();
+    tasks.forEach((task) => store.put(task));
+  });
+}
+
+/**
+ * @returns {Promise<Array<Object>>} The cached tasks.
+ */
+export async function getCachedTasks() {
+  return (await withStore('tasks', 'readonly', (store) => store.getAll())) || [];
+}
+
+/**
+ * Add a mutation at the end of the queue.
+ *
+ * @param {Object} op - Mutation (`{ type: 'create'|'update'|'delete', id, data?, userId }`).
+ * @returns {Promise<void>}
+ */
+export function enqueue(op) {
+  return withStore('queue', 'readwrite', (store) => store.add(op));
+}
+
+/**
+ * @param {string|null} [userId] - Only the mutations of this user (and the ones queued before
+ *   mutations kept their user). Every mutation if omitted.
+ * @returns {Promise<Array<Object>>} Queued mutations, oldest first (each with its `seq`).
+ */
+export async function getQueue(userId) {
+  const ops = (await withStore('queue', 'readonly', (store) => store.getAll())) || [];
+  return userId === undefined ? ops : ops.filter((op) => !op.userId || op.userId === userId);
+}
+
+/**
+ * Remove a mutation from the queue once it has been replayed.
+ *
+ * @param {number} seq - Queue position of the mutation.
+ * @returns {Promise<void>}
+ */
+export function dequeue(seq) {
+  return withStore('queue', 'readwrite', (store) => store.delete(seq));
+}
+
+/**
+ * Point every queued mutation on `oldId` to `newId`
+ * (used when a task created offline gets its server `_id`).
+ *
+ * @param {string} oldId - Temporary id.
+ * @param {string} newId - Server id.
+ * @returns {Promise<void>}
+ */
+export async function renameQueued(oldId, newId) {
+  const ops = (await getQueue()).filter((op) => op.id === oldId);
+  await withStore('queue', 'readwrite', (store) => {
+    ops.forEach((op) => store.put({ ...op, id: newId }));
+  });
+}
+
+/**
+ * Drop every queued mutation on a task (e.g. a task created and deleted while offline).
+ *
+ * @param {string} id - Task id.
+ * @returns {Promise<void>}
+ */
+export async function removeQueued(id) {
+  const ops = (await getQueue()).filter((op) => op.id === id);
+  await withStore('queue', 'readwrite', (store) => {
+    ops.forEach((op) => store.delete(op.seq));
+  });
+}
+
+/**
+ * Delete the cached tasks (e.g. on logout). The queue is kept: its mutations
+ * are sent when their user logs in again.
+ *
+ * @returns {Promise<void>}
+ */
+export async function clearCachedTasks() {
+  await withStore('tasks', 'readwrite', (store) => store.clear());
+}
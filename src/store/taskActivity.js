@@ -0,0 +1,164 @@
+import { taskStore } from './taskStore.js';
+
+/**
+ * Activity log of every task, kept in localStorage.
+ *
+ * Entries are `{ id, type, user, at, changes, name }` where `type` is one of
+ * `created`, `restored`, `updated`, `deleted`, `attachment-added` and
+ * `attachment-removed`; `user` is the name of who made the change, `at` an
+ * ISO date, `changes` the fields of an update (`{ field, from, to }`) and
+ * `name` the file of an attachment entry.
+ *
+ * `taskHistory` records the task operations; the board records the rest.
+ * Changes received from the server are logged with the name of who made them.
+ */
+
+const ACTIVITY_KEY = 'taskActivity';
+
+// Entries kept per task (the oldest ones are dropped)
+const LIMIT = 100;
+
+// Fields compared on updates. Long ones (details, lists, rules) are logged without their values.
+const VALUE_FIELDS = ['title', 'status', 'date', 'time', 'priority', 'reminder'];
+const OTHER_FIELDS = ['details', 'labels', 'checklist', 'recurrence', 'assignees'];
+
+// Read the log stored for this browser
+function load() {
+  try {
+    return JSON.parse(localStorage.getItem(ACTIVITY_KEY)) || {};
+  } catch (e) {
+    // Corrupted log: start again
+    return {};
+  }
+}
+
+let log = load();
+const listeners = new Set();
+
+/**
+ * Replace the log, persist it and notify every subscriber.
+ *
+ * @param {Object<string, Array<Object>>} next - Entries of each task id.
+ */
+function save(next) {
+  log = next;
+  try {
+    localStorage.setItem(ACTIVITY_KEY, JSON.stringify(log));
+  } catch (err) {
+    console.error('No se pudo guardar el historial de actividad:', err);
+  }
+  listeners.forEach((listener) => listener(log));
+}
+
+// Name of the logged-in user
+function currentUser() {
+  try {
+    const user = JSON.parse(localStorage.getItem('userData')) || {};
+    return [user.username, user.lastname].filter(Boolean).join(' ') || user.email || 'Tú';
+  } catch (e) {
+    return 'Tú';
+  }
+}
+
+/**
+ * Fields that differ between two versions of a task.
+ *
+ * @param {Object} previous
+ * @param {Object} next
+ * @returns {Array<{field: string, from?: *, to?: *}>}
+ */
+export function describeChanges(previous, next) {
+  const same = (field) => JSON.stringify(previous[field] ?? null) === JSON.stringify(next[field] ?? null);
+  return [
+    ...VALUE_FIELDS.filter((field) => !same(field)).map((field) => ({
+      field,
+      from: previous[field] ?? null,
+      to: next[field] ?? null,
+    })),
+    ...OTHER_FIELDS.filter((field) => !same(field)).map((field) => ({ field })),
+  ];
+}
+
+// Move the log of a task to its new id (task synced after being created offline)
+taskStore.onRename((tempId, id) => taskActivity.rename(tempId, id));
+
+// Log the changes other members made (received from the server)
+taskStore.onRemoteChange(({ type, previous, task, user = 'Otro miembro' }) => {
+  if (type === 'updated') taskActivity.recordUpdate(previous, task, user);
+  else taskActivity.record(task?._id || previous._id, { type, user });
+});
+
+export const taskActivity = {
+  /**
+   * Subscribe to log changes. The listener is called immediately and then after every change.
+   *
+   * @param {(log: Object) => void} listener
+   * @returns {() => void} Function that removes the subscription.
+   */
+  subscribe(listener) {
+    listeners.add(listener);
+    listener(log);
+    return () => listeners.delete(listener);
+  },
+
+  /**
+   * @param {string} taskId
+   * @returns {Array<Object>} Entries of the task, oldest first.
+   */
+  list: (taskId) => log[taskId] || [],
+
+  /**
+   * Add an entry to the log of a task.
+   *
+   * @param {string} taskId
+   * @param {Object} entry - `type` and, depending on it, `changes` or `name`.
+   * @returns {void}
+   */
+  record(taskId, entry) {
+    if (!taskId) return;
+    const full = {
+      id: `act-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+      user: currentUser(),
+      at: new Date().toISOString(),
+      ...entry,
+    };
+    save({ ...log, [taskId]: [...taskActivity.list(taskId), full].slice(-LIMIT) });
+  },
+
+  /**
+   * Record the update of a task, if any tracked field changed.
+   *
+   * @param {Object|undefined} previous - The task before the update.
+   * @param {Object} next - The updated task.
+   * @param {string} [user] - Who made the change (default: the logged-in user).
+   * @returns {void}
+   */
+  recordUpdate(previous, next, user) {
+    const changes = previous ? describeChanges(previous, next) : [];
+    if (changes.length) taskActivity.record(next._id, { type: 'updated', changes, ...(user && { user }) });
+  },
+
+  /**
+   * Keep the log of a task under a new id.
+   *
+   * @param {string} oldId
+   * @param {string} newId
+   * @returns {void}
+   */
+  rename(oldId, newId) {
+    if (!log[oldId] || oldId === newId) return;
+    const { [oldId]: entries, ...rest } = log;
+    save({ ...rest, [newId]: [...entries, ...(rest[newId] || [])] });
+  },
+
+  /**
+   * Forget the whole log (e.g. on logout).
+   *
+   * @returns {void}
+   */
+  clear() {
+    localStorage.removeItem(ACTIVITY_KEY);
+    log = {};
+    listeners.forEach((listener) => listener(log));
+  },
+};
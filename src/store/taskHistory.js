@@ -0,0 +1,331 @@
+import { taskStore } from './taskStore.js';
+import { taskActivity } from './taskActivity.js';
+
+/**
+ * Undo/redo history of the task operations made by the user.
+ *
+ * The board creates, updates and deletes tasks through these wrappers of
+ * `taskStore`, which record how to revert each operation. Undoing a delete
+ * creates the task again with its original fields; the new task gets a new
+ * id, so every recorded command looks ids up through `aliases`.
+ *
+ * Every operation, undone or redone, is also added to the activity log of
+ * its task (see `taskActivity.js`).
+ */
+
+const LIMIT = 50;
+
+let undoStack = [];
+let redoStack = [];
+let running = false;
+
+// Old id → current id of tasks created again by an undo/redo (or synced after being created offline)
+const aliases = new Map();
+
+taskStore.onRename((tempId, id) => aliases.set(tempId, id));
+
+/**
+ * Current id of a task recorded in the history.
+ *
+ * @param {string} id - Id the task had when the command was recorded.
+ * @returns {string}
+ */
+function resolve(id) {
+  let current = id;
+  while (aliases.has(current)) current = aliases.get(current);
+  return current;
+}
+
+/**
+ * Fields of a task needed to create it again.
+ * Attachments are not included: the server deletes their files with the task.
+ *
+ * @param {Object} task
+ * @returns {Object}
+ */
+function creatableFields(task) {
+  const fields = { ...task };
+  ['_id', 'syncState', 'createdAt', 'updatedAt', 'attachments'].forEach((key) => delete fields[key]);
+  return fields;
+}
+
+/**
+ * Create a task again and point its old id to the new one.
+ * The new task keeps the activity log of the old one.
+ *
+ * @async
+ * @param {string} id - Id the task had.
+ * @param {Object} fields - Fields to create it with.
+ * @returns {Promise<void>}
+ */
+async function recreate(id, fields) {
+  const created = await taskStore.create(fields);
+  taskActivity.rename(resolve(id), created._id);
+  taskActivity.record(created._id, { type: 'restored' });
+  aliases.set(resolve(id), created._id);
+}
+
+/**
+ * Update a task and log the fields that changed.
+ *
+ * @async
+ * @param {string} id - Current task id.
+ * @param {Object} fields - Fields to change.
+ * @param {Object} [options] - Options of `taskStore.update`.
+ * @returns {Promise<Object>} The updated task.
+ */
+async function updateLogged(id, fields, options) {
+  const previous = taskStore.get(id);
+  const updated = await taskStore.update(id, fields, options);
+  taskActivity.recordUpdate(previous, updated);
+  return updated;
+}
+
+/**
+ * Delete a task and log it (the log is kept in case the delete is undone).
+ *
+ * @async
+ * @param {string} id - Current task id.
+ * @returns {Promise<void>}
+ */
+async function removeLogged(id) {
+  await taskStore.remove(id);
+  taskActivity.record(id, { type: 'deleted' });
+}
+
+/**
+ * Build the recording wrappers of `taskStore`. Every successful operation
+ * is passed to `record` as a command `{ label, undo, redo, moves }`, where
+ * `moves(direction)` lists the tasks that undoing / redoing it puts in a
+ * column (`{ id, status }`), so the board can check its WIP limits first.
+ *
+ * @param {(command: {label: string, undo: Function, redo: Function, moves: Function}) => void} record
+ * @returns {{create: Function, update: Function, remove: Function}}
+ */
+function recorder(record) {
+  return {
+    /**
+     * Create a task (see `taskStore.create`).
+     *
+     * @param {Object} taskData
+     * @param {string} [label='Tarea creada'] - Text shown when offering to undo it.
+     * @returns {Promise<Object>} The created task.
+     */
+    async create(taskData, label = 'Tarea creada') {
+      const task = await taskStore.create(taskData);
+      const id = task._id;
+      taskActivity.record(id, { type: 'created' });
+      record({
+        label,
+        undo: () => removeLogged(resolve(id)),
+        redo: () => recreate(id, taskData),
+        moves: (direction) => (direction === 'redo' ? [{ id: resolve(id), status: taskData.status }] : []),
+      });
+      return task;
+    },
+
+    /**
+     * Update a task (see `taskStore.update`).
+     * Undoing it restores the changed fields and removes the next instance
+     * of a repeating task created by completing it.
+     *
+     * @param {string} id - Task id.
+     * @param {Object} changes - Fields to change.
+     * @param {Object} [options] - Options of `taskStore.update`.
+     * @param {string} [label='Tarea actualizada'] - Text shown when offering to undo it.
+     * @returns {Promise<Object>} The updated task.
+     */
+    async update(id, changes, options = {}, label = 'Tarea actualizada') {
+      const previous = taskStore.get(id);
+      const keys = Object.keys(changes);
+      if (previous?.recurrence) keys.push('recurrence');
+      const before = previous ? Object.fromEntries(keys.map((key) => [key, previous[key]])) : {};
+
+      let spawned = [];
+      const apply = async (fields) => {
+        const known = new Set(taskStore.getAll().map((task) => task._id));
+        const updated = await updateLogged(resolve(id), fields, options);
+        spawned = taskStore.getAll().filter((task) => !known.has(task._id)).map((task) => task._id);
+        spawned.forEach((spawnedId) => taskActivity.record(spawnedId, { type: 'created' }));
+        return updated;
+      };
+
+      const updated = await apply(changes);
+      record({
+        label,
+        undo: async () => {
+          for (const spawnedId of spawned) await removeLogged(resolve(spawnedId));
+          spawned = [];
+          await updateLogged(resolve(id), before, { optimistic: true });
+        },
+        redo: () => apply(changes),
+        moves: (direction) =>
+          'status' in changes
+            ? [{ id: resolve(id), status: direction === 'undo' ? before.status : changes.status }]
+            : [],
+      });
+      return updated;
+    },
+
+    /**
+     * Delete a task (see `taskStore.remove`). Undoing it creates the task again.
+     *
+     * @param {string} id - Task id.
+     * @param {string} [label='Tarea eliminada'] - Text shown when offering to undo it.
+     * @returns {Promise<void>}
+     */
+    async remove(id, label = 'Tarea eliminada') {
+      const task = taskStore.get(id);
+      await removeLogged(id);
+      if (!task) return;
+      record({
+        label,
+        undo: () => recreate(id, creatableFields(task)),
+        redo: () => removeLogged(resolve(id)),
+        moves: (direction) => (direction === 'undo' ? [{ id: resolve(id), status: task.status }] : []),
+      });
+    },
+  };
+}
+
+/**
+ * Group commands so they are undone (in reverse order) and redone together.
+ * If one of them fails, the ones already reverted are not reverted twice on retry.
+ *
+ * @param {string} label
+ * @param {Array<Object>} commands
+ * @returns {Object} The group command.
+ */
+function group(label, commands) {
+  const done = [...commands];
+  const undone = [];
+  return {
+    label,
+    async undo() {
+      while (done.length) {
+        await done[done.length - 1].undo();
+        undone.unshift(done.pop());
+      }
+    },
+    async redo() {
+      while (undone.length) {
+        await undone[0].redo();
+        done.push(undone.shift());
+      }
+    },
+    moves: (direction) =>
+      (direction === 'undo' ? done : undone).flatMap((command) => command.moves(direction)),
+  };
+}
+
+/**
+ * Add a command to the undo stack (a new operation drops the redo stack).
+ *
+ * @param {Object} command
+ */
+function push(command) {
+  undoStack = [...undoStack, command].slice(-LIMIT);
+  redoStack = [];
+}
+
+/**
+ * Run the last command of `from` in the given direction and move it to `to`.
+ * A command that fails stays where it was, so it can be tried again.
+ *
+ * @async
+ * @param {'undo'|'redo'} direction
+ * @returns {Promise<string|null>} Label of the command, or null if there was nothing to do.
+ */
+async function step(direction) {
+  const from = direction === 'undo' ? undoStack : redoStack;
+  const command = from[from.length - 1];
+  if (!command || running) return null;
+
+  running = true;
+  try {
+    await command[direction]();
+  } finally {
+    running = false;
+  }
+
+  if (direction === 'undo') {
+    undoStack = undoStack.slice(0, -1);
+    redoStack = [...redoStack, command];
+  } else {
+    redoStack = redoStack.slice(0, -1);
+    undoStack = [...undoStack, command];
+  }
+  return command.label;
+}
+
+export const taskHistory = {
+  ...recorder(push),
+
+  /**
+   * Run several operations as a single undoable step (e.g. a bulk action).
+   *
+   * @async
+   * @param {(history: {create: Function, update: Function, remove: Function}) => Promise<string>} run -
+   *   Performs the operations through the given wrappers and resolves to the label of the step.
+   * @returns {Promise<string>} The label returned by `run`.
+   */
+  async batch(run) {
+    const commands = [];
+    let label;
+    try {
+      label = await run(recorder((command) => commands.push(command)));
+    } finally {
+      // Operations that succeeded before a failure can still be undone
+      if (commands.length) push(group(label || 'Cambios en varias tareas', commands));
+    }
+    return label;
+  },
+
+  /**
+   * Revert the last operation.
+   *
+   * @returns {Promise<string|null>} Label of the reverted operation, or null if there was none.
+   * @throws {Error} If the API rejects the revert (the operation stays undoable).
+   */
+  undo: () => step('undo'),
+
+  /**
+   * Apply again the last reverted operation.
+   *
+   * @returns {Promise<string|null>} Label of the operation, or null if there was none.
+   * @throws {Error} If the API rejects it (the operation stays redoable).
+   */
+  redo: () => step('redo'),
+
+  /**
+   * Tasks that the next undo / redo would put in a column.
+   *
+   * @param {'undo'|'redo'} direction
+   * @returns {Array<{id: string, status: string}>}
+   */
+  peekMoves(direction) {
+    const stack = direction === 'undo' ? undoStack : redoStack;
+    return stack[stack.length - 1]?.moves(direction) || [];
+  },
+
+  /**
+   * @returns {boolean} Whether there is an operation to undo.
+   */
+  canUndo: () => undoStack.length > 0,
+
+  /**
+   * @returns {boolean} Whether there is an operation to redo.
+   */
+  canRedo: () => redoStack.length > 0,
+
+  /**
+   * Forget the history (e.g. on logout).
+   *
+   * @returns {void}
+   */
+  clear() {
+    undoStack = [];
+    redoStack = [];
+    aliases.clear();
+  },
+};
@@ -0,0 +1,634 @@
+import {
+  CreateTask,
+  getUserTasks,
+  getTask,
+  updateTask,
+  deleteTask,
+  uploadAttachment,
+  deleteAttachment,
+} from '../services/userService.js';
+import {
+  cacheTasks,
+  getCachedTasks,
+  enqueue,
+  getQueue,
+  dequeue,
+  renameQueued,
+  removeQueued,
+  clearCachedTasks,
+} from './offlineDB.js';
+import { nextOccurrence } from '../utils/recurrence.js';
+import { boardSettings, DONE_COLUMN } from './boardSettings.js';
+import { boardStore } from './boardStore.js';
+
+/**
+ * Convert a task received from the API to its front-end shape.
+ * The store keeps the front-end status: the id of the board column (see `boardSettings.js`).
+ * Tasks created before priorities, labels, checklists, recurrence, reminders, attachments and
+ * assignees existed get the defaults. The column id saved with the task (`column`) becomes its status.
+ *
+ * @param {Object} task - Task as returned by the backend.
+ * @returns {Object} Task with a front-end `status`, a `priority`, `labels`, `checklist`,
+ *   `attachments` and `assignees` (member emails) arrays, a `recurrence` rule and a `reminder`
+ *   (minutes before the due time), both may be null.
+ */
+export function fromBackendTask(task) {
+  const { column, ...fields } = task;
+  return {
+    ...fields,
+    status: boardSettings.fromBackendStatus(task.status, column),
+    priority: task.priority || 'medium',
+    labels: Array.isArray(task.labels) ? task.labels : [],
+    checklist: Array.isArray(task.checklist) ? task.checklist : [],
+    recurrence: task.recurrence || null,
+    reminder: Number.isFinite(task.reminder) ? task.reminder : null,
+    attachments: Array.isArray(task.attachments) ? task.attachments : [],
+    assignees: Array.isArray(task.assignees) ? task.assignees : [],
+  };
+}
+
+/**
+ * Build the next instance of a repeating task, or null if its series ended.
+ * The new instance starts in the first column, with its checklist unchecked and no attachments.
+ *
+ * @param {Object} task - The instance being completed.
+ * @returns {Object|null} Fields of the next instance.
+ */
+function nextRecurringTask(task) {
+  const next = nextOccurrence(task.recurrence, task.date);
+  if (!next) return null;
+
+  const fields = { ...task };
+  ['_id', 'syncState', 'createdAt', 'updatedAt', 'attachments'].forEach((key) => delete fields[key]);
+  const rule = { ...task.recurrence };
+  delete rule.spawned;
+
+  return {
+    ...fields,
+    date: next.date,
+    status: boardSettings.defaultColumn(),
+    checklist: (task.checklist || []).map((item) => ({ ...item, done: false })),
+    recurrence: { ...rule, occurrence: next.occurrence },
+  };
+}
+
+/**
+ * Convert a front-end task to the payload expected by the API.
+ * Attachments are left out: they have their own endpoints.
+ *
+ * @param {Object} task - Task with a front-end `status`.
+ * @returns {Object} Task with a backend `status` and its column id (`column`).
+ */
+export function toBackendTask(task) {
+  const { attachments, ...fields } = task;
+  return { ...fields, status: boardSettings.toBackendStatus(task.status), column: task.status };
+}
+
+/**
+ * Whether an error means the server could not be reached or did not answer in time
+ * (as opposed to the server rejecting the request). Cancelled requests are not.
+ * After a timeout the server may have applied the request: only mutations that can
+ * be sent twice are queued (creates carry their temporary id as `clientId`).
+ *
+ * @param {Error} err - Error thrown by the HTTP client.
+ * @returns {boolean} True when the request should be queued for later.
+ */
+export function isNetworkError(err) {
+  if (!navigator.onLine || err instanceof TypeError) return true;
+  if (err?.code === 'aborted') return false;
+  // Requests without a response (status 0): the network failed or the request timed out
+  return err?.code === 'network' || err?.code === 'timeout' || err?.status === 0;
+}
+
+//  In-memory list of tasks (single source of truth for the board)
+let tasks = [];
+const listeners = new Set();
+const renameListeners = new Set();
+const remoteListeners = new Set();
+let syncing = false;
+// Number of local changes of the list, so a poll answered after one of them is not applied over it
+let revision = 0;
+// Requests in flight per task id, and the remote change of each one that waits for them
+const writes = new Map();
+const deferred = new Map();
+// Tasks deleted here: late remote updates must not bring them back
+const deletedIds = new Set();
+
+/**
+ * Replace the task list, keep the offline copy up to date
+ * and notify every subscriber.
+ *
+ * @param {Array<Object>} next - The new list of tasks.
+ * @param {Object} [options]
+ * @param {boolean} [options.remote=false] - The change comes from the server (see `applyRemote`).
+ */
+function setTasks(next, { remote = false } = {}) {
+  tasks = next;
+  if (!remote) revision++;
+  cacheTasks(tasks).catch((err) => console.error('Error al guardar tareas offline:', err));
+  listeners.forEach((listener) => listener(tasks));
+}
+
+// Hold back the remote changes of a task while a request of this client changes it
+function startWrite(id) {
+  writes.set(id, (writes.get(id) || 0) + 1);
+}
+
+// Apply the remote change that arrived during the request, if it is still newer
+function endWrite(id) {
+  const count = writes.get(id) - 1;
+  if (count > 0) {
+    writes.set(id, count);
+    return;
+  }
+  writes.delete(id);
+  const change = deferred.get(id);
+  deferred.delete(id);
+  if (change) applyRemote([change]);
+}
+
+// Same task fields (in any order), ignoring the local sync state
+function sameContent(a, b) {
+  const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+  fields.delete('syncState');
+  return [...fields].every((field) => JSON.stringify(a[field] ?? null) === JSON.stringify(b[field] ?? null));
+}
+
+/**
+ * Whether the server version of a task is newer than the local one. Without
+ * `updatedAt` any difference counts; with it, echoes of this client's own
+ * changes and events arriving out of order are ignored.
+ *
+ * @param {Object} remote
+ * @param {Object} local
+ * @returns {boolean}
+ */
+function isNewer(remote, local) {
+  if (remote.updatedAt && local.updatedAt && remote.updatedAt !== local.updatedAt) {
+    return new Date(remote.updatedAt) > new Date(local.updatedAt);
+  }
+  return !sameContent(remote, local);
+}
+
+/**
+ * Apply changes made on the server by someone else (or by this user in another tab).
+ *
+ * Local edits win over them until they reach the server: tasks with queued
+ * offline changes or with a request in flight are left as they are (the
+ * change of the latter is applied afterwards if it is still newer). Tasks of
+ * other boards are ignored. Unchanged tasks keep their object, so only the
+ * changed cards are drawn again.
+ *
+ * @param {Array<{type: 'created'|'updated'|'deleted', task?: Object, id?: string, user?: string}>} changes -
+ *   Tasks as returned by the API; `user` is the name of who made the change, if known.
+ */
+function applyRemote(changes) {
+  const applied = [];
+  let next = tasks;
+  changes.forEach((change) => {
+    const id = change.id || change.task?._id;
+    if (!id) return;
+    if (writes.has(id)) {
+      deferred.set(id, change);
+      return;
+    }
+    const previous = next.find((t) => t._id === id);
+    if (previous?.syncState === 'pending') return;
+    // A queued create the server already has (its first attempt timed out): the replay renames the card
+    const clientId = change.task?.clientId;
+    if (clientId && next.some((t) => t._id === clientId && t.syncState === 'pending')) return;
+
+    if (change.type === 'deleted') {
+      if (!previous) return;
+      next = next.filter((t) => t !== previous);
+      applied.push({ type: 'deleted', previous, user: change.user });
+      return;
+    }
+
+    const task = fromBackendTask(change.task);
+    const boardId = boardStore.currentId();
+    if (deletedIds.has(id) || (boardId && task.boardId && task.boardId !== boardId)) return;
+    if (previous && !isNewer(task, previous)) return;
+    next = previous ? next.map((t) => (t === previous ? task : t)) : [...next, task];
+    applied.push({ type: previous ? 'updated' : 'created', previous, task, user: change.user });
+  });
+
+  if (!applied.length) return;
+  setTasks(next, { remote: true });
+  applied.forEach((change) => remoteListeners.forEach((listener) => listener(change)));
+}
+
+// Id of the logged-in user, whose queued mutations are sent (null without session)
+function currentUserId() {
+  try {
+    return JSON.parse(localStorage.getItem('userData'))?.id || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Whether new mutations must be queued: the browser is offline or older
+ * mutations are still waiting, so the server sees them in order.
+ *
+ * @returns {Promise<boolean>}
+ */
+async function mustQueue() {
+  return !navigator.onLine || (await getQueue(currentUserId())).length > 0;
+}
+
+/**
+ * Try to send a mutation now; if there is no connection, queue it instead.
+ *
+ * @param {() => Promise<any>} send - Performs the request.
+ * @param {Object} op - Mutation to queue if the request cannot be sent.
+ * @returns {Promise<{queued: boolean, result?: any}>}
+ */
+async function sendOrQueue(send, op) {
+  if (!(await mustQueue())) {
+    try {
+      return { queued: false, result: await send() };
+    } catch (err) {
+      if (!isNetworkError(err)) throw err;
+    }
+  }
+  await enqueue({ ...op, userId: currentUserId() });
+  return { queued: true };
+}
+
+/**
+ * Client-side task store.
+ *
+ * Every task mutation goes through here so the board (and any other feature)
+ * can render from the same state instead of reading it back from the DOM.
+ * Task objects are never mutated in place: each change creates a new object,
+ * so subscribers can compare references to detect changes.
+ */
+export const taskStore = {
+  /**
+   * Subscribe to store changes. The listener is called immediately with the
+   * current tasks and then after every change.
+   *
+   * @param {(tasks: Array<Object>) => void} listener
+   * @returns {() => void} Function that removes the subscription.
+   */
+  subscribe(listener) {
+    listeners.add(listener);
+    listener(tasks);
+    return () => listeners.delete(listener);
+  },
+
+  /**
+   * @returns {Array<Object>} All tasks currently loaded.
+   */
+  getAll: () => tasks,
+
+  /**
+   * @param {string} id - Task id.
+   * @returns {Object|undefined} The task with the given id.
+   */
+  get: (id) => tasks.find((task) => task._id === id),
+
+  /**
+   * Be notified when a task created offline gets its server id.
+   *
+   * @param {(tempId: string, id: string) => void} listener
+   * @returns {() => void} Function that removes the subscription.
+   */
+  onRename(listener) {
+    renameListeners.add(listener);
+    return () => renameListeners.delete(listener);
+  },
+
+  /**
+   * Be notified of every task change applied from the server (see `applyRemote`).
+   *
+   * @param {(change: {type: 'created'|'updated'|'deleted', previous?: Object, task?: Object, user?: string}) => void} listener
+   * @returns {() => void} Function that removes the subscription.
+   */
+  onRemoteChange(listener) {
+    remoteListeners.add(listener);
+    return () => remoteListeners.delete(listener);
+  },
+
+  /**
+   * @returns {number} Counter of the local changes of the task list (see `reconcile`).
+   */
+  revision: () => revision,
+
+  /**
+   * Apply task events pushed by the server.
+   *
+   * @param {{type: 'created'|'updated'|'deleted', task?: Object, id?: string, user?: string}} change
+   * @returns {void}
+   */
+  applyRemote(change) {
+    applyRemote([change]);
+  },
+
+  /**
+   * Bring the store in line with the full task list of the current board
+   * fetched from the server: new tasks are added, changed ones replaced and
+   * missing ones removed, like `applyRemote` does for single events.
+   *
+   * @param {Array<Object>} serverTasks - Tasks as returned by the API.
+   * @param {Object} [options]
+   * @param {number} [options.revision] - `revision()` when the request was sent: if the
+   *   list changed locally since then, the response is stale and nothing is applied.
+   * @returns {boolean} Whether the list was applied.
+   */
+  reconcile(serverTasks, { revision: since } = {}) {
+    if (since !== undefined && since !== revision) return false;
+    const ids = new Set(serverTasks.map((task) => task._id));
+    applyRemote([
+      ...tasks
+        .filter((task) => !ids.has(task._id) && !task._id.startsWith('tmp-'))
+        .map((task) => ({ type: 'deleted', id: task._id })),
+      ...serverTasks.map((task) => ({ type: 'updated', task })),
+    ]);
+    return true;
+  },
+
+  /**
+   * Load the tasks of the current board (see `boardStore`) from the API.
+   * Pending offline mutations are sent first; without connection the
+   * cached copy from IndexedDB is used.
+   *
+   * @async
+   * @returns {Promise<Array<Object>>} The loaded tasks.
+   */
+  async load() {
+    const boardId = boardStore.currentId();
+    // The cache holds the tasks of the last board shown
+    const cached = async () =>
+      (await getCachedTasks()).filter((task) => !boardId || !task.boardId || task.boardId === boardId);
+
+    await this.sync();
+    let next;
+    if (await mustQueue()) {
+      next = await cached();
+    } else {
+      try {
+        next = ((await getUserTasks(boardId || undefined)) || []).map(fromBackendTask);
+      } catch (err) {
+        if (!isNetworkError(err)) throw err;
+        next = await cached();
+      }
+    }
+    // Another board was selected meanwhile: its own load fills the store
+    if (boardStore.currentId() === boardId) setTasks(next);
+    return tasks;
+  },
+
+  /**
+   * Fetch a single task from the API and add (or refresh) it in the store.
+   *
+   * @async
+   * @param {string} id - Task id.
+   * @returns {Promise<Object>} The fetched task.
+   */
+  async fetch(id) {
+    const task = fromBackendTask(await getTask(id));
+    setTasks(this.get(id) ? tasks.map((t) => (t._id === id ? task : t)) : [...tasks, task]);
+    return task;
+  },
+
+  /**
+   * Create a task through the API and add it to the store.
+   *
+   * @async
+   * @param {Object} taskData - Task fields with a front-end `status`; without `boardId`,
+   *   the task is created in the current board.
+   * @returns {Promise<Object>} The created task.
+   */
+  async create(taskData) {
+    // Temporary id, replaced by the server `_id` when the queue is replayed
+    const tempId = `tmp-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    // New tasks go to the board being shown
+    if (!taskData.boardId && boardStore.currentId()) taskData = { ...taskData, boardId: boardStore.currentId() };
+    // The temporary id is also the idempotency key: a create sent twice makes one task
+    const data = { ...toBackendTask(taskData), clientId: tempId };
+    const { queued, result } = await sendOrQueue(() => CreateTask(data), { type: 'create', id: tempId, data });
+
+    const created = queued
+      ? { ...taskData, _id: tempId, syncState: 'pending' }
+      : fromBackendTask(result);
+    // The event of the new task may have arrived before the response
+    setTasks([...tasks.filter((t) => t._id !== created._id), created]);
+    return created;
+  },
+
+  /**
+   * Update a task through the API.
+   *
+   * Fields not present in `changes` are kept from the stored task, so a
+   * partial update never loses data. With `optimistic`, the store changes
+   * before the request and is rolled back if it fails.
+   *
+   * Moving an instance of a repeating task to done creates its next
+   * occurrence (once: the instance is flagged as `spawned`).
+   *
+   * @async
+   * @param {string} id - Task id.
+   * @param {Object} changes - Fields to change (front-end `status`).
+   * @param {Object} [options]
+   * @param {boolean} [options.optimistic=false] - Apply the change before the server confirms it.
+   * @returns {Promise<Object>} The updated task.
+   * @throws {Error} If the task is unknown or the API rejects the update.
+   */
+  async update(id, changes, { optimistic = false } = {}) {
+    const previous = this.get(id);
+    if (!previous) throw new Error(`Unknown task: ${id}`);
+
+    let next = { ...previous, ...changes };
+    const spawnNext =
+      previous.status !== DONE_COLUMN &&
+      next.status === DONE_COLUMN &&
+      next.recurrence &&
+      !next.recurrence.spawned;
+    if (spawnNext) next = { ...next, recurrence: { ...next.recurrence, spawned: true } };
+
+    const replace = (task) => setTasks(tasks.map((t) => (t._id === id ? task : t)));
+
+    startWrite(id);
+    if (optimistic) replace(next);
+    try {
+      const { queued, result } = await sendOrQueue(
+        () => updateTask(id, toBackendTask(next)),
+        { type: 'update', id, data: toBackendTask(next) }
+      );
+      let updated = next;
+      if (queued) updated = { ...next, syncState: 'pending' };
+      else if (result) updated = { ...next, ...fromBackendTask(result), _id: id };
+      replace(updated);
+
+      const following = spawnNext && nextRecurringTask(updated);
+      if (following) {
+        await this.create(following).catch((err) =>
+          console.error('Error al crear la siguiente repetición:', err)
+        );
+      }
+      return updated;
+    } catch (err) {
+      if (optimistic && this.get(id) === next) replace(previous);
+      throw err;
+    } finally {
+      endWrite(id);
+    }
+  },
+
+  /**
+   * Delete a task through the API and remove it from the store.
+   *
+   * @async
+   * @param {string} id - Task id.
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    if (id.startsWith('tmp-')) {
+      // Never reached the server: forget its queued mutations
+      await removeQueued(id);
+    } else {
+      startWrite(id);
+      try {
+        await sendOrQueue(() => deleteTask(id), { type: 'delete', id });
+        deletedIds.add(id);
+      } finally {
+        endWrite(id);
+      }
+    }
+    setTasks(tasks.filter((task) => task._id !== id));
+  },
+
+  /**
+   * Upload a file to a task and add it to the task attachments.
+   * Needs a connection: uploads are never queued.
+   *
+   * @async
+   * @param {string} id - Task id (of a task already saved on the server).
+   * @param {File} file
+   * @param {(loaded: number, total: number) => void} [onProgress] - Upload progress in bytes.
+   * @returns {Promise<Object>} The new attachment.
+   * @throws {Error} If the task is unknown or not synced yet, or the upload fails.
+   */
+  async addAttachment(id, file, onProgress) {
+    if (!this.get(id)) throw new Error(`Unknown task: ${id}`);
+    if (id.startsWith('tmp-')) throw new Error('La tarea aún no se ha sincronizado con el servidor.');
+
+    startWrite(id);
+    try {
+      const attachment = await uploadAttachment(id, file, onProgress);
+      // Read the task again: it may have changed during the upload
+      const task = this.get(id);
+      if (task) {
+        const attachments = [...task.attachments.filter((a) => a._id !== attachment._id), attachment];
+        setTasks(tasks.map((t) => (t._id === id ? { ...task, attachments } : t)));
+      }
+      return attachment;
+    } finally {
+      endWrite(id);
+    }
+  },
+
+  /**
+   * Delete an attachment of a task. Needs a connection.
+   *
+   * @async
+   * @param {string} id - Task id.
+   * @param {string} attachmentId
+   * @returns {Promise<void>}
+   */
+  async removeAttachment(id, attachmentId) {
+    startWrite(id);
+    try {
+      await deleteAttachment(id, attachmentId);
+      const task = this.get(id);
+      if (!task) return;
+      const updated = { ...task, attachments: task.attachments.filter((a) => a._id !== attachmentId) };
+      setTasks(tasks.map((t) => (t._id === id ? updated : t)));
+    } finally {
+      endWrite(id);
+    }
+  },
+
+  /**
+   * Replay the queued offline mutations of the logged-in user in order.
+   *
+   * Stops at the first network error (the rest stays queued). Mutations the
+   * server rejects are discarded and the tasks are reloaded to match the server.
+   *
+   * @async
+   * @returns {Promise<void>}
+   */
+  async sync() {
+    // Without session there is nobody to send them as
+    if (syncing || !navigator.onLine || !currentUserId()) return;
+    syncing = true;
+    let rejected = false;
+    try {
+      let op;
+      // Re-read the queue every time: ids may have been renamed by a create
+      while ((op = (await getQueue(currentUserId()))[0])) {
+        try {
+          if (op.type === 'create') {
+            // Creates queued before they carried their key get it now
+            const created = fromBackendTask(await CreateTask({ clientId: op.id, ...op.data }));
+            await renameQueued(op.id, created._id);
+            setTasks(
+              tasks
+                .filter((t) => t._id !== created._id)
+                .map((t) => (t._id === op.id ? { ...t, _id: created._id } : t))
+            );
+            renameListeners.forEach((listener) => listener(op.id, created._id));
+          } else if (op.type === 'update') {
+            await updateTask(op.id, op.data);
+          } else if (op.type === 'delete') {
+            await deleteTask(op.id);
+            deletedIds.add(op.id);
+          }
+        } catch (err) {
+          // Stop here: no connection, the server did not answer in time, or the session expired
+          if (isNetworkError(err) || err.sessionExpired) return;
+          console.error('Cambio sin sincronizar descartado:', op, err);
+          rejected = true;
+        }
+        await dequeue(op.seq);
+      }
+
+      setTasks(tasks.map((t) => (t.syncState === 'pending' ? { ...t, syncState: 'synced' } : t)));
+      if (rejected) {
+        const data = await getUserTasks(boardStore.currentId() || undefined);
+        setTasks((data || []).map(fromBackendTask));
+      }
+    } finally {
+      syncing = false;
+    }
+  },
+
+  /**
+   * Empty the store and the cached tasks (e.g. on logout). Queued mutations
+   * are kept, and sent when their user logs in again.
+   *
+   * @returns {void}
+   */
+  reset() {
+    deletedIds.clear();
+    setTasks([]);
+    clearCachedTasks().catch((err) => console.error('Error al borrar datos offline:', err));
+  },
+};
+
+/**
+ * Replay queued mutations whenever the connection comes back
+ * (and once at start-up, in case the app was closed while offline).
+ *
+ * @export
+ * @function initOfflineSync
+ * @returns {void}
+ */
+export function initOfflineSync() {
+  window.addEventListener('online', () => {
+    taskStore.sync().catch((err) => console.error('Error al sincronizar tareas:', err));
+  });
+  taskStore.sync().catch((err) => console.error('Error al sincronizar tareas:', err));
+}
@@ -0,0 +1,104 @@
+/**
+ * Date helpers for task dates.
+ *
+ * Tasks store their due moment as a local `date` (`YYYY-MM-DD`) and
+ * `time` (`HH:MM`); these helpers convert between that format and `Date`.
+ */
+
+/**
+ * Format a date as a local `YYYY-MM-DD` key.
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toDateKey(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Format the time of a date as `HH:MM`.
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+export function toTimeKey(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Parse a `YYYY-MM-DD` key (and optional `HH:MM`) as a local date.
+ *
+ * @param {string} dateKey - Date in `YYYY-MM-DD` format.
+ * @param {string} [time="00:00"] - Time in `HH:MM` format.
+ * @returns {Date|null} The date, or null if `dateKey` is not valid.
+ */
+export function parseDateKey(dateKey, time = "00:00") {
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(dateKey || "");
+  if (!match) return null;
+  const [hours = 0, minutes = 0] = (time || "00:00").split(":").map(Number);
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]), hours, minutes);
+}
+
+/**
+ * Due moment of a task. Tasks without time are due at the end of the day.
+ *
+ * @param {Object} task - Task with `date` and `time`.
+ * @returns {Date|null} The due date, or null if the task has no valid date.
+ */
+export function taskDueDate(task) {
+  return parseDateKey(task.date, task.time || "23:59");
+}
+
+/**
+ * Add days to a date.
+ *
+ * @param {Date} date
+ * @param {number} days - Days to add (may be negative).
+ * @returns {Date} A new date.
+ */
+export function addDays(date, days) {
+  const result = new Date(date);
+  result.setDate(result.getDate() + days);
+  return result;
+}
+
+/**
+ * Monday of the week containing `date`, at midnight.
+ *
+ * @param {Date} date
+ * @returns {Date} A new date.
+ */
+export function startOfWeek(date) {
+  const result = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  const offset = (result.getDay() + 6) % 7; // Monday = 0
+  return addDays(result, -offset);
+}
+
+// Units of relative times, from largest to smallest, in seconds
+const RELATIVE_UNITS = [
+  ["year", 365 * 24 * 3600],
+  ["month", 30 * 24 * 3600],
+  ["week", 7 * 24 * 3600],
+  ["day", 24 * 3600],
+  ["hour", 3600],
+  ["minute", 60],
+];
+
+const relativeFormat = new Intl.RelativeTimeFormat("es", { numeric: "auto" });
+
+/**
+ * Time elapsed since a moment, in words ("hace 5 minutos", "ayer").
+ *
+ * @param {Date|string} date - The moment (or an ISO string).
+ * @param {Date} [now=new Date()]
+ * @returns {string}
+ */
+export function formatRelativeTime(date, now = new Date()) {
+  const seconds = (new Date(date) - now) / 1000;
+  if (Number.isNaN(seconds)) return "";
+  if (Math.abs(seconds) < 60) return "justo ahora";
+  const [unit, size] = RELATIVE_UNITS.find(([, size]) => Math.abs(seconds) >= size);
+  return relativeFormat.format(Math.round(seconds / size), unit);
+}
@@ -0,0 +1,68 @@
+/**
+ * Errors of a form shown next to its fields.
+ *
+ * An invalid field gets the `error` class, `aria-invalid` and a
+ * `.field-error` message right after it; typing in it clears them.
+ */
+
+/**
+ * Remove the error of one field.
+ *
+ * @param {HTMLElement} input
+ * @returns {void}
+ */
+function clearFieldError(input) {
+  input.classList.remove("error");
+  input.removeAttribute("aria-invalid");
+  const anchor = input.closest(".password-container") || input;
+  if (anchor.nextElementSibling?.matches(".field-error")) anchor.nextElementSibling.remove();
+}
+
+/**
+ * Remove every field error shown in a form.
+ *
+ * @param {HTMLElement} form
+ * @returns {void}
+ */
+export function clearFieldErrors(form) {
+  form?.querySelectorAll(".error, [aria-invalid]").forEach(clearFieldError);
+  form?.querySelectorAll(".field-error").forEach((message) => message.remove());
+}
+
+/**
+ * Mark a field as invalid and show why.
+ *
+ * @param {HTMLElement} input
+ * @param {string} message
+ * @returns {void}
+ */
+export function setFieldError(input, message) {
+  clearFieldError(input);
+  input.classList.add("error");
+  input.setAttribute("aria-invalid", "true");
+
+  const text = document.createElement("small");
+  text.className = "field-error";
+  text.textContent = message;
+  // Inputs with a show/hide password button are wrapped together with it
+  (input.closest(".password-container") || input).after(text);
+
+  input.addEventListener("input", () => clearFieldError(input), { once: true });
+}
+
+/**
+ * Show the field errors of an API error (see `ApiError.fieldErrors`) on a form.
+ * The first invalid field gets the focus.
+ *
+ * @param {HTMLElement} form
+ * @param {Object<string, string>} fieldErrors - Message of each API field.
+ * @param {Object<string, HTMLElement>} inputs - Input of each API field.
+ * @returns {boolean} Whether any error was shown (false: the caller shows a general message).
+ */
+export function showFieldErrors(form, fieldErrors = {}, inputs = {}) {
+  clearFieldErrors(form);
+  const shown = Object.keys(fieldErrors).filter((field) => inputs[field]);
+  shown.forEach((field) => setFieldError(inputs[field], fieldErrors[field]));
+  inputs[shown[0]]?.focus();
+  return shown.length > 0;
+}
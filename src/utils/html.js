@@ -0,0 +1,85 @@
+/**
+ * Minimal HTML templating that escapes by default.
+ *
+ * Every value interpolated in an `html` template is escaped, so text coming
+ * from the server or the user (task titles, details, names, bios...) can
+ * never become markup. Nested `html` templates, and markup explicitly
+ * wrapped with `trusted`, are inserted as they are.
+ *
+ * @example
+ * setHTML(card, html`<div class="task-title">${task.title}</div>`);
+ */
+
+const ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&#39;",
+  "`": "&#96;",
+};
+
+/**
+ * Markup that is safe to insert.
+ */
+class SafeHtml {
+  constructor(markup) {
+    this.markup = markup;
+  }
+
+  toString() {
+    return this.markup;
+  }
+}
+
+/**
+ * Escape a value for an HTML text node or a quoted attribute.
+ *
+ * @param {*} value - null and undefined become an empty string.
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+  return String(value ?? "").replace(/[&<>"'`]/g, (char) => ESCAPES[char]);
+}
+
+/**
+ * Mark a string as safe markup. Only for markup written in the code,
+ * never for anything that contains data.
+ *
+ * @param {string} markup
+ * @returns {SafeHtml}
+ */
+export function trusted(markup) {
+  return new SafeHtml(markup);
+}
+
+// One interpolated value: nested templates as they are, arrays joined, the rest escaped
+function toMarkup(value) {
+  if (value instanceof SafeHtml) return value.markup;
+  if (Array.isArray(value)) return value.map(toMarkup).join("");
+  if (value === false) return "";
+  return escapeHtml(value);
+}
+
+/**
+ * Tagged template that escapes every interpolated value.
+ * `false` renders nothing, so `${condition && html`...`}` works.
+ *
+ * @param {TemplateStringsArray} strings
+ * @param {...*} values
+ * @returns {SafeHtml}
+ */
+export function html(strings, ...values) {
+  return new SafeHtml(strings.reduce((markup, string, i) => markup + toMarkup(values[i - 1]) + string));
+}
+
+/**
+ * Replace the content of an element with a template.
+ *
+ * @param {Element} element
+ * @param {SafeHtml} template - Result of `html` (plain strings are escaped).
+ * @returns {void}
+ */
+export function setHTML(element, template) {
+  element.innerHTML = toMarkup(template);
+}
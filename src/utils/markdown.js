@@ -0,0 +1,153 @@
+import { escapeHtml, trusted } from "./html.js";
+
+/**
+ * Safe Markdown subset of the task details.
+ *
+ * Supported: paragraphs and line breaks, **bold**, *italic*, `code`,
+ * fenced code blocks (```), bulleted and numbered lists, checkboxes
+ * (`- [ ]` / `- [x]`) and links `[text](https://...)`.
+ *
+ * The text is escaped before any formatting is applied, so the only tags
+ * in the output are the ones built here; links only accept http(s) and
+ * mailto URLs.
+ */
+
+// Mark the place of a code span and of a link while the rest of the line is formatted
+const CODE_MARK = "\u0000";
+const LINK_MARK = "\u0001";
+
+const SAFE_URL = /^(https?:\/\/|mailto:)/i;
+
+const markPattern = (mark) => new RegExp(`${mark}(\\d+)${mark}`, "g");
+
+/**
+ * Bold, italic and code spans of escaped text.
+ *
+ * @param {string} text - Escaped text, with code marks.
+ * @param {string[]} codes - Raw text of the code spans.
+ * @returns {string} Markup.
+ */
+function formatText(text, codes) {
+  return text
+    .replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>")
+    .replace(/(^|[^*\w])\*([^*\s](?:[^*]*[^*\s])?)\*(?!\w)/g, "$1<em>$2</em>")
+    .replace(markPattern(CODE_MARK), (match, i) => `<code>${escapeHtml(codes[i])}</code>`);
+}
+
+/**
+ * Format one line of text. Links are set aside first, so only their label
+ * is formatted and the URL is kept as written.
+ *
+ * @param {string} text - Raw text.
+ * @returns {string} Markup.
+ */
+function renderInline(text) {
+  const codes = [];
+  const links = [];
+  const marked = text.replace(/`([^`]+)`/g, (match, code) => {
+    codes.push(code);
+    return `${CODE_MARK}${codes.length - 1}${CODE_MARK}`;
+  });
+  const escaped = escapeHtml(marked).replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => {
+    if (!SAFE_URL.test(url)) return match;
+    // Backticks inside the URL are part of it
+    links.push({ label, url: url.replace(markPattern(CODE_MARK), (m, i) => escapeHtml(`\`${codes[i]}\``)) });
+    return `${LINK_MARK}${links.length - 1}${LINK_MARK}`;
+  });
+  return formatText(escaped, codes).replace(markPattern(LINK_MARK), (match, i) => {
+    const { label, url } = links[i];
+    return `<a href="${url}" target="_blank" rel="noopener noreferrer">${formatText(label, codes)}</a>`;
+  });
+}
+
+/**
+ * Item of a list, with its checkbox if it is a task item.
+ *
+ * @param {string} content - Text after the bullet.
+ * @returns {string} Markup of the `<li>`.
+ */
+function renderListItem(content) {
+  const task = /^\[([ xX])\]\s+(.*)$/.exec(content);
+  if (!task) return `<li>${renderInline(content)}</li>`;
+  const checked = task[1] !== " " ? " checked" : "";
+  return `<li class="md-task"><input type="checkbox" disabled${checked} /> ${renderInline(task[2])}</li>`;
+}
+
+/**
+ * Render Markdown text.
+ *
+ * @param {string} text
+ * @returns {import("./html.js").SafeHtml} Markup to insert with `setHTML` or an `html` template.
+ */
+export function renderMarkdown(text) {
+  const lines = String(text ?? "")
+    .replaceAll(CODE_MARK, "")
+    .replaceAll(LINK_MARK, "")
+    .replace(/\r\n?/g, "\n")
+    .split("\n");
+  const blocks = [];
+  let paragraph = [];
+  let list = null;
+  let code = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length) blocks.push(`<p>${paragraph.map(renderInline).join("<br />")}</p>`);
+    paragraph = [];
+  };
+  const flushList = () => {
+    if (list) blocks.push(`<${list.type}>${list.items.join("")}</${list.type}>`);
+    list = null;
+  };
+
+  lines.forEach((line) => {
+    if (code) {
+      if (/^\s*```/.test(line)) {
+        blocks.push(`<pre><code>${escapeHtml(code.join("\n"))}</code></pre>`);
+        code = null;
+      } else {
+        code.push(line);
+      }
+      return;
+    }
+
+    if (/^\s*```/.test(line)) {
+      flushParagraph();
+      flushList();
+      code = [];
+      return;
+    }
+
+    const item = /^\s*(?:([-*+])|\d+[.)])\s+(.*)$/.exec(line);
+    if (item) {
+      flushParagraph();
+      const type = item[1] ? "ul" : "ol";
+      if (list?.type !== type) {
+        flushList();
+        list = { type, items: [] };
+      }
+      list.items.push(renderListItem(item[2]));
+      return;
+    }
+
+    flushList();
+    if (line.trim()) paragraph.push(line.trim());
+    else flushParagraph();
+  });
+
+  // An unclosed code block runs to the end of the text
+  if (code) blocks.push(`<pre><code>${escapeHtml(code.join("\n"))}</code></pre>`);
+  flushParagraph();
+  flushList();
+  return trusted(blocks.join(""));
+}
+
+/**
+ * Whether the details are long enough for the card to show only an excerpt.
+ *
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isLongMarkdown(text) {
+  const value = String(text ?? "");
+  return value.length > 160 || value.split("\n").length > 4;
+}
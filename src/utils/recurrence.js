@@ -0,0 +1,143 @@
+import { parseDateKey, toDateKey, addDays, startOfWeek } from "./dates.js";
+
+/**
+ * Recurrence rules of repeating tasks.
+ *
+ * Pure functions only (no DOM, no API), so the rules can be tested on their own.
+ *
+ * A rule looks like:
+ *
+ *   {
+ *     freq: "daily" | "weekly" | "monthly",
+ *     interval: 1,          // every N days / weeks / months
+ *     weekdays: [1, 3],     // weekly: 0 = Sunday ... 6 = Saturday
+ *     monthDay: 15,         // monthly: day of the month (clamped to short months)
+ *     until: "2026-12-31",  // optional end date (inclusive)
+ *     count: 10,            // optional number of occurrences
+ *     occurrence: 1,        // position of this instance in the series
+ *   }
+ */
+
+export const FREQUENCIES = ["daily", "weekly", "monthly"];
+
+const WEEKDAY_NAMES = ["dom", "lun", "mar", "mié", "jue", "vie", "sáb"];
+
+/**
+ * Validate and fill in the defaults of a rule.
+ *
+ * @param {Object|null|undefined} rule - Rule as stored on the task.
+ * @param {string} [dateKey] - Date of the instance (`YYYY-MM-DD`), used for defaults.
+ * @returns {Object|null} The normalized rule, or null if the task does not repeat.
+ */
+export function normalizeRecurrence(rule, dateKey) {
+  if (!rule || !FREQUENCIES.includes(rule.freq)) return null;
+  const date = parseDateKey(dateKey);
+
+  const normalized = {
+    freq: rule.freq,
+    interval: Math.max(1, Math.floor(Number(rule.interval) || 1)),
+    occurrence: Math.max(1, Math.floor(Number(rule.occurrence) || 1)),
+  };
+
+  if (rule.freq === "weekly") {
+    const days = [...new Set((rule.weekdays || []).map(Number))].filter((d) => d >= 0 && d <= 6);
+    normalized.weekdays = days.length ? days.sort((a, b) => a - b) : date ? [date.getDay()] : [1];
+  }
+  if (rule.freq === "monthly") {
+    const day = Math.floor(Number(rule.monthDay));
+    normalized.monthDay = day >= 1 && day <= 31 ? day : date ? date.getDate() : 1;
+  }
+  if (parseDateKey(rule.until)) normalized.until = rule.until;
+  if (Number(rule.count) >= 1) normalized.count = Math.floor(Number(rule.count));
+  if (rule.spawned) normalized.spawned = true;
+
+  return normalized;
+}
+
+/**
+ * Last day of a month.
+ *
+ * @param {number} year
+ * @param {number} month - 0-based month.
+ * @returns {number}
+ */
+function daysInMonth(year, month) {
+  return new Date(year, month + 1, 0).getDate();
+}
+
+/**
+ * Date of the next occurrence after `dateKey`, ignoring the end conditions.
+ *
+ * @param {Object} rule - Normalized rule.
+ * @param {Date} date - Date of the current instance.
+ * @returns {Date}
+ */
+function stepFrom(rule, date) {
+  if (rule.freq === "daily") return addDays(date, rule.interval);
+
+  if (rule.freq === "weekly") {
+    // A later chosen weekday in the same week, or the first one `interval` weeks later
+    const weekday = date.getDay();
+    const order = (d) => (d + 6) % 7; // Monday first
+    const later = rule.weekdays.filter((d) => order(d) > order(weekday)).sort((a, b) => order(a) - order(b));
+    if (later.length) return addDays(date, order(later[0]) - order(weekday));
+
+    const first = [...rule.weekdays].sort((a, b) => order(a) - order(b))[0];
+    return addDays(startOfWeek(date), rule.interval * 7 + order(first));
+  }
+
+  // monthly
+  const month = date.getMonth() + rule.interval;
+  const year = date.getFullYear() + Math.floor(month / 12);
+  const targetMonth = ((month % 12) + 12) % 12;
+  const day = Math.min(rule.monthDay, daysInMonth(year, targetMonth));
+  return new Date(year, targetMonth, day);
+}
+
+/**
+ * Compute the next occurrence of a repeating task.
+ *
+ * @param {Object} rule - Recurrence rule of the task.
+ * @param {string} dateKey - Date of the current instance (`YYYY-MM-DD`).
+ * @returns {{date: string, occurrence: number}|null} Date and position of the next
+ *   instance, or null if the series has ended (or the task does not repeat).
+ */
+export function nextOccurrence(rule, dateKey) {
+  const normalized = normalizeRecurrence(rule, dateKey);
+  const date = parseDateKey(dateKey);
+  if (!normalized || !date) return null;
+
+  const occurrence = normalized.occurrence + 1;
+  if (normalized.count && occurrence > normalized.count) return null;
+
+  const next = stepFrom(normalized, date);
+  if (normalized.until && next > parseDateKey(normalized.until)) return null;
+
+  return { date: toDateKey(next), occurrence };
+}
+
+/**
+ * Human-readable description of a rule (e.g. "Cada 2 semanas: lun, mié · 5 veces").
+ *
+ * @param {Object} rule - Recurrence rule.
+ * @returns {string} The description, or an empty string if the task does not repeat.
+ */
+export function describeRecurrence(rule) {
+  const normalized = normalizeRecurrence(rule);
+  if (!normalized) return "";
+  const { freq, interval } = normalized;
+
+  let text;
+  if (freq === "daily") text = interval === 1 ? "Cada día" : `Cada ${interval} días`;
+  if (freq === "weekly") {
+    const days = normalized.weekdays.map((d) => WEEKDAY_NAMES[d]).join(", ");
+    text = `${interval === 1 ? "Cada semana" : `Cada ${interval} semanas`}: ${days}`;
+  }
+  if (freq === "monthly") {
+    text = `${interval === 1 ? "Cada mes" : `Cada ${interval} meses`}, día ${normalized.monthDay}`;
+  }
+
+  if (normalized.until) text += ` · hasta ${normalized.until}`;
+  if (normalized.count) text += ` · ${normalized.count} veces`;
+  return text;
+}
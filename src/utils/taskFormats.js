@@ -0,0 +1,492 @@
+import { parseDateKey, toDateKey, toTimeKey } from "./dates.js";
+
+/**
+ * Conversion of tasks to and from JSON, CSV and iCalendar (.ics) files.
+ *
+ * Pure functions only (no DOM, no API). Exported files carry the backend
+ * status names ("Por Hacer", "Haciendo", "Hecho"); parsed tasks come back
+ * with the front-end status keys (`todo`, `doing`, `done`), ready for
+ * `taskStore.create`.
+ */
+
+export const FORMATS = {
+  json: { label: "JSON", extension: "json", mimeType: "application/json" },
+  csv: { label: "CSV", extension: "csv", mimeType: "text/csv" },
+  ics: { label: "iCalendar (.ics)", extension: "ics", mimeType: "text/calendar" },
+};
+
+const CSV_COLUMNS = ["title", "details", "date", "time", "status", "priority", "labels"];
+
+// Accepted CSV headers (accent- and case-insensitive)
+const CSV_HEADERS = {
+  title: "title",
+  titulo: "title",
+  details: "details",
+  detalles: "details",
+  descripcion: "details",
+  date: "date",
+  fecha: "date",
+  time: "time",
+  hora: "time",
+  status: "status",
+  estado: "status",
+  priority: "priority",
+  prioridad: "priority",
+  labels: "labels",
+  etiquetas: "labels",
+};
+
+// Accepted status names, by front-end key
+const STATUS_NAMES = {
+  todo: ["todo", "por hacer", "pendiente", "pendientes", "needs-action"],
+  doing: ["doing", "haciendo", "en progreso", "in-process"],
+  done: ["done", "hecho", "completada", "completadas", "completed"],
+};
+
+// Backend status names written in exported files
+const BACKEND_STATUS = { todo: "Por Hacer", doing: "Haciendo", done: "Hecho" };
+
+const PRIORITY_NAMES = {
+  low: ["low", "baja"],
+  medium: ["medium", "media"],
+  high: ["high", "alta"],
+  urgent: ["urgent", "urgente"],
+};
+
+// iCalendar PRIORITY (1 = highest, 9 = lowest)
+const ICS_PRIORITY = { urgent: 1, high: 3, medium: 5, low: 9 };
+const ICS_STATUS = { todo: "NEEDS-ACTION", doing: "IN-PROCESS", done: "COMPLETED" };
+
+// Lower-case text without accents
+const normalize = (text) =>
+  String(text ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .trim()
+    .toLowerCase();
+
+/**
+ * Front-end status key of a status name in any of the accepted languages,
+ * or of one of the board columns (by id, name or API status).
+ *
+ * @param {string} value - e.g. "Por Hacer", "doing", "Completada", "NEEDS-ACTION".
+ * @param {Array<{id: string, name: string, status: string}>} [columns=[]] - Columns of the board.
+ * @returns {string|null} The status key (empty means `todo`), or null if unknown.
+ */
+export function parseStatus(value, columns = []) {
+  const name = normalize(value);
+  if (!name) return "todo";
+  const column = columns.find((c) => [c.id, c.name, c.status].some((text) => normalize(text) === name));
+  if (column) return column.id;
+  return Object.keys(STATUS_NAMES).find((key) => STATUS_NAMES[key].includes(name)) || null;
+}
+
+/**
+ * Priority key of a priority name.
+ *
+ * @param {string} value - e.g. "Alta", "urgent".
+ * @returns {string|null} The priority key (empty means `medium`), or null if unknown.
+ */
+export function parsePriority(value) {
+  const name = normalize(value);
+  if (!name) return "medium";
+  return Object.keys(PRIORITY_NAMES).find((key) => PRIORITY_NAMES[key].includes(name)) || null;
+}
+
+/**
+ * Check the fields of an imported task and fill in the defaults.
+ *
+ * @param {Object} raw - Fields as read from the file.
+ * @param {Array<Object>} [columns=[]] - Columns of the board (see `parseStatus`).
+ * @returns {{task: Object, errors: string[]}} The task (front-end status) and its validation errors.
+ */
+export function validateTask(raw, columns = []) {
+  const errors = [];
+  const title = String(raw.title ?? "").trim();
+  const date = String(raw.date ?? "").trim();
+  const time = String(raw.time ?? "").trim();
+  const status = parseStatus(raw.status, columns);
+  const priority = parsePriority(raw.priority);
+
+  if (!title) errors.push("Falta el título");
+  // Round-trip check so impossible dates such as 2026-02-30 are rejected
+  const parsedDate = parseDateKey(date);
+  if (!parsedDate || toDateKey(parsedDate) !== date) {
+    errors.push(date ? `Fecha no válida: "${date}"` : "Falta la fecha");
+  }
+  if (time && !/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) errors.push(`Hora no válida: "${time}"`);
+  if (!status) errors.push(`Estado desconocido: "${raw.status}"`);
+  if (!priority) errors.push(`Prioridad desconocida: "${raw.priority}"`);
+
+  const labels = (Array.isArray(raw.labels) ? raw.labels : String(raw.labels ?? "").split(";"))
+    .map((label) => (typeof label === "string" ? { name: label.trim() } : label))
+    .filter((label) => label?.name);
+
+  const task = {
+    title,
+    details: String(raw.details ?? "").trim(),
+    date,
+    time,
+    status: status || "todo",
+    priority: priority || "medium",
+    labels,
+    checklist: Array.isArray(raw.checklist) ? raw.checklist : [],
+    recurrence: raw.recurrence && typeof raw.recurrence === "object" ? raw.recurrence : null,
+    reminder: Number.isFinite(raw.reminder) ? raw.reminder : null,
+  };
+  return { task, errors };
+}
+
+/**
+ * Key used to detect duplicated tasks: same title, date and time.
+ *
+ * @param {Object} task
+ * @returns {string}
+ */
+export function duplicateKey(task) {
+  return `${normalize(task.title)}|${task.date}|${task.time || ""}`;
+}
+
+// ---------------------------------------------------------------- export
+
+// Field names and values of an exported task, with the backend status name
+function exportFields(task) {
+  return {
+    title: task.title ?? "",
+    details: task.details ?? "",
+    date: task.date ?? "",
+    time: task.time ?? "",
+    status: BACKEND_STATUS[task.status] || task.status || BACKEND_STATUS.todo,
+    priority: task.priority || "medium",
+    labels: Array.isArray(task.labels) ? task.labels : [],
+    checklist: Array.isArray(task.checklist) ? task.checklist : [],
+    recurrence: task.recurrence || null,
+    reminder: Number.isFinite(task.reminder) ? task.reminder : null,
+  };
+}
+
+// Cells a spreadsheet would run as a formula (also the ones that start with the prefix
+// that disarms them, so importing the file gives back the same text)
+const CSV_FORMULA = /^'*[=+\-@\t\r]/;
+
+function csvCell(value) {
+  let text = String(value ?? "");
+  // Disarmed with a leading quote, removed again on import (see `parseCsv`)
+  if (CSV_FORMULA.test(text)) text = `'${text}`;
+  return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Escape a text value of an iCalendar property
+function icsText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Fold a content line at 75 octets, as required by RFC 5545
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = "";
+  let size = 0;
+  for (const char of line) {
+    const bytes = encoder.encode(char).length;
+    if (size + bytes > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      size = 0;
+    }
+    current += char;
+    size += bytes;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+const icsDate = (date) => date.replace(/-/g, "");
+const icsDateTime = (date) =>
+  `${toDateKey(date).replace(/-/g, "")}T${toTimeKey(date).replace(":", "")}00`;
+
+// Duration of a reminder as an iCalendar TRIGGER (e.g. -PT10M, -P1D)
+function icsTrigger(minutes) {
+  if (minutes === 0) return "PT0M";
+  if (minutes % 1440 === 0) return `-P${minutes / 1440}D`;
+  if (minutes % 60 === 0) return `-PT${minutes / 60}H`;
+  return `-PT${minutes}M`;
+}
+
+/**
+ * Serialize tasks to a file.
+ *
+ * @param {Array<Object>} tasks - Tasks (front-end or backend status).
+ * @param {"json"|"csv"|"ics"} format
+ * @param {Date} [now=new Date()] - Export moment (DTSTAMP of the .ics file).
+ * @returns {string} Content of the file.
+ */
+export function exportTasks(tasks, format, now = new Date()) {
+  const rows = tasks.map(exportFields);
+
+  if (format === "json") return JSON.stringify(rows, null, 2);
+
+  if (format === "csv") {
+    const lines = rows.map((row) =>
+      CSV_COLUMNS.map((column) =>
+        csvCell(column === "labels" ? row.labels.map((label) => label.name).join(";") : row[column])
+      ).join(",")
+    );
+    // BOM so spreadsheet apps read the accents as UTF-8
+    return `\uFEFF${[CSV_COLUMNS.join(","), ...lines].join("\r\n")}\r\n`;
+  }
+
+  if (format === "ics") {
+    const stamp = now.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+    const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//Lista de tareas//ES", "CALSCALE:GREGORIAN"];
+    tasks.forEach((task, i) => {
+      const row = rows[i];
+      const status = parseStatus(row.status) || "todo";
+      lines.push(
+        "BEGIN:VTODO",
+        `UID:${task._id || `task-${i}`}@lista-de-tareas`,
+        `DTSTAMP:${stamp}`,
+        `SUMMARY:${icsText(row.title)}`
+      );
+      if (row.details) lines.push(`DESCRIPTION:${icsText(row.details)}`);
+      if (parseDateKey(row.date)) {
+        lines.push(
+          row.time
+            ? `DUE:${icsDateTime(parseDateKey(row.date, row.time))}`
+            : `DUE;VALUE=DATE:${icsDate(row.date)}`
+        );
+      }
+      lines.push(`STATUS:${ICS_STATUS[status]}`, `PRIORITY:${ICS_PRIORITY[row.priority] || 5}`);
+      if (row.labels.length) lines.push(`CATEGORIES:${row.labels.map((l) => icsText(l.name)).join(",")}`);
+      if (row.reminder !== null) {
+        lines.push(
+          "BEGIN:VALARM",
+          "ACTION:DISPLAY",
+          `DESCRIPTION:${icsText(row.title)}`,
+          `TRIGGER:${icsTrigger(row.reminder)}`,
+          "END:VALARM"
+        );
+      }
+      lines.push("END:VTODO");
+    });
+    lines.push("END:VCALENDAR");
+    return `${lines.map(foldLine).join("\r\n")}\r\n`;
+  }
+
+  throw new Error(`Formato desconocido: ${format}`);
+}
+
+// ---------------------------------------------------------------- import
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting).
+ *
+ * @param {string} text
+ * @param {string} delimiter - `,` or `;`.
+ * @returns {string[][]}
+ */
+function parseCsvRows(text, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((value) => value.trim()));
+}
+
+function parseCsv(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  // Spreadsheets in Spanish locales separate with ";"
+  const delimiter = firstLine.split(";").length > firstLine.split(",").length ? ";" : ",";
+  const [header = [], ...rows] = parseCsvRows(text, delimiter);
+  const columns = header.map((name) => CSV_HEADERS[normalize(name)] || null);
+  if (!columns.includes("title")) {
+    throw new Error('La primera fila del CSV debe tener los nombres de las columnas (al menos "title" o "título").');
+  }
+
+  return rows.map((cells) =>
+    Object.fromEntries(
+      columns
+        .map((column, i) => {
+          const cell = cells[i] ?? "";
+          // Formulas disarmed by `csvCell`
+          return [column, /^'/.test(cell) && CSV_FORMULA.test(cell.slice(1)) ? cell.slice(1) : cell];
+        })
+        .filter(([column]) => column)
+    )
+  );
+}
+
+function parseJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error("El archivo no es un JSON válido.");
+  }
+  // Accept a plain array or an object with a `tasks` array
+  const list = Array.isArray(data) ? data : data?.tasks;
+  if (!Array.isArray(list)) throw new Error("El JSON debe ser una lista de tareas.");
+  return list.map((item) => (item && typeof item === "object" ? item : {}));
+}
+
+// Unescape a text value of an iCalendar property
+function unescapeIcs(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, char) => (char.toLowerCase() === "n" ? "\n" : char));
+}
+
+// Date and time of an iCalendar DATE or DATE-TIME value (UTC values are converted to local time)
+function parseIcsDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})\d{2}(Z)?)?$/.exec(value.trim());
+  if (!match) return { date: value, time: "" };
+  const [, y, m, d, hh, mm, utc] = match;
+  if (!hh) return { date: `${y}-${m}-${d}`, time: "" };
+  const date = utc
+    ? new Date(Date.UTC(Number(y), Number(m) - 1, Number(d), Number(hh), Number(mm)))
+    : new Date(Number(y), Number(m) - 1, Number(d), Number(hh), Number(mm));
+  return { date: toDateKey(date), time: toTimeKey(date) };
+}
+
+// Minutes before the due time of an iCalendar TRIGGER (e.g. -PT10M, -P1D)
+function parseIcsTrigger(value) {
+  const match = /^-?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:\d+S)?)?$/.exec(value.trim());
+  if (!match) return null;
+  const [, w = 0, d = 0, h = 0, m = 0] = match.map((part) => Number(part) || 0);
+  return w * 10080 + d * 1440 + h * 60 + m;
+}
+
+function icsPriority(value) {
+  const n = Number(value);
+  if (!n) return "medium";
+  if (n <= 2) return "urgent";
+  if (n <= 4) return "high";
+  if (n === 5) return "medium";
+  return "low";
+}
+
+function parseIcs(text) {
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  if (!/^BEGIN:VCALENDAR/i.test(lines[0]?.trim() || "")) {
+    throw new Error("El archivo no es un calendario iCalendar (.ics) válido.");
+  }
+
+  const items = [];
+  let item = null;
+  let inAlarm = false;
+
+  lines.forEach((line) => {
+    const separator = line.indexOf(":");
+    if (separator === -1) return;
+    const [name] = line.slice(0, separator).toUpperCase().split(";");
+    const params = line.slice(0, separator).toUpperCase();
+    const value = line.slice(separator + 1);
+
+    if (name === "BEGIN" && /^(VTODO|VEVENT)$/i.test(value.trim())) {
+      item = { status: "", labels: [] };
+    } else if (name === "END" && /^(VTODO|VEVENT)$/i.test(value.trim())) {
+      if (item) items.push(item);
+      item = null;
+    } else if (item && name === "BEGIN" && /^VALARM$/i.test(value.trim())) {
+      inAlarm = true;
+    } else if (item && name === "END" && /^VALARM$/i.test(value.trim())) {
+      inAlarm = false;
+    } else if (item && inAlarm) {
+      if (name === "TRIGGER" && !params.includes("VALUE=DATE-TIME")) {
+        const minutes = parseIcsTrigger(value);
+        if (minutes !== null && item.reminder === undefined) item.reminder = minutes;
+      }
+    } else if (item) {
+      if (name === "SUMMARY") item.title = unescapeIcs(value);
+      if (name === "DESCRIPTION") item.details = unescapeIcs(value);
+      // VTODO has DUE; VEVENT only DTSTART
+      if (name === "DUE" || (name === "DTSTART" && !item.due)) {
+        Object.assign(item, parseIcsDate(value));
+        if (name === "DUE") item.due = true;
+      }
+      if (name === "STATUS") item.status = value.trim();
+      if (name === "PRIORITY") item.priority = icsPriority(value);
+      if (name === "CATEGORIES") {
+        item.labels.push(...value.split(/(?<!\\),/).map(unescapeIcs).filter(Boolean));
+      }
+    }
+  });
+
+  return items.map((entry) => {
+    const fields = { ...entry };
+    delete fields.due;
+    // Calendar events have no task status: import them as pending
+    if (/^(TENTATIVE|CONFIRMED|CANCELLED)$/i.test(fields.status)) fields.status = "";
+    return fields;
+  });
+}
+
+/**
+ * Guess the format of a file from its name.
+ *
+ * @param {string} fileName
+ * @returns {"json"|"csv"|"ics"|null}
+ */
+export function formatFromFileName(fileName) {
+  const extension = String(fileName).split(".").pop().toLowerCase();
+  return Object.keys(FORMATS).find((format) => FORMATS[format].extension === extension) || null;
+}
+
+/**
+ * Parse a file into tasks, with their validation errors and duplicates.
+ *
+ * @param {string} text - Content of the file.
+ * @param {"json"|"csv"|"ics"} format
+ * @param {Array<Object>} [existing=[]] - Tasks already on the board (to detect duplicates).
+ * @param {Array<Object>} [columns=[]] - Columns of the board (see `parseStatus`).
+ * @returns {Array<{row: number, task: Object, errors: string[], duplicate: boolean}>}
+ *   One entry per task of the file (`row` is 1-based).
+ * @throws {Error} If the file cannot be read in that format at all.
+ */
+export function parseTasks(text, format, existing = [], columns = []) {
+  const content = String(text).replace(/^\uFEFF/, "");
+  const parsers = { json: parseJson, csv: parseCsv, ics: parseIcs };
+  if (!parsers[format]) throw new Error(`Formato desconocido: ${format}`);
+
+  const seen = new Set(existing.map(duplicateKey));
+  return parsers[format](content).map((raw, i) => {
+    const { task, errors } = validateTask(raw, columns);
+    const key = duplicateKey(task);
+    const duplicate = !errors.length && seen.has(key);
+    seen.add(key);
+    return { row: i + 1, task, errors, duplicate };
+  });
+}